@@ -5,8 +5,9 @@ const sqlite3 = require('sqlite3').verbose();
 // Путь к БД: можно переопределить через переменную окружения SQLITE_PATH
 const DB_PATH = process.env.SQLITE_PATH || path.join(__dirname, 'app.sqlite');
 
-// Процент комиссии сервиса (по умолчанию 10%)
-// Можно задать через APP_FEE_PERCENT (или SERVICE_FEE_PCT для совместимости), например 0.05 = 5%
+// Начальная базовая комиссия сервиса (по умолчанию 10%). Читается один раз, когда в базе
+// ещё нет правил комиссии; дальше её меняет админ (fee_rules).
+// APP_FEE_PERCENT (или SERVICE_FEE_PCT для совместимости), например 0.05 = 5%
 const APP_FEE_PERCENT_RAW =
   process.env.APP_FEE_PERCENT ?? process.env.SERVICE_FEE_PCT ?? '0.10';
 const APP_FEE_PERCENT_PARSED = Number(APP_FEE_PERCENT_RAW);
@@ -14,6 +15,67 @@ const APP_FEE_PERCENT = Number.isFinite(APP_FEE_PERCENT_PARSED)
   ? Math.max(0, Math.min(1, APP_FEE_PERCENT_PARSED))
   : 0.10;
 
+// Сколько минут водитель может думать над заявкой в режиме ручного подтверждения
+const BOOKING_HOLD_MINUTES = Math.max(
+  1,
+  Number(process.env.BOOKING_HOLD_MINUTES || '30') || 30
+);
+
+// На сколько дней вперёд создаём поездки по регулярному расписанию водителя
+const SERIES_WINDOW_DAYS = Math.max(
+  1,
+  Number(process.env.SERIES_WINDOW_DAYS || '14') || 14
+);
+
+// Через сколько минут после выезда поездка считается завершённой
+const TRIP_COMPLETE_AFTER_MINUTES = Math.max(
+  0,
+  Number(process.env.TRIP_COMPLETE_AFTER_MINUTES || '60') || 0
+);
+
+// Сколько минут пассажир из листа ожидания может думать над предложенным местом
+const WAITLIST_OFFER_MINUTES = Math.max(
+  1,
+  Number(process.env.WAITLIST_OFFER_MINUTES || '15') || 15
+);
+
+// Через сколько минут после выезда просим водителя и пассажиров оценить друг друга
+const REVIEW_PROMPT_DELAY_MINUTES = Math.max(
+  0,
+  Number(process.env.REVIEW_PROMPT_DELAY_MINUTES || '180') || 0
+);
+
+// Сколько часов после отметки "не приехал" пассажир может её оспорить
+const NO_SHOW_DISPUTE_HOURS = Math.max(
+  1,
+  Number(process.env.NO_SHOW_DISPUTE_HOURS || '48') || 48
+);
+
+// Сколько часов после поездки ещё открыта переписка водителя и пассажира
+const CHAT_CLOSE_AFTER_HOURS = Math.max(
+  1,
+  Number(process.env.CHAT_CLOSE_AFTER_HOURS || '24') || 24
+);
+
+// Напоминания о поездке: вечером накануне (с этого часа) и за N минут до выезда
+const REMINDER_EVENING_HOUR = Math.min(
+  23,
+  Math.max(0, Number(process.env.REMINDER_EVENING_HOUR || '19') || 0)
+);
+const REMINDER_BEFORE_MINUTES = Math.max(
+  5,
+  Number(process.env.REMINDER_BEFORE_MINUTES || '60') || 60
+);
+
+// Сколько раз пробуем доставить уведомление, прежде чем считать его недоставленным
+const NOTIFY_MAX_ATTEMPTS = Math.max(
+  1,
+  Number(process.env.NOTIFY_MAX_ATTEMPTS || '8') || 8
+);
+
+// Сколько подписок на маршруты может быть у одного пользователя
+const MAX_ROUTE_SUBSCRIPTIONS = 10;
+
 const db = new sqlite3.Database(DB_PATH);
 
 // ---------------- ИНИЦИАЛИЗАЦИЯ СХЕМЫ ----------------
@@ -33,7 +95,10 @@ db.serialize(() => {
       car_make TEXT,
       car_color TEXT,
       car_plate TEXT,
-      is_blocked INTEGER DEFAULT 0
+      is_blocked INTEGER DEFAULT 0,
+      driver_cancel_count INTEGER DEFAULT 0,
+      reminders_enabled INTEGER NOT NULL DEFAULT 1,
+      bot_blocked_at TEXT -- когда пользователь заблокировал бота (403 при отправке)
     )
   `);
 
@@ -49,11 +114,48 @@ db.serialize(() => {
       seats_available INTEGER NOT NULL,
       price_per_seat REAL NOT NULL,
       note TEXT,
+      requires_approval INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active', -- active / cancelled / completed
+      cancel_reason TEXT,
+      cancelled_at TEXT,
+      completed_at TEXT,
+      series_id INTEGER, -- регулярное расписание, из которого создана поездка
+      series_date TEXT, -- дата по расписанию (YYYY-MM-DD), даже если время потом изменили
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      FOREIGN KEY (driver_id) REFERENCES users(id)
+    )
+  `);
+
+  // Регулярные поездки (расписание водителя)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS trip_series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      driver_id INTEGER NOT NULL,
+      from_city TEXT NOT NULL,
+      to_city TEXT NOT NULL,
+      days_of_week TEXT NOT NULL, -- "1,2,3,4,5" (0 = воскресенье, как в Date.getDay)
+      departure_clock TEXT NOT NULL, -- "HH:MM"
+      seats_total INTEGER NOT NULL,
+      price_per_seat REAL NOT NULL,
+      note TEXT,
+      requires_approval INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active', -- active / paused / ended
       created_at TEXT DEFAULT (datetime('now','localtime')),
+      ended_at TEXT,
       FOREIGN KEY (driver_id) REFERENCES users(id)
     )
   `);
 
+  // Даты расписания, которые водитель удалил — заново их не создаём
+  db.run(`
+    CREATE TABLE IF NOT EXISTS trip_series_skips (
+      series_id INTEGER NOT NULL,
+      series_date TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      PRIMARY KEY (series_id, series_date)
+    )
+  `);
+
   // Бронирования
   db.run(`
     CREATE TABLE IF NOT EXISTS bookings (
@@ -64,19 +166,252 @@ db.serialize(() => {
       amount_total REAL NOT NULL,
       driver_amount REAL NOT NULL,
       app_fee REAL NOT NULL,
-      status TEXT NOT NULL DEFAULT 'booked', -- booked / cancelled / no_show
+      fee_rule_id INTEGER, -- по какому правилу посчитана комиссия (fee_rules)
+      status TEXT NOT NULL DEFAULT 'booked', -- pending / offered / booked / declined / expired / cancelled / cancelled_by_driver / no_show
+      hold_expires_at TEXT, -- до какого момента держим места для pending-заявки
+      decided_at TEXT,
+      from_stop_index INTEGER, -- участок маршрута: индексы остановок в trip_stops
+      to_stop_index INTEGER,
+      pickup_city TEXT,
+      dropoff_city TEXT,
+      review_prompted_at TEXT, -- когда бот попросил оценить поездку
+      no_show_marked_at TEXT, -- когда водитель отметил "не приехал"
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      FOREIGN KEY (trip_id) REFERENCES trips(id),
+      FOREIGN KEY (passenger_id) REFERENCES users(id)
+    )
+  `);
+
+  // Остановки маршрута (для поездок с промежуточными точками).
+  // Индекс 0 — город отправления, последний — город назначения.
+  // price_from_start — цена места от начала маршрута до этой остановки,
+  // цена участка a → b = price_from_start(b) - price_from_start(a).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS trip_stops (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trip_id INTEGER NOT NULL,
+      stop_index INTEGER NOT NULL,
+      city TEXT NOT NULL,
+      departure_time TEXT,
+      price_from_start REAL NOT NULL DEFAULT 0,
+      UNIQUE (trip_id, stop_index),
+      FOREIGN KEY (trip_id) REFERENCES trips(id)
+    )
+  `);
+
+  // Лист ожидания на полные поездки.
+  // Когда места освобождаются, первому подходящему из очереди создаётся бронь
+  // со статусом offered (места удерживаются до offer_expires_at).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS trip_waitlist (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trip_id INTEGER NOT NULL,
+      passenger_id INTEGER NOT NULL,
+      seats_needed INTEGER NOT NULL,
+      from_stop_index INTEGER,
+      to_stop_index INTEGER,
+      status TEXT NOT NULL DEFAULT 'waiting', -- waiting / offered / accepted / expired / cancelled
+      offer_booking_id INTEGER,
       created_at TEXT DEFAULT (datetime('now','localtime')),
       FOREIGN KEY (trip_id) REFERENCES trips(id),
       FOREIGN KEY (passenger_id) REFERENCES users(id)
     )
   `);
 
+  // Оценки и отзывы после поездки: пассажир оценивает водителя и наоборот.
+  // Один отзыв от автора на бронь; повторная оценка перезаписывает предыдущую.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      booking_id INTEGER NOT NULL,
+      trip_id INTEGER NOT NULL,
+      author_id INTEGER NOT NULL,
+      target_id INTEGER NOT NULL,
+      target_role TEXT NOT NULL, -- driver / passenger
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      text TEXT,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      UNIQUE (booking_id, author_id),
+      FOREIGN KEY (booking_id) REFERENCES bookings(id),
+      FOREIGN KEY (author_id) REFERENCES users(id),
+      FOREIGN KEY (target_id) REFERENCES users(id)
+    )
+  `);
+
+  // Сообщения бота, на которые ждём ответ текстом (force_reply):
+  // по chat_id + message_id понимаем, к чему относится ответ пользователя
+  db.run(`
+    CREATE TABLE IF NOT EXISTS bot_reply_links (
+      chat_id TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      ref_id INTEGER NOT NULL,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      PRIMARY KEY (chat_id, message_id)
+    )
+  `);
+
+  // Споры пассажиров по отметкам "не приехал"
+  db.run(`
+    CREATE TABLE IF NOT EXISTS no_show_disputes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      booking_id INTEGER NOT NULL UNIQUE,
+      passenger_id INTEGER NOT NULL,
+      driver_id INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open', -- open / upheld / reversed
+      admin_comment TEXT,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      resolved_at TEXT,
+      FOREIGN KEY (booking_id) REFERENCES bookings(id)
+    )
+  `);
+
+  // Анонимная переписка водителя и пассажира через бота.
+  // Одна ветка на бронь (booking_id) или на взятый план пассажира (plan_id).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS chat_threads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      booking_id INTEGER UNIQUE,
+      plan_id INTEGER UNIQUE,
+      driver_id INTEGER NOT NULL,
+      passenger_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open', -- open / closed
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      closed_at TEXT,
+      FOREIGN KEY (booking_id) REFERENCES bookings(id),
+      FOREIGN KEY (driver_id) REFERENCES users(id),
+      FOREIGN KEY (passenger_id) REFERENCES users(id)
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      thread_id INTEGER NOT NULL,
+      sender_id INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      FOREIGN KEY (thread_id) REFERENCES chat_threads(id),
+      FOREIGN KEY (sender_id) REFERENCES users(id)
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_thread
+    ON chat_messages (thread_id, id)
+  `);
+
+  // Отправленные напоминания о поездке (kind: evening / hour) — чтобы не слать повторно
+  db.run(`
+    CREATE TABLE IF NOT EXISTS trip_reminders (
+      trip_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      sent_at TEXT DEFAULT (datetime('now','localtime')),
+      PRIMARY KEY (trip_id, user_id, kind),
+      FOREIGN KEY (trip_id) REFERENCES trips(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Подписки на маршрут: пассажир ждёт поездки (kind = trips),
+  // водитель ждёт запросы пассажиров (kind = plans)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS route_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      kind TEXT NOT NULL, -- trips / plans
+      from_city TEXT NOT NULL,
+      to_city TEXT NOT NULL,
+      days_of_week TEXT, -- "1,2,3,4,5" (0 = воскресенье), NULL — любой день
+      time_from TEXT, -- "HH:MM", NULL — с начала суток
+      time_to TEXT, -- "HH:MM", NULL — до конца суток
+      max_price REAL, -- для trips: не дороже за место
+      min_price REAL, -- для plans: не дешевле за место
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Уже отправленные оповещения по подпискам — одно на пользователя и поездку / план
+  db.run(`
+    CREATE TABLE IF NOT EXISTS subscription_alerts (
+      user_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      ref_id INTEGER NOT NULL,
+      subscription_id INTEGER,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      PRIMARY KEY (user_id, kind, ref_id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Группы и каналы для автопостинга новых поездок (фильтры пустые — любые поездки)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS autopost_channels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id TEXT NOT NULL,
+      title TEXT,
+      from_city TEXT,
+      to_city TEXT,
+      disabled_at TEXT, -- бот потерял доступ к чату (403), посты не отправляются
+      disabled_reason TEXT,
+      created_at TEXT DEFAULT (datetime('now','localtime'))
+    )
+  `);
+
+  // Опубликованные посты: по ним правим сообщение, когда поездка заполнилась или отменена.
+  // message_id приходит из очереди уведомлений после отправки.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS autopost_posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel_id INTEGER,
+      chat_id TEXT NOT NULL,
+      trip_id INTEGER NOT NULL,
+      notification_id INTEGER,
+      message_id INTEGER,
+      text TEXT, -- текст поста: по нему правим пост, если поездку удалили
+      state TEXT NOT NULL DEFAULT 'open', -- open / full / cancelled / done
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      updated_at TEXT,
+      UNIQUE (chat_id, trip_id),
+      FOREIGN KEY (trip_id) REFERENCES trips(id)
+    )
+  `);
+
+  // Очередь исходящих сообщений бота
+  db.run(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chat_id TEXT NOT NULL,
+      text TEXT NOT NULL,
+      extra TEXT, -- JSON с параметрами sendMessage (кнопки и т.п.)
+      reply_kind TEXT, -- если задан, ответ на сообщение привязывается через bot_reply_links
+      reply_ref_id INTEGER,
+      status TEXT NOT NULL DEFAULT 'pending', -- pending / sent / failed / blocked
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT DEFAULT (datetime('now','localtime')),
+      last_error TEXT,
+      message_id INTEGER,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      sent_at TEXT
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_notifications_status_next
+    ON notifications (status, next_attempt_at)
+  `);
+
   // Настройки приложения (одна строка, id = 1)
   db.run(`
     CREATE TABLE IF NOT EXISTS app_settings (
       id INTEGER PRIMARY KEY CHECK (id = 1),
       monetization_enabled INTEGER NOT NULL DEFAULT 0,
-      payment_details TEXT
+      payment_details TEXT,
+      debt_limit REAL NOT NULL DEFAULT 0, -- до какого долга по комиссии можно публиковать поездки
+      ledger_started_at TEXT -- с какого момента начисляем комиссию в леджер (включение платного режима)
     )
   `);
 
@@ -87,16 +422,180 @@ db.serialize(() => {
       driver_id INTEGER NOT NULL,
       file_original_name TEXT,
       file_stored_name TEXT,
+      amount_claimed REAL, -- сколько водитель, по его словам, перевёл
+      status TEXT NOT NULL DEFAULT 'pending', -- pending / approved / rejected
+      amount_approved REAL,
+      review_comment TEXT,
+      reviewed_at TEXT,
+      file_deleted_at TEXT, -- файл удалён по сроку хранения, запись осталась
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      FOREIGN KEY (driver_id) REFERENCES users(id)
+    )
+  `);
+
+  // Оплаты комиссии через Telegram Payments (чеки-скриншоты остаются запасным путём).
+  // pay_date — день выставления счёта; telegram_payment_charge_id защищает от дублей.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS driver_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      driver_id INTEGER NOT NULL,
+      pay_date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      currency TEXT NOT NULL,
+      invoice_payload TEXT,
+      telegram_payment_charge_id TEXT NOT NULL UNIQUE,
+      provider_payment_charge_id TEXT,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      FOREIGN KEY (driver_id) REFERENCES users(id)
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_driver_payments_driver_date
+    ON driver_payments (driver_id, pay_date)
+  `);
+
+  // Леджер комиссии водителей. Суммы со знаком: debit (начислена комиссия) > 0,
+  // credit (оплата) и reversal (отмена начисления) < 0. Баланс — сумма по водителю.
+  // Одна запись каждого вида на источник — повторная сверка ничего не задваивает.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS driver_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      driver_id INTEGER NOT NULL,
+      kind TEXT NOT NULL, -- debit / credit / reversal
+      amount REAL NOT NULL,
+      source TEXT NOT NULL, -- booking / plan / payment / manual
+      source_id INTEGER,
+      note TEXT,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      UNIQUE (kind, source, source_id),
+      FOREIGN KEY (driver_id) REFERENCES users(id)
+    )
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_driver_ledger_driver
+    ON driver_ledger (driver_id)
+  `);
+
+  // Правила комиссии. Базовое (is_default) — одно действующее; остальные — исключения
+  // по маршруту (участок брони), водителю и периоду. fee_percent — в процентах (10 = 10%),
+  // min_fee — минимальная комиссия с брони в рублях.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS fee_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT,
+      fee_percent REAL NOT NULL,
+      min_fee REAL NOT NULL DEFAULT 0,
+      from_city TEXT,
+      to_city TEXT,
+      driver_id INTEGER,
+      starts_at TEXT, -- 'YYYY-MM-DDTHH:MM', включительно
+      ends_at TEXT, -- не включительно
+      is_default INTEGER NOT NULL DEFAULT 0,
+      active INTEGER NOT NULL DEFAULT 1,
       created_at TEXT DEFAULT (datetime('now','localtime')),
       FOREIGN KEY (driver_id) REFERENCES users(id)
     )
   `);
 
+  db.run(
+    `
+      INSERT INTO fee_rules (name, fee_percent, is_default)
+      SELECT 'Базовая комиссия', ?, 1
+      WHERE NOT EXISTS (SELECT 1 FROM fee_rules WHERE is_default = 1 AND active = 1)
+    `,
+    [Math.round(APP_FEE_PERCENT * 10000) / 100]
+  );
+
   // Гарантируем, что есть строка настроек с id = 1
   db.run(`
     INSERT OR IGNORE INTO app_settings (id, monetization_enabled, payment_details)
     VALUES (1, 0, '')
   `);
+
+  // Миграции колонок (если таблицы уже существовали)
+  [
+    "ALTER TABLE trips ADD COLUMN requires_approval INTEGER NOT NULL DEFAULT 0",
+    "ALTER TABLE bookings ADD COLUMN hold_expires_at TEXT",
+    "ALTER TABLE bookings ADD COLUMN decided_at TEXT",
+    "ALTER TABLE users ADD COLUMN driver_cancel_count INTEGER DEFAULT 0",
+    "ALTER TABLE trips ADD COLUMN status TEXT NOT NULL DEFAULT 'active'",
+    "ALTER TABLE trips ADD COLUMN cancel_reason TEXT",
+    "ALTER TABLE trips ADD COLUMN cancelled_at TEXT",
+    "ALTER TABLE bookings ADD COLUMN from_stop_index INTEGER",
+    "ALTER TABLE bookings ADD COLUMN to_stop_index INTEGER",
+    "ALTER TABLE bookings ADD COLUMN pickup_city TEXT",
+    "ALTER TABLE bookings ADD COLUMN dropoff_city TEXT",
+    "ALTER TABLE trips ADD COLUMN series_id INTEGER",
+    "ALTER TABLE trips ADD COLUMN series_date TEXT",
+    "ALTER TABLE trips ADD COLUMN completed_at TEXT",
+    "ALTER TABLE bookings ADD COLUMN review_prompted_at TEXT",
+    "ALTER TABLE bookings ADD COLUMN no_show_marked_at TEXT",
+    "ALTER TABLE users ADD COLUMN reminders_enabled INTEGER NOT NULL DEFAULT 1",
+    "ALTER TABLE users ADD COLUMN bot_blocked_at TEXT",
+    "ALTER TABLE bookings ADD COLUMN fee_rule_id INTEGER",
+    "ALTER TABLE autopost_channels ADD COLUMN disabled_at TEXT",
+    "ALTER TABLE autopost_channels ADD COLUMN disabled_reason TEXT",
+    "ALTER TABLE autopost_posts ADD COLUMN text TEXT",
+    "ALTER TABLE app_settings ADD COLUMN debt_limit REAL NOT NULL DEFAULT 0",
+    "ALTER TABLE app_settings ADD COLUMN ledger_started_at TEXT",
+    // старые чеки попадут в очередь на проверку
+    "ALTER TABLE driver_payment_proofs ADD COLUMN amount_claimed REAL",
+    "ALTER TABLE driver_payment_proofs ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'",
+    "ALTER TABLE driver_payment_proofs ADD COLUMN amount_approved REAL",
+    "ALTER TABLE driver_payment_proofs ADD COLUMN review_comment TEXT",
+    "ALTER TABLE driver_payment_proofs ADD COLUMN reviewed_at TEXT",
+    "ALTER TABLE driver_payment_proofs ADD COLUMN file_deleted_at TEXT",
+  ].forEach((sql) => {
+    db.run(sql, (err) => {
+      // игнорируем ошибки "duplicate column name" и подобные
+      if (!err) return;
+      const msg = String(err.message || '');
+      if (msg.includes('duplicate column name') || msg.includes('already exists')) return;
+      console.warn('Миграция не применена:', msg);
+    });
+  });
+
+  // Платный режим включили до появления леджера: начисляем с начала сегодняшнего дня —
+  // ровно то, что раньше учитывал дневной отчёт
+  db.run(`
+    UPDATE app_settings
+    SET ledger_started_at = datetime('now','localtime','start of day')
+    WHERE monetization_enabled = 1 AND ledger_started_at IS NULL
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_driver_payment_proofs_status
+    ON driver_payment_proofs (status)
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_bookings_status_hold
+    ON bookings (status, hold_expires_at)
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_reviews_target
+    ON reviews (target_id)
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_trip_waitlist_trip_status
+    ON trip_waitlist (trip_id, status)
+  `);
+
+  db.run(`
+    CREATE INDEX IF NOT EXISTS idx_route_subscriptions_kind
+    ON route_subscriptions (kind, user_id)
+  `);
+
+  // Одна поездка на дату расписания: генератор можно запускать сколько угодно раз
+  db.run(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_trips_series_date
+    ON trips (series_id, series_date)
+    WHERE series_id IS NOT NULL
+  `);
 });
 
 // ---------------- ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ----------------
@@ -128,6 +627,41 @@ function allAsync(sql, params = []) {
   });
 }
 
+// Транзакции. Соединение с БД одно, поэтому транзакции выполняются строго
+// по очереди: параллельный BEGIN на том же соединении SQLite не допускает.
+// BEGIN IMMEDIATE сразу берёт блокировку на запись — проверка и изменение
+// данных внутри fn происходят атомарно. Вложенно вызывать нельзя.
+let transactionQueue = Promise.resolve();
+
+function withTransaction(fn) {
+  const run = async () => {
+    await runAsync('BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await runAsync('COMMIT');
+      return result;
+    } catch (err) {
+      await runAsync('ROLLBACK').catch((errRollback) => {
+        console.error('Ошибка ROLLBACK:', errRollback);
+      });
+      throw err;
+    }
+  };
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+// Колонки со средней оценкой и числом отзывов пользователя (для SELECT).
+// userColumn — выражение с id пользователя, prefix — префикс имён колонок.
+function ratingColumnsSql(userColumn, prefix) {
+  return `
+    (SELECT ROUND(AVG(r.rating), 1) FROM reviews r WHERE r.target_id = ${userColumn}) AS ${prefix}_rating_avg,
+    (SELECT COUNT(*) FROM reviews r WHERE r.target_id = ${userColumn}) AS ${prefix}_rating_count
+  `;
+}
+
 // ---------------- ПОЛЬЗОВАТЕЛИ ----------------
 
 async function upsertUserFromTelegram(tgUser) {
@@ -245,6 +779,19 @@ async function setUserBlockedByTelegramId(telegramId, blocked) {
   );
 }
 
+// Включить / выключить напоминания о поездках
+async function setUserRemindersByTelegramId(telegramId, enabled) {
+  await runAsync(
+    `
+      UPDATE users
+      SET reminders_enabled = ?
+      WHERE telegram_id = ?
+    `,
+    [enabled ? 1 : 0, String(telegramId)]
+  );
+  return getUserByTelegramId(telegramId);
+}
+
 // ---------------- ПОЕЗДКИ ----------------
 
 async function createTrip({
@@ -255,6 +802,10 @@ async function createTrip({
   seatsTotal,
   pricePerSeat,
   note,
+  requiresApproval,
+  stops,
+  seriesId,
+  seriesDate,
 }) {
   const seatsTotalNum = Number(seatsTotal);
   const pricePerSeatNum = Number(pricePerSeat);
@@ -266,65 +817,236 @@ async function createTrip({
     throw new Error('Некорректная цена за место');
   }
 
-  await runAsync(
-    `
-      INSERT INTO trips (
-        driver_id,
-        from_city,
-        to_city,
-        departure_time,
-        seats_total,
-        seats_available,
-        price_per_seat,
-        note
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-    [
-      driverId,
-      fromCity,
-      toCity,
-      departureTime,
-      seatsTotalNum,
-      seatsTotalNum,
-      pricePerSeatNum,
-      note || null,
-    ]
-  );
+  const route = buildTripRoute({
+    fromCity,
+    toCity,
+    departureTime,
+    pricePerSeat: pricePerSeatNum,
+    stops,
+  });
 
-  const trip = await getAsync(
-    `
-      SELECT *
-      FROM trips
-      WHERE rowid = last_insert_rowid()
-    `
-  );
+  const tripId = await withTransaction(async () => {
+    const ins = await runAsync(
+      `
+        INSERT INTO trips (
+          driver_id,
+          from_city,
+          to_city,
+          departure_time,
+          seats_total,
+          seats_available,
+          price_per_seat,
+          note,
+          requires_approval,
+          series_id,
+          series_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        driverId,
+        fromCity,
+        toCity,
+        departureTime,
+        seatsTotalNum,
+        seatsTotalNum,
+        pricePerSeatNum,
+        note || null,
+        requiresApproval ? 1 : 0,
+        seriesId || null,
+        seriesDate || null,
+      ]
+    );
+
+    // Остановки храним только для маршрутов с промежуточными точками
+    if (route.length > 2) {
+      for (const stop of route) {
+        await runAsync(
+          `
+            INSERT INTO trip_stops (trip_id, stop_index, city, departure_time, price_from_start)
+            VALUES (?, ?, ?, ?, ?)
+          `,
+          [ins.lastID, stop.stop_index, stop.city, stop.departure_time, stop.price_from_start]
+        );
+      }
+    }
+
+    return ins.lastID;
+  });
 
-  return trip;
+  const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [tripId]);
+  const [withRoute] = await attachTripRoutes([trip]);
+  return withRoute;
 }
 
-// Список поездок (для пассажира)
-async function getLatestTrips(limit = 50) {
-  const rows = await allAsync(
-    `
-      SELECT
-        t.*,
-        u.first_name,
-        u.last_name,
-        u.username,
-        (
-          SELECT COUNT(*)
-          FROM bookings b
-          WHERE b.trip_id = t.id AND b.status = 'booked'
-        ) AS bookings_count
-      FROM trips t
-      JOIN users u ON u.id = t.driver_id
-      ORDER BY datetime(t.departure_time) ASC
-      LIMIT ?
-    `,
+// ---------------- МАРШРУТЫ С ОСТАНОВКАМИ ----------------
+
+// Полный маршрут поездки из параметров создания: отправление, промежуточные
+// остановки ({ city, departure_time, price_from_start }) и назначение.
+// Проверяет, что время и цена не убывают по ходу маршрута.
+function buildTripRoute({ fromCity, toCity, departureTime, pricePerSeat, stops }) {
+  const route = [
+    { city: fromCity, departure_time: departureTime, price_from_start: 0 },
+  ];
+
+  let prevTs = Date.parse(departureTime);
+  let prevPrice = 0;
+
+  (Array.isArray(stops) ? stops : []).forEach((raw) => {
+    const city = String((raw && raw.city) || '').trim();
+    const time = raw && raw.departure_time ? String(raw.departure_time) : null;
+    const price = Number(raw && raw.price_from_start);
+
+    const fail = (message) => {
+      const e = new Error(message);
+      e.code = 'BAD_STOPS';
+      return e;
+    };
+
+    if (!city) {
+      throw fail('Не указан город остановки');
+    }
+    if (!Number.isFinite(price) || price < prevPrice || price > pricePerSeat) {
+      throw fail(`Некорректная цена до остановки ${city}`);
+    }
+
+    const ts = time ? Date.parse(time) : NaN;
+    if (time && (!Number.isFinite(ts) || (Number.isFinite(prevTs) && ts < prevTs))) {
+      throw fail(`Некорректное время на остановке ${city}`);
+    }
+
+    route.push({ city, departure_time: time, price_from_start: price });
+    if (Number.isFinite(ts)) prevTs = ts;
+    prevPrice = price;
+  });
+
+  route.push({ city: toCity, departure_time: null, price_from_start: pricePerSeat });
+
+  return route.map((stop, index) => ({ ...stop, stop_index: index }));
+}
+
+// Маршрут поездки: из trip_stops, а для обычной поездки — две точки
+function routeFromStops(trip, stopRows) {
+  if (stopRows && stopRows.length >= 2) {
+    return stopRows
+      .slice()
+      .sort((a, b) => a.stop_index - b.stop_index)
+      .map((s) => ({
+        stop_index: s.stop_index,
+        city: s.city,
+        departure_time: s.departure_time,
+        price_from_start: Number(s.price_from_start) || 0,
+      }));
+  }
+
+  return [
+    {
+      stop_index: 0,
+      city: trip.from_city,
+      departure_time: trip.departure_time,
+      price_from_start: 0,
+    },
+    {
+      stop_index: 1,
+      city: trip.to_city,
+      departure_time: null,
+      price_from_start: Number(trip.price_per_seat) || 0,
+    },
+  ];
+}
+
+// Загрузка каждого участка маршрута (сколько мест занято между остановками i и i+1)
+function computeLegLoads(legsCount, bookings) {
+  const loads = new Array(Math.max(legsCount, 0)).fill(0);
+  bookings.forEach((b) => {
+    const from = b.from_stop_index === null || b.from_stop_index === undefined ? 0 : b.from_stop_index;
+    const to = b.to_stop_index === null || b.to_stop_index === undefined ? legsCount : b.to_stop_index;
+    for (let k = from; k < to && k < legsCount; k++) {
+      loads[k] += Number(b.seats_booked) || 0;
+    }
+  });
+  return loads;
+}
+
+// Свободные места на участке from → to с учётом загрузки каждого отрезка
+function segmentSeatsAvailable(trip, fromIndex, toIndex) {
+  const loads = trip.leg_loads || [];
+  let maxLoad = 0;
+  for (let k = fromIndex; k < toIndex; k++) {
+    maxLoad = Math.max(maxLoad, loads[k] || 0);
+  }
+  return Math.max(0, Number(trip.seats_total) - maxLoad);
+}
+
+// Добавляет к поездкам stops (маршрут) и leg_loads (занятость участков)
+async function attachTripRoutes(trips) {
+  const list = (trips || []).filter(Boolean);
+  if (list.length === 0) return list;
+
+  const ids = list.map((t) => t.id);
+  const placeholders = ids.map(() => '?').join(',');
+
+  const stopRows = await allAsync(
+    `SELECT * FROM trip_stops WHERE trip_id IN (${placeholders})`,
+    ids
+  );
+  const bookingRows = await allAsync(
+    `
+      SELECT trip_id, from_stop_index, to_stop_index, seats_booked
+      FROM bookings
+      WHERE trip_id IN (${placeholders})
+        AND status IN ('booked', 'pending', 'offered')
+    `,
+    ids
+  );
+
+  return list.map((t) => {
+    const stops = routeFromStops(t, stopRows.filter((s) => s.trip_id === t.id));
+    const legLoads = computeLegLoads(
+      stops.length - 1,
+      bookingRows.filter((b) => b.trip_id === t.id)
+    );
+    return { ...t, stops, leg_loads: legLoads };
+  });
+}
+
+// Пересчитать seats_available (свободно на всём маршруте) по активным броням.
+// Вызывается внутри транзакции после любого изменения броней поездки.
+async function refreshTripSeats(tripId) {
+  const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [Number(tripId)]);
+  if (!trip) return;
+
+  const [withRoute] = await attachTripRoutes([trip]);
+  const free = segmentSeatsAvailable(withRoute, 0, withRoute.stops.length - 1);
+
+  await runAsync(`UPDATE trips SET seats_available = ? WHERE id = ?`, [free, trip.id]);
+}
+
+// Список поездок (для пассажира)
+async function getLatestTrips(limit = 50) {
+  const rows = await allAsync(
+    `
+      SELECT
+        t.*,
+        u.first_name,
+        u.last_name,
+        u.username,
+        u.driver_cancel_count,
+        ${ratingColumnsSql('u.id', 'driver')},
+        (
+          SELECT COUNT(*)
+          FROM bookings b
+          WHERE b.trip_id = t.id AND b.status = 'booked'
+        ) AS bookings_count
+      FROM trips t
+      JOIN users u ON u.id = t.driver_id
+      WHERE t.status = 'active'
+      ORDER BY datetime(t.departure_time) ASC
+      LIMIT ?
+    `,
     [limit]
   );
 
-  return rows;
+  return attachTripRoutes(rows);
 }
 
 async function getTripWithDriver(tripId) {
@@ -338,7 +1060,10 @@ async function getTripWithDriver(tripId) {
         u.username AS driver_username,
         u.car_make,
         u.car_color,
-        u.car_plate
+        u.car_plate,
+        u.driver_cancel_count,
+        u.reminders_enabled AS driver_reminders_enabled,
+        ${ratingColumnsSql('u.id', 'driver')}
       FROM trips t
       JOIN users u ON u.id = t.driver_id
       WHERE t.id = ?
@@ -346,7 +1071,9 @@ async function getTripWithDriver(tripId) {
     [Number(tripId)]
   );
 
-  return row;
+  if (!row) return row;
+  const [withRoute] = await attachTripRoutes([row]);
+  return withRoute;
 }
 
 // Все поездки водителя (история + активные)
@@ -368,7 +1095,7 @@ async function getDriverTripsByTelegramId(telegramId) {
     [String(telegramId)]
   );
 
-  return rows;
+  return attachTripRoutes(rows);
 }
 
 // Удаление поездки водителем
@@ -423,7 +1150,20 @@ function deleteTripByDriver(tripId, driverId) {
               [tripIdNum],
               (errDel) => {
                 if (errDel) return reject(errDel);
-                resolve(trip);
+                if (!trip.series_id) return resolve(trip);
+
+                // Поездка из расписания: запоминаем дату, чтобы генератор её не вернул
+                db.run(
+                  `
+                    INSERT OR IGNORE INTO trip_series_skips (series_id, series_date)
+                    VALUES (?, ?)
+                  `,
+                  [trip.series_id, trip.series_date],
+                  (errSkip) => {
+                    if (errSkip) return reject(errSkip);
+                    resolve(trip);
+                  }
+                );
               }
             );
           }
@@ -433,206 +1173,2426 @@ function deleteTripByDriver(tripId, driverId) {
   });
 }
 
-// ---------------- БРОНИРОВАНИЯ ----------------
+// ---------------- РЕГУЛЯРНЫЕ ПОЕЗДКИ ----------------
 
-async function createBooking({
+// "2024-05-01" по локальному времени сервера
+function formatLocalDate(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// "2024-05-01T08:30" + deltaMs по локальному времени сервера
+function shiftLocalDateTime(value, deltaMs) {
+  const ts = Date.parse(value);
+  if (!Number.isFinite(ts)) return value;
+  const d = new Date(ts + deltaMs);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${formatLocalDate(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function seriesError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Создание расписания. daysOfWeek — массив чисел 0..6 (0 = воскресенье)
+async function createTripSeries({
+  driverId,
+  fromCity,
+  toCity,
+  daysOfWeek,
+  departureClock,
+  seatsTotal,
+  pricePerSeat,
+  note,
+  requiresApproval,
+}) {
+  const days = Array.from(
+    new Set((Array.isArray(daysOfWeek) ? daysOfWeek : []).map(Number))
+  )
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    .sort();
+  const seatsTotalNum = Number(seatsTotal);
+  const pricePerSeatNum = Number(pricePerSeat);
+  const clock = String(departureClock || '').trim();
+
+  if (!fromCity || !toCity) {
+    throw seriesError('BAD_SERIES', 'Укажите откуда и куда');
+  }
+  if (days.length === 0) {
+    throw seriesError('BAD_SERIES', 'Выберите хотя бы один день недели');
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(clock)) {
+    throw seriesError('BAD_SERIES', 'Некорректное время выезда');
+  }
+  if (!Number.isInteger(seatsTotalNum) || seatsTotalNum <= 0) {
+    throw seriesError('BAD_SERIES', 'Некорректное число мест');
+  }
+  if (!Number.isFinite(pricePerSeatNum) || pricePerSeatNum < 0) {
+    throw seriesError('BAD_SERIES', 'Некорректная цена за место');
+  }
+
+  const ins = await runAsync(
+    `
+      INSERT INTO trip_series (
+        driver_id,
+        from_city,
+        to_city,
+        days_of_week,
+        departure_clock,
+        seats_total,
+        price_per_seat,
+        note,
+        requires_approval
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      driverId,
+      fromCity,
+      toCity,
+      days.join(','),
+      clock,
+      seatsTotalNum,
+      pricePerSeatNum,
+      note || null,
+      requiresApproval ? 1 : 0,
+    ]
+  );
+
+  return getAsync(`SELECT * FROM trip_series WHERE id = ?`, [ins.lastID]);
+}
+
+// Расписания водителя + сколько будущих поездок по каждому уже создано
+function getDriverSeriesByTelegramId(telegramId) {
+  return allAsync(
+    `
+      SELECT
+        s.*,
+        (
+          SELECT COUNT(*)
+          FROM trips t
+          WHERE t.series_id = s.id
+            AND t.status = 'active'
+            AND datetime(t.departure_time) >= datetime('now','localtime')
+        ) AS upcoming_trips_count
+      FROM trip_series s
+      JOIN users u ON u.id = s.driver_id
+      WHERE u.telegram_id = ?
+      ORDER BY s.id DESC
+    `,
+    [String(telegramId)]
+  );
+}
+
+// Пауза / возобновление / завершение расписания.
+// При завершении удаляем будущие поездки серии, на которые никто не бронировал;
+// поездки с бронями остаются — их водитель отменяет сам, как обычные.
+async function setTripSeriesStatus({ seriesId, driverId, status }) {
+  if (!['active', 'paused', 'ended'].includes(status)) {
+    throw seriesError('BAD_STATUS', 'Некорректный статус расписания');
+  }
+
+  return withTransaction(async () => {
+    const series = await getAsync(`SELECT * FROM trip_series WHERE id = ?`, [
+      Number(seriesId),
+    ]);
+    if (!series) {
+      throw seriesError('SERIES_NOT_FOUND', 'Расписание не найдено');
+    }
+    if (series.driver_id !== Number(driverId)) {
+      throw seriesError('FORBIDDEN', 'Нет прав на изменение этого расписания');
+    }
+    if (series.status === 'ended') {
+      throw seriesError('BAD_STATUS', 'Расписание уже завершено');
+    }
+
+    await runAsync(
+      `
+        UPDATE trip_series
+        SET status = ?,
+            ended_at = CASE WHEN ? = 'ended' THEN datetime('now','localtime') ELSE NULL END
+        WHERE id = ?
+      `,
+      [status, status, series.id]
+    );
+
+    let removedTripIds = [];
+    if (status === 'ended') {
+      const removable = await allAsync(
+        `
+          SELECT id
+          FROM trips
+          WHERE series_id = ?
+            AND status = 'active'
+            AND datetime(departure_time) > datetime('now','localtime')
+            AND NOT EXISTS (SELECT 1 FROM bookings b WHERE b.trip_id = trips.id)
+        `,
+        [series.id]
+      );
+      removedTripIds = removable.map((t) => t.id);
+
+      for (const tripId of removedTripIds) {
+        await runAsync(`DELETE FROM trips WHERE id = ?`, [tripId]);
+      }
+    }
+
+    const updated = await getAsync(`SELECT * FROM trip_series WHERE id = ?`, [series.id]);
+    return { series: updated, removedTrips: removedTripIds.length, removedTripIds };
+  });
+}
+
+// Создаёт поездки по активным расписаниям на SERIES_WINDOW_DAYS дней вперёд.
+// Повторный запуск ничего не дублирует: на каждую дату — одна поездка (уникальный индекс),
+// удалённые водителем даты пропускаются. Возвращает созданные поездки.
+async function generateSeriesTrips({ seriesId } = {}) {
+  const seriesList = await allAsync(
+    `
+      SELECT s.*
+      FROM trip_series s
+      JOIN users u ON u.id = s.driver_id
+      WHERE s.status = 'active'
+        AND COALESCE(u.is_blocked, 0) = 0
+        ${seriesId ? 'AND s.id = ?' : ''}
+    `,
+    seriesId ? [Number(seriesId)] : []
+  );
+
+  const created = [];
+  const now = Date.now();
+  const today = new Date();
+
+  for (const series of seriesList) {
+    const days = String(series.days_of_week).split(',').map(Number);
+
+    for (let offset = 0; offset <= SERIES_WINDOW_DAYS; offset++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      if (!days.includes(day.getDay())) continue;
+
+      const seriesDate = formatLocalDate(day);
+      const departureTime = `${seriesDate}T${series.departure_clock}`;
+      if (Date.parse(departureTime) <= now) continue;
+
+      const exists = await getAsync(
+        `
+          SELECT 1 AS found FROM trips WHERE series_id = ? AND series_date = ?
+          UNION ALL
+          SELECT 1 AS found FROM trip_series_skips WHERE series_id = ? AND series_date = ?
+        `,
+        [series.id, seriesDate, series.id, seriesDate]
+      );
+      if (exists) continue;
+
+      try {
+        const trip = await createTrip({
+          driverId: series.driver_id,
+          fromCity: series.from_city,
+          toCity: series.to_city,
+          departureTime,
+          seatsTotal: series.seats_total,
+          pricePerSeat: series.price_per_seat,
+          note: series.note,
+          requiresApproval: !!series.requires_approval,
+          seriesId: series.id,
+          seriesDate,
+        });
+        created.push(trip);
+      } catch (err) {
+        // параллельный запуск уже создал эту дату
+        if (err.code === 'SQLITE_CONSTRAINT') continue;
+        throw err;
+      }
+    }
+  }
+
+  return created;
+}
+
+// Редактирование опубликованной поездки водителем.
+// Поля, которые не переданы (undefined), не меняются. Уже созданные брони
+// сохраняют свою сумму (amount_total), поэтому новая цена касается только новых броней.
+async function updateTripByDriver({
   tripId,
-  passengerTelegramId,
-  seatsBooked,
+  driverId,
+  departureTime,
+  pricePerSeat,
+  seatsTotal,
+  note,
 }) {
-  const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [Number(tripId)]);
-  if (!trip) {
+  const tripIdNum = Number(tripId);
+  const driverIdNum = Number(driverId);
+
+  const current = await getAsync(`SELECT * FROM trips WHERE id = ?`, [tripIdNum]);
+  if (!current) {
     const e = new Error('Поездка не найдена');
     e.code = 'TRIP_NOT_FOUND';
     throw e;
   }
-
-  const seatsNum = Number(seatsBooked);
-  if (!Number.isFinite(seatsNum) || seatsNum <= 0) {
-    const e = new Error('Некорректное количество мест');
-    e.code = 'BAD_SEATS';
+  if (current.driver_id !== driverIdNum) {
+    const e = new Error('Нет прав на изменение этой поездки');
+    e.code = 'FORBIDDEN';
+    throw e;
+  }
+  if (current.status !== 'active') {
+    const e = new Error('Поездка отменена или завершена');
+    e.code = 'BAD_STATUS';
     throw e;
   }
 
-  if (trip.seats_available < seatsNum) {
-    const e = new Error('Недостаточно свободных мест');
-    e.code = 'NOT_ENOUGH_SEATS';
+  const departTs = Date.parse(current.departure_time);
+  if (Number.isFinite(departTs) && Date.now() >= departTs) {
+    const e = new Error('Нельзя изменить поездку после её начала');
+    e.code = 'TOO_LATE';
     throw e;
   }
 
-  const passenger = await getUserByTelegramId(passengerTelegramId);
-  if (!passenger) {
-    const e = new Error('Пассажир не найден');
-    e.code = 'PASSENGER_NOT_FOUND';
+  if (departureTime !== undefined && !Number.isFinite(Date.parse(departureTime))) {
+    const e = new Error('Некорректное время выезда');
+    e.code = 'BAD_TIME';
+    throw e;
+  }
+  if (departureTime !== undefined && Date.parse(departureTime) <= Date.now()) {
+    const e = new Error('Время выезда уже прошло');
+    e.code = 'PAST_TIME';
     throw e;
   }
 
-  const pricePerSeat = Number(trip.price_per_seat);
-  const amountTotal = pricePerSeat * seatsNum;
-  const appFee = Math.round(amountTotal * APP_FEE_PERCENT);
-  const driverAmount = amountTotal - appFee;
+  let pricePerSeatNum;
+  if (pricePerSeat !== undefined) {
+    pricePerSeatNum = Number(pricePerSeat);
+    if (!Number.isFinite(pricePerSeatNum) || pricePerSeatNum < 0) {
+      const e = new Error('Некорректная цена за место');
+      e.code = 'BAD_PRICE';
+      throw e;
+    }
+  }
 
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION', (errBegin) => {
-        if (errBegin) return reject(errBegin);
+  let seatsTotalNum;
+  if (seatsTotal !== undefined) {
+    seatsTotalNum = Number(seatsTotal);
+    if (!Number.isInteger(seatsTotalNum) || seatsTotalNum <= 0) {
+      const e = new Error('Некорректное число мест');
+      e.code = 'BAD_SEATS';
+      throw e;
+    }
+  }
 
-        db.run(
-          `
-            INSERT INTO bookings (
-              trip_id,
-              passenger_id,
-              seats_booked,
-              amount_total,
-              driver_amount,
-              app_fee,
-              status,
-              created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, 'booked', datetime('now','localtime'))
-          `,
-          [
-            trip.id,
-            passenger.id,
-            seatsNum,
-            amountTotal,
-            driverAmount,
-            appFee,
-          ],
-          function (errInsert) {
-            if (errInsert) {
-              db.run('ROLLBACK');
-              return reject(errInsert);
-            }
+  const { before, after } = await withTransaction(async () => {
+    // Перечитываем внутри транзакции: между проверками могли появиться новые брони
+    const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [tripIdNum]);
+    const seatsTaken = trip.seats_total - trip.seats_available;
 
-            const bookingId = this.lastID;
+    const newSeatsTotal = seatsTotalNum !== undefined ? seatsTotalNum : trip.seats_total;
+    if (newSeatsTotal < seatsTaken) {
+      const e = new Error('Нельзя сделать мест меньше, чем уже забронировано');
+      e.code = 'SEATS_BELOW_BOOKED';
+      e.seatsTaken = seatsTaken;
+      throw e;
+    }
 
-            db.run(
-              `
-                UPDATE trips
-                SET seats_available = seats_available - ?
-                WHERE id = ?
-              `,
-              [seatsNum, trip.id],
-              (errUpdate) => {
-                if (errUpdate) {
-                  db.run('ROLLBACK');
-                  return reject(errUpdate);
-                }
-
-                db.run('COMMIT', async (errCommit) => {
-                  if (errCommit) return reject(errCommit);
-
-                  try {
-                    const booking = await getAsync(
-                      `SELECT * FROM bookings WHERE id = ?`,
-                      [bookingId]
-                    );
-                    resolve({ booking, trip, passenger });
-                  } catch (e) {
-                    reject(e);
-                  }
-                });
-              }
-            );
+    await runAsync(
+      `
+        UPDATE trips
+        SET departure_time = ?,
+            price_per_seat = ?,
+            seats_total = ?,
+            seats_available = ?,
+            note = ?
+        WHERE id = ?
+      `,
+      [
+        departureTime !== undefined ? departureTime : trip.departure_time,
+        pricePerSeatNum !== undefined ? pricePerSeatNum : trip.price_per_seat,
+        newSeatsTotal,
+        newSeatsTotal - seatsTaken,
+        note !== undefined ? note || null : trip.note,
+        tripIdNum,
+      ]
+    );
+
+    // Для маршрута с остановками: время отправления — у остановки 0,
+    // полная цена — у последней остановки
+    const stopRows = await allAsync(
+      `SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY stop_index`,
+      [tripIdNum]
+    );
+    if (stopRows.length >= 2) {
+      const last = stopRows[stopRows.length - 1];
+      const prev = stopRows[stopRows.length - 2];
+      if (pricePerSeatNum !== undefined && pricePerSeatNum < Number(prev.price_from_start)) {
+        const e = new Error('Цена за весь маршрут меньше цены до промежуточной остановки');
+        e.code = 'BAD_PRICE';
+        throw e;
+      }
+      if (pricePerSeatNum !== undefined) {
+        await runAsync(`UPDATE trip_stops SET price_from_start = ? WHERE id = ?`, [
+          pricePerSeatNum,
+          last.id,
+        ]);
+      }
+      if (departureTime !== undefined) {
+        // Промежуточные остановки сдвигаются на столько же, сколько отправление
+        const deltaMs = Date.parse(departureTime) - Date.parse(trip.departure_time);
+        for (const stop of stopRows) {
+          let stopTime = stop.departure_time;
+          if (stop.stop_index === 0) {
+            stopTime = departureTime;
+          } else if (stopTime && Number.isFinite(deltaMs)) {
+            stopTime = shiftLocalDateTime(stopTime, deltaMs);
           }
-        );
-      });
-    });
+          if (stopTime !== stop.departure_time) {
+            await runAsync(`UPDATE trip_stops SET departure_time = ? WHERE id = ?`, [
+              stopTime,
+              stop.id,
+            ]);
+          }
+        }
+      }
+    }
+
+    const updated = await getAsync(`SELECT * FROM trips WHERE id = ?`, [tripIdNum]);
+    return { before: trip, after: updated };
   });
-}
 
-// Бронирования по поездке для водителя
-async function getTripBookingsForDriver(tripId, driverId) {
-  const rows = await allAsync(
+  const changes = [];
+  ['departure_time', 'price_per_seat', 'seats_total', 'note'].forEach((field) => {
+    const from = before[field] === null ? '' : before[field];
+    const to = after[field] === null ? '' : after[field];
+    if (String(from) !== String(to)) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  });
+
+  const passengers = await allAsync(
     `
       SELECT
-        b.*,
-        p.first_name AS passenger_first_name,
-        p.last_name AS passenger_last_name,
-        p.username AS passenger_username,
-        p.no_show_count AS passenger_no_show_count
+        b.id AS booking_id,
+        b.status,
+        b.seats_booked,
+        b.amount_total,
+        p.telegram_id AS passenger_telegram_id
       FROM bookings b
-      JOIN trips t ON t.id = b.trip_id
       JOIN users p ON p.id = b.passenger_id
       WHERE b.trip_id = ?
-        AND t.driver_id = ?
-      ORDER BY b.created_at ASC
+        AND b.status IN ('booked', 'pending')
+    `,
+    [tripIdNum]
+  );
+
+  return { before, trip: after, changes, passengers };
+}
+
+// Отмена поездки водителем (например, сломалась машина).
+// Поездка остаётся в базе со статусом cancelled, все активные брони и заявки
+// помечаются cancelled_by_driver, а водителю засчитывается отмена
+// (driver_cancel_count — аналог no_show_count у пассажиров).
+async function cancelTripByDriver({ tripId, driverId, reason }) {
+  const tripIdNum = Number(tripId);
+  const driverIdNum = Number(driverId);
+
+  const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [tripIdNum]);
+  if (!trip) {
+    const e = new Error('Поездка не найдена');
+    e.code = 'TRIP_NOT_FOUND';
+    throw e;
+  }
+  if (trip.driver_id !== driverIdNum) {
+    const e = new Error('Нет прав на отмену этой поездки');
+    e.code = 'FORBIDDEN';
+    throw e;
+  }
+  if (trip.status !== 'active') {
+    const e = new Error('Поездка уже отменена или завершена');
+    e.code = 'BAD_STATUS';
+    throw e;
+  }
+
+  const departTs = Date.parse(trip.departure_time);
+  if (Number.isFinite(departTs) && Date.now() >= departTs) {
+    const e = new Error('Нельзя отменить поездку после её начала');
+    e.code = 'TOO_LATE';
+    throw e;
+  }
+
+  const bookings = await withTransaction(async () => {
+    const upd = await runAsync(
+      `
+        UPDATE trips
+        SET status = 'cancelled',
+            cancel_reason = ?,
+            cancelled_at = datetime('now','localtime'),
+            seats_available = seats_total
+        WHERE id = ? AND status = 'active'
+      `,
+      [reason || null, tripIdNum]
+    );
+    if (!upd.changes) {
+      const e = new Error('Поездка уже отменена или завершена');
+      e.code = 'BAD_STATUS';
+      throw e;
+    }
+
+    const affected = await allAsync(
+      `
+        SELECT
+          b.*,
+          p.telegram_id AS passenger_telegram_id
+        FROM bookings b
+        JOIN users p ON p.id = b.passenger_id
+        WHERE b.trip_id = ?
+          AND b.status IN ('booked', 'pending', 'offered')
+      `,
+      [tripIdNum]
+    );
+
+    await runAsync(
+      `
+        UPDATE bookings
+        SET status = 'cancelled_by_driver', decided_at = datetime('now','localtime')
+        WHERE trip_id = ?
+          AND status IN ('booked', 'pending', 'offered')
+      `,
+      [tripIdNum]
+    );
+
+    await runAsync(
+      `
+        UPDATE trip_waitlist
+        SET status = 'cancelled'
+        WHERE trip_id = ? AND status IN ('waiting', 'offered')
+      `,
+      [tripIdNum]
+    );
+
+    // Отмена без пассажиров никого не подводит и на надёжность не влияет
+    if (affected.length > 0) {
+      await runAsync(
+        `
+          UPDATE users
+          SET driver_cancel_count = COALESCE(driver_cancel_count, 0) + 1
+          WHERE id = ?
+        `,
+        [driverIdNum]
+      );
+    }
+
+    return affected;
+  });
+
+  const cancelledTrip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [tripIdNum]);
+  return { trip: cancelledTrip, bookings };
+}
+
+// ---------------- БРОНИРОВАНИЯ ----------------
+
+async function createBooking({
+  tripId,
+  passengerTelegramId,
+  seatsBooked,
+  fromStopIndex,
+  toStopIndex,
+  waitlistOffer,
+}) {
+  const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [Number(tripId)]);
+  if (!trip) {
+    const e = new Error('Поездка не найдена');
+    e.code = 'TRIP_NOT_FOUND';
+    throw e;
+  }
+
+  if (trip.status !== 'active') {
+    const e = new Error('Поездка отменена');
+    e.code = 'TRIP_NOT_ACTIVE';
+    throw e;
+  }
+
+  const seatsNum = Number(seatsBooked);
+  if (!Number.isFinite(seatsNum) || seatsNum <= 0) {
+    const e = new Error('Некорректное количество мест');
+    e.code = 'BAD_SEATS';
+    throw e;
+  }
+
+  const passenger = await getUserByTelegramId(passengerTelegramId);
+  if (!passenger) {
+    const e = new Error('Пассажир не найден');
+    e.code = 'PASSENGER_NOT_FOUND';
+    throw e;
+  }
+
+  // Участок маршрута: по умолчанию — весь маршрут
+  const [tripWithRoute] = await attachTripRoutes([trip]);
+  const stops = tripWithRoute.stops;
+  const lastIndex = stops.length - 1;
+  const fromIndex =
+    fromStopIndex === undefined || fromStopIndex === null ? 0 : Number(fromStopIndex);
+  const toIndex =
+    toStopIndex === undefined || toStopIndex === null ? lastIndex : Number(toStopIndex);
+
+  if (
+    !Number.isInteger(fromIndex) ||
+    !Number.isInteger(toIndex) ||
+    fromIndex < 0 ||
+    toIndex > lastIndex ||
+    fromIndex >= toIndex
+  ) {
+    const e = new Error('Некорректный участок маршрута');
+    e.code = 'BAD_STOPS';
+    throw e;
+  }
+
+  const hasStops = stops.length > 2;
+  const pricePerSeat = stops[toIndex].price_from_start - stops[fromIndex].price_from_start;
+  const amountTotal = pricePerSeat * seatsNum;
+  const { appFee, driverAmount, feeRuleId } = await calcAppFee({
+    amountTotal,
+    driverId: trip.driver_id,
+    fromCity: stops[fromIndex].city,
+    toCity: stops[toIndex].city,
+  });
+
+  // В режиме ручного подтверждения бронь создаётся заявкой (pending),
+  // места при этом удерживаются до решения водителя или до истечения срока.
+  // Предложение из листа ожидания (offered) удерживает места, пока пассажир не ответит.
+  let status = trip.requires_approval ? 'pending' : 'booked';
+  let holdMinutes = trip.requires_approval ? BOOKING_HOLD_MINUTES : null;
+  if (waitlistOffer) {
+    status = 'offered';
+    holdMinutes = WAITLIST_OFFER_MINUTES;
+  }
+
+  const bookingId = await withTransaction(async () => {
+    if (hasStops) {
+      // Маршрут с остановками: место свободно, если оно свободно на каждом
+      // отрезке участка. Проверяем по актуальным броням внутри транзакции.
+      const fresh = await getAsync(`SELECT * FROM trips WHERE id = ?`, [trip.id]);
+      const [freshWithRoute] = await attachTripRoutes([fresh]);
+      if (
+        fresh.status !== 'active' ||
+        segmentSeatsAvailable(freshWithRoute, fromIndex, toIndex) < seatsNum
+      ) {
+        const e = new Error('Недостаточно свободных мест');
+        e.code = 'NOT_ENOUGH_SEATS';
+        throw e;
+      }
+    } else {
+      // Проверка и списание мест одним запросом: если мест уже не хватает,
+      // строка не обновится и бронь не создаётся
+      const upd = await runAsync(
+        `
+          UPDATE trips
+          SET seats_available = seats_available - ?
+          WHERE id = ?
+            AND status = 'active'
+            AND seats_available >= ?
+        `,
+        [seatsNum, trip.id, seatsNum]
+      );
+
+      if (!upd.changes) {
+        const e = new Error('Недостаточно свободных мест');
+        e.code = 'NOT_ENOUGH_SEATS';
+        throw e;
+      }
+    }
+
+    const ins = await runAsync(
+      `
+        INSERT INTO bookings (
+          trip_id,
+          passenger_id,
+          seats_booked,
+          amount_total,
+          driver_amount,
+          app_fee,
+          fee_rule_id,
+          status,
+          hold_expires_at,
+          from_stop_index,
+          to_stop_index,
+          pickup_city,
+          dropoff_city,
+          created_at
+        ) VALUES (
+          ?, ?, ?, ?, ?, ?, ?, ?,
+          CASE WHEN ? IS NOT NULL
+            THEN datetime('now','localtime', '+' || ? || ' minutes')
+            ELSE NULL
+          END,
+          ?, ?, ?, ?,
+          datetime('now','localtime')
+        )
+      `,
+      [
+        trip.id,
+        passenger.id,
+        seatsNum,
+        amountTotal,
+        driverAmount,
+        appFee,
+        feeRuleId,
+        status,
+        holdMinutes,
+        holdMinutes,
+        fromIndex,
+        toIndex,
+        stops[fromIndex].city,
+        stops[toIndex].city,
+      ]
+    );
+
+    if (hasStops) {
+      await refreshTripSeats(trip.id);
+    }
+
+    return ins.lastID;
+  });
+
+  const booking = await getAsync(`SELECT * FROM bookings WHERE id = ?`, [bookingId]);
+  const updatedTrip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [trip.id]);
+
+  return { booking, trip: updatedTrip, passenger };
+}
+
+// Бронирования по поездке для водителя
+async function getTripBookingsForDriver(tripId, driverId) {
+  const rows = await allAsync(
+    `
+      SELECT
+        b.*,
+        t.departure_time,
+        p.first_name AS passenger_first_name,
+        p.last_name AS passenger_last_name,
+        p.username AS passenger_username,
+        p.no_show_count AS passenger_no_show_count,
+        ${ratingColumnsSql('p.id', 'passenger')}
+      FROM bookings b
+      JOIN trips t ON t.id = b.trip_id
+      JOIN users p ON p.id = b.passenger_id
+      WHERE b.trip_id = ?
+        AND t.driver_id = ?
+      ORDER BY b.created_at ASC
+    `,
+    [Number(tripId), Number(driverId)]
+  );
+
+  return rows;
+}
+
+// Заявка (pending) вместе с поездкой и пассажиром — для решения водителя и уведомлений
+function getBookingWithTrip(bookingId) {
+  return getAsync(
+    `
+      SELECT
+        b.*,
+        t.driver_id,
+        t.from_city,
+        t.to_city,
+        t.departure_time,
+        p.telegram_id AS passenger_telegram_id,
+        p.first_name AS passenger_first_name,
+        p.last_name AS passenger_last_name,
+        p.username AS passenger_username,
+        d.telegram_id AS driver_telegram_id
+      FROM bookings b
+      JOIN trips t ON t.id = b.trip_id
+      JOIN users p ON p.id = b.passenger_id
+      JOIN users d ON d.id = t.driver_id
+      WHERE b.id = ?
+    `,
+    [Number(bookingId)]
+  );
+}
+
+// Снять удержание мест с pending-заявки или offered-предложения
+// (отказ / истечение срока). Вызывается только внутри транзакции.
+// Возвращает true, если статус поменялся.
+async function releasePendingBooking(booking, newStatus, fromStatus = 'pending') {
+  const upd = await runAsync(
+    `
+      UPDATE bookings
+      SET status = ?, decided_at = datetime('now','localtime')
+      WHERE id = ? AND status = ?
+    `,
+    [newStatus, booking.id, fromStatus]
+  );
+  if (!upd.changes) return false;
+
+  await refreshTripSeats(booking.trip_id);
+  return true;
+}
+
+// Решение водителя по заявке: approve = true — подтвердить, false — отклонить
+async function decidePendingBooking({ bookingId, driverId, approve }) {
+  const row = await getBookingWithTrip(bookingId);
+  if (!row) {
+    const e = new Error('Бронирование не найдено');
+    e.code = 'BOOKING_NOT_FOUND';
+    throw e;
+  }
+  if (row.driver_id !== Number(driverId)) {
+    const e = new Error('Нет прав на изменение этого бронирования');
+    e.code = 'FORBIDDEN';
+    throw e;
+  }
+
+  const changed = await withTransaction(async () => {
+    if (!approve) {
+      return releasePendingBooking(row, 'declined');
+    }
+
+    const upd = await runAsync(
+      `
+        UPDATE bookings
+        SET status = 'booked', decided_at = datetime('now','localtime')
+        WHERE id = ? AND status = 'pending'
+      `,
+      [row.id]
+    );
+    return upd.changes > 0;
+  });
+
+  if (!changed) {
+    const e = new Error('Заявка уже обработана или истекла');
+    e.code = 'BAD_STATUS';
+    throw e;
+  }
+
+  return getBookingWithTrip(row.id);
+}
+
+// Истёкшие заявки: водитель не ответил вовремя или поездка уже началась.
+// Места возвращаются в свободные. Возвращает список истёкших заявок.
+async function expirePendingBookings() {
+  const rows = await allAsync(
+    `
+      SELECT b.id
+      FROM bookings b
+      JOIN trips t ON t.id = b.trip_id
+      WHERE b.status = 'pending'
+        AND (
+          b.hold_expires_at <= datetime('now','localtime')
+          OR datetime(t.departure_time) <= datetime('now','localtime')
+        )
+    `
+  );
+
+  const expired = [];
+  for (const { id } of rows) {
+    const booking = await getBookingWithTrip(id);
+    if (!booking) continue;
+
+    const changed = await withTransaction(() => releasePendingBooking(booking, 'expired'));
+    if (changed) expired.push(booking);
+  }
+
+  return expired;
+}
+
+// ---------------- ЛИСТ ОЖИДАНИЯ ----------------
+
+function waitlistError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Встать в очередь на поездку (на весь маршрут или участок)
+async function joinWaitlist({ tripId, passengerTelegramId, seatsNeeded, fromStopIndex, toStopIndex }) {
+  const trip = await getTripWithDriver(tripId);
+  if (!trip) throw waitlistError('TRIP_NOT_FOUND', 'Поездка не найдена');
+  if (trip.status !== 'active') throw waitlistError('TRIP_NOT_ACTIVE', 'Поездка отменена');
+
+  const passenger = await getUserByTelegramId(passengerTelegramId);
+  if (!passenger) throw waitlistError('PASSENGER_NOT_FOUND', 'Пассажир не найден');
+  if (passenger.id === trip.driver_id) {
+    throw waitlistError('FORBIDDEN', 'Нельзя встать в очередь на свою поездку');
+  }
+
+  const seatsNum = Number(seatsNeeded);
+  if (!Number.isInteger(seatsNum) || seatsNum <= 0 || seatsNum > trip.seats_total) {
+    throw waitlistError('BAD_SEATS', 'Некорректное количество мест');
+  }
+
+  const lastIndex = trip.stops.length - 1;
+  const fromIndex =
+    fromStopIndex === undefined || fromStopIndex === null ? 0 : Number(fromStopIndex);
+  const toIndex =
+    toStopIndex === undefined || toStopIndex === null ? lastIndex : Number(toStopIndex);
+  if (
+    !Number.isInteger(fromIndex) ||
+    !Number.isInteger(toIndex) ||
+    fromIndex < 0 ||
+    toIndex > lastIndex ||
+    fromIndex >= toIndex
+  ) {
+    throw waitlistError('BAD_STOPS', 'Некорректный участок маршрута');
+  }
+
+  if (segmentSeatsAvailable(trip, fromIndex, toIndex) >= seatsNum) {
+    throw waitlistError('SEATS_AVAILABLE', 'Места есть — можно бронировать сразу');
+  }
+
+  const existing = await getAsync(
+    `
+      SELECT id FROM trip_waitlist
+      WHERE trip_id = ? AND passenger_id = ? AND status IN ('waiting', 'offered')
+    `,
+    [trip.id, passenger.id]
+  );
+  if (existing) throw waitlistError('ALREADY_WAITING', 'Вы уже в листе ожидания');
+
+  const ins = await runAsync(
+    `
+      INSERT INTO trip_waitlist (trip_id, passenger_id, seats_needed, from_stop_index, to_stop_index)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+    [trip.id, passenger.id, seatsNum, fromIndex, toIndex]
+  );
+
+  const entry = await getAsync(`SELECT * FROM trip_waitlist WHERE id = ?`, [ins.lastID]);
+  const pos = await getAsync(
+    `SELECT COUNT(*) AS cnt FROM trip_waitlist WHERE trip_id = ? AND status = 'waiting' AND id <= ?`,
+    [trip.id, entry.id]
+  );
+
+  return { ...entry, position: pos ? pos.cnt : 1 };
+}
+
+// Выйти из очереди (только пока предложение не сделано)
+async function leaveWaitlist({ entryId, passengerId }) {
+  const upd = await runAsync(
+    `
+      UPDATE trip_waitlist
+      SET status = 'cancelled'
+      WHERE id = ? AND passenger_id = ? AND status = 'waiting'
+    `,
+    [Number(entryId), Number(passengerId)]
+  );
+  if (!upd.changes) {
+    throw waitlistError('BAD_STATUS', 'Запись в листе ожидания не найдена');
+  }
+}
+
+// Очередь пассажира (ожидание и активные предложения) с данными поездки
+function getPassengerWaitlistByTelegramId(telegramId) {
+  return allAsync(
+    `
+      SELECT
+        w.*,
+        t.from_city,
+        t.to_city,
+        t.departure_time,
+        b.hold_expires_at AS offer_expires_at
+      FROM trip_waitlist w
+      JOIN users p ON p.id = w.passenger_id
+      JOIN trips t ON t.id = w.trip_id
+      LEFT JOIN bookings b ON b.id = w.offer_booking_id
+      WHERE p.telegram_id = ?
+        AND w.status IN ('waiting', 'offered')
+      ORDER BY datetime(t.departure_time) ASC
+    `,
+    [String(telegramId)]
+  );
+}
+
+// Раздать освободившиеся места по очереди: каждому, чей участок помещается,
+// создаётся бронь offered. Те, кому мест не хватает, остаются ждать.
+// Возвращает созданные предложения (бронь + поездка + пассажир).
+async function offerWaitlistSeats(tripId) {
+  const entries = await allAsync(
+    `
+      SELECT w.*, p.telegram_id AS passenger_telegram_id
+      FROM trip_waitlist w
+      JOIN users p ON p.id = w.passenger_id
+      WHERE w.trip_id = ? AND w.status = 'waiting'
+      ORDER BY w.id ASC
+    `,
+    [Number(tripId)]
+  );
+
+  const offers = [];
+  for (const entry of entries) {
+    // Забираем запись из очереди, чтобы параллельный запуск не предложил её ещё раз
+    const claim = await runAsync(
+      `UPDATE trip_waitlist SET status = 'offered' WHERE id = ? AND status = 'waiting'`,
+      [entry.id]
+    );
+    if (!claim.changes) continue;
+
+    try {
+      const result = await createBooking({
+        tripId: entry.trip_id,
+        passengerTelegramId: entry.passenger_telegram_id,
+        seatsBooked: entry.seats_needed,
+        fromStopIndex: entry.from_stop_index,
+        toStopIndex: entry.to_stop_index,
+        waitlistOffer: true,
+      });
+
+      await runAsync(`UPDATE trip_waitlist SET offer_booking_id = ? WHERE id = ?`, [
+        result.booking.id,
+        entry.id,
+      ]);
+      offers.push(result);
+    } catch (err) {
+      await runAsync(`UPDATE trip_waitlist SET status = 'waiting' WHERE id = ?`, [entry.id]);
+      if (err.code === 'NOT_ENOUGH_SEATS') continue;
+      if (err.code === 'TRIP_NOT_ACTIVE') break;
+      throw err;
+    }
+  }
+
+  return offers;
+}
+
+// Ответ пассажира на предложение из листа ожидания.
+// accept = true: бронь становится booked (или pending, если водитель подтверждает вручную)
+async function respondWaitlistOffer({ bookingId, passengerId, accept }) {
+  const row = await getBookingWithTrip(bookingId);
+  if (!row || row.passenger_id !== Number(passengerId)) {
+    throw waitlistError('BOOKING_NOT_FOUND', 'Предложение не найдено');
+  }
+
+  const trip = await getAsync(`SELECT * FROM trips WHERE id = ?`, [row.trip_id]);
+
+  const changed = await withTransaction(async () => {
+    if (!accept) {
+      const released = await releasePendingBooking(row, 'declined', 'offered');
+      if (released) {
+        await runAsync(
+          `UPDATE trip_waitlist SET status = 'cancelled' WHERE offer_booking_id = ?`,
+          [row.id]
+        );
+      }
+      return released;
+    }
+
+    const upd = await runAsync(
+      `
+        UPDATE bookings
+        SET status = CASE WHEN ? = 1 THEN 'pending' ELSE 'booked' END,
+            hold_expires_at = CASE WHEN ? = 1
+              THEN datetime('now','localtime', '+' || ? || ' minutes')
+              ELSE NULL
+            END,
+            decided_at = datetime('now','localtime')
+        WHERE id = ?
+          AND status = 'offered'
+          AND hold_expires_at > datetime('now','localtime')
+      `,
+      [trip.requires_approval, trip.requires_approval, BOOKING_HOLD_MINUTES, row.id]
+    );
+    if (upd.changes) {
+      await runAsync(
+        `UPDATE trip_waitlist SET status = 'accepted' WHERE offer_booking_id = ?`,
+        [row.id]
+      );
+    }
+    return upd.changes > 0;
+  });
+
+  if (!changed) {
+    throw waitlistError('BAD_STATUS', 'Предложение уже истекло или обработано');
+  }
+
+  return getBookingWithTrip(row.id);
+}
+
+// Предложения, на которые пассажир не ответил вовремя: места возвращаются,
+// запись в очереди закрывается. Возвращает истёкшие предложения.
+async function expireWaitlistOffers() {
+  const rows = await allAsync(
+    `
+      SELECT b.id
+      FROM bookings b
+      JOIN trips t ON t.id = b.trip_id
+      WHERE b.status = 'offered'
+        AND (
+          b.hold_expires_at <= datetime('now','localtime')
+          OR datetime(t.departure_time) <= datetime('now','localtime')
+        )
+    `
+  );
+
+  const expired = [];
+  for (const { id } of rows) {
+    const booking = await getBookingWithTrip(id);
+    if (!booking) continue;
+
+    const changed = await withTransaction(async () => {
+      const released = await releasePendingBooking(booking, 'expired', 'offered');
+      if (released) {
+        await runAsync(
+          `UPDATE trip_waitlist SET status = 'expired' WHERE offer_booking_id = ?`,
+          [booking.id]
+        );
+      }
+      return released;
+    });
+    if (changed) expired.push(booking);
+  }
+
+  return expired;
+}
+
+// ---------------- ОТЗЫВЫ ----------------
+
+function reviewError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Средняя оценка и число отзывов о пользователе
+async function getUserRating(userId) {
+  const row = await getAsync(
+    `
+      SELECT ROUND(AVG(rating), 1) AS rating_avg, COUNT(*) AS rating_count
+      FROM reviews
+      WHERE target_id = ?
+    `,
+    [Number(userId)]
+  );
+  return { rating_avg: row ? row.rating_avg : null, rating_count: row ? row.rating_count : 0 };
+}
+
+// Состоявшиеся брони, по которым ещё не просили оценку
+function getBookingsDueForReviewPrompt() {
+  return allAsync(
+    `
+      SELECT
+        b.*,
+        t.from_city,
+        t.to_city,
+        t.departure_time,
+        p.telegram_id AS passenger_telegram_id,
+        p.first_name AS passenger_first_name,
+        p.last_name AS passenger_last_name,
+        d.telegram_id AS driver_telegram_id,
+        d.first_name AS driver_first_name,
+        d.last_name AS driver_last_name
+      FROM bookings b
+      JOIN trips t ON t.id = b.trip_id
+      JOIN users p ON p.id = b.passenger_id
+      JOIN users d ON d.id = t.driver_id
+      WHERE b.status = 'booked'
+        AND b.review_prompted_at IS NULL
+        AND t.status IN ('active', 'completed')
+        AND datetime(t.departure_time, '+' || ? || ' minutes') <= datetime('now','localtime')
+    `,
+    [REVIEW_PROMPT_DELAY_MINUTES]
+  );
+}
+
+// Отметить, что просьба об оценке отправлена. true — если отметили именно сейчас
+async function markReviewPrompted(bookingId) {
+  const upd = await runAsync(
+    `
+      UPDATE bookings
+      SET review_prompted_at = datetime('now','localtime')
+      WHERE id = ? AND review_prompted_at IS NULL
+    `,
+    [Number(bookingId)]
+  );
+  return upd.changes > 0;
+}
+
+// Оценка от участника брони: пассажир оценивает водителя, водитель — пассажира.
+// Оценивать можно только после выезда.
+async function saveReview({ bookingId, authorTelegramId, rating }) {
+  const ratingNum = Number(rating);
+  if (!Number.isInteger(ratingNum) || ratingNum < 1 || ratingNum > 5) {
+    throw reviewError('BAD_RATING', 'Оценка должна быть от 1 до 5');
+  }
+
+  const booking = await getBookingWithTrip(bookingId);
+  if (!booking) throw reviewError('BOOKING_NOT_FOUND', 'Бронирование не найдено');
+
+  const author = await getUserByTelegramId(authorTelegramId);
+  if (!author) throw reviewError('FORBIDDEN', 'Нет прав оставлять отзыв по этой брони');
+
+  let targetId;
+  let targetRole;
+  if (author.id === booking.passenger_id) {
+    targetId = booking.driver_id;
+    targetRole = 'driver';
+  } else if (author.id === booking.driver_id) {
+    targetId = booking.passenger_id;
+    targetRole = 'passenger';
+  } else {
+    throw reviewError('FORBIDDEN', 'Нет прав оставлять отзыв по этой брони');
+  }
+
+  if (booking.status !== 'booked' && booking.status !== 'no_show') {
+    throw reviewError('BAD_STATUS', 'Поездка по этой брони не состоялась');
+  }
+  const departTs = Date.parse(booking.departure_time);
+  if (Number.isFinite(departTs) && Date.now() < departTs) {
+    throw reviewError('TOO_EARLY', 'Оценить поездку можно после выезда');
+  }
+
+  await runAsync(
+    `
+      INSERT INTO reviews (booking_id, trip_id, author_id, target_id, target_role, rating)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (booking_id, author_id)
+      DO UPDATE SET rating = excluded.rating, created_at = datetime('now','localtime')
+    `,
+    [booking.id, booking.trip_id, author.id, targetId, targetRole, ratingNum]
+  );
+
+  return getAsync(`SELECT * FROM reviews WHERE booking_id = ? AND author_id = ?`, [
+    booking.id,
+    author.id,
+  ]);
+}
+
+// Текст отзыва (добавляется к уже поставленной оценке)
+async function setReviewText({ reviewId, authorTelegramId, text }) {
+  const author = await getUserByTelegramId(authorTelegramId);
+  const upd = await runAsync(
+    `UPDATE reviews SET text = ? WHERE id = ? AND author_id = ?`,
+    [String(text || '').trim().slice(0, 500) || null, Number(reviewId), author ? author.id : -1]
+  );
+  if (!upd.changes) throw reviewError('REVIEW_NOT_FOUND', 'Отзыв не найден');
+  return getAsync(`SELECT * FROM reviews WHERE id = ?`, [Number(reviewId)]);
+}
+
+// Последние отзывы о пользователе
+function getUserReviews(userId, limit = 10) {
+  return allAsync(
+    `
+      SELECT r.rating, r.text, r.target_role, r.created_at, a.first_name AS author_first_name
+      FROM reviews r
+      JOIN users a ON a.id = r.author_id
+      WHERE r.target_id = ?
+      ORDER BY r.id DESC
+      LIMIT ?
+    `,
+    [Number(userId), limit]
+  );
+}
+
+// ---------------- ОТВЕТЫ НА СООБЩЕНИЯ БОТА ----------------
+
+function saveBotReplyLink({ chatId, messageId, kind, refId }) {
+  return runAsync(
+    `
+      INSERT OR REPLACE INTO bot_reply_links (chat_id, message_id, kind, ref_id)
+      VALUES (?, ?, ?, ?)
+    `,
+    [String(chatId), Number(messageId), kind, Number(refId)]
+  );
+}
+
+function getBotReplyLink(chatId, messageId) {
+  return getAsync(`SELECT * FROM bot_reply_links WHERE chat_id = ? AND message_id = ?`, [
+    String(chatId),
+    Number(messageId),
+  ]);
+}
+
+// ---------------- НАПОМИНАНИЯ О ПОЕЗДКАХ ----------------
+
+// Активные поездки, по которым пора напомнить: kind = 'evening' — выезд завтра и уже
+// наступил вечер, kind = 'hour' — до выезда осталось не больше REMINDER_BEFORE_MINUTES.
+function getTripsDueForReminder() {
+  return allAsync(
+    `
+      SELECT
+        t.id,
+        t.driver_id,
+        t.departure_time,
+        'evening' AS kind
+      FROM trips t
+      WHERE t.status = 'active'
+        AND date(t.departure_time) = date('now','localtime','+1 day')
+        AND CAST(strftime('%H','now','localtime') AS INTEGER) >= ?
+
+      UNION ALL
+
+      SELECT
+        t.id,
+        t.driver_id,
+        t.departure_time,
+        'hour' AS kind
+      FROM trips t
+      WHERE t.status = 'active'
+        AND datetime(t.departure_time) > datetime('now','localtime')
+        AND datetime(t.departure_time) <= datetime('now','localtime','+' || ? || ' minutes')
+    `,
+    [REMINDER_EVENING_HOUR, REMINDER_BEFORE_MINUTES]
+  );
+}
+
+// Подтверждённые брони поездки с данными пассажиров (для напоминаний)
+function getTripBookedPassengers(tripId) {
+  return allAsync(
+    `
+      SELECT
+        b.*,
+        p.telegram_id AS passenger_telegram_id,
+        p.first_name AS passenger_first_name,
+        p.last_name AS passenger_last_name,
+        p.reminders_enabled AS passenger_reminders_enabled
+      FROM bookings b
+      JOIN users p ON p.id = b.passenger_id
+      WHERE b.trip_id = ? AND b.status = 'booked'
+      ORDER BY b.id ASC
+    `,
+    [Number(tripId)]
+  );
+}
+
+// Отметить напоминание отправленным. true — если отметили именно сейчас
+async function markTripReminderSent({ tripId, userId, kind }) {
+  const ins = await runAsync(
+    `INSERT OR IGNORE INTO trip_reminders (trip_id, user_id, kind) VALUES (?, ?, ?)`,
+    [Number(tripId), Number(userId), kind]
+  );
+  return ins.changes > 0;
+}
+
+// ---------------- ПЕРЕПИСКА ----------------
+
+function chatError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Ветка вместе с маршрутом, временем поездки и сроком закрытия.
+// Время берётся из поездки (для брони) или из плана пассажира.
+const CHAT_THREAD_SELECT = `
+  SELECT
+    ct.*,
+    COALESCE(t.from_city, pp.from_city) AS from_city,
+    COALESCE(t.to_city, pp.to_city) AS to_city,
+    COALESCE(t.departure_time, pp.desired_time) AS trip_time,
+    datetime(COALESCE(t.departure_time, pp.desired_time), '+' || ${CHAT_CLOSE_AFTER_HOURS} || ' hours')
+      AS closes_at,
+    CASE
+      WHEN ct.status = 'open'
+        AND datetime(COALESCE(t.departure_time, pp.desired_time), '+' || ${CHAT_CLOSE_AFTER_HOURS} || ' hours')
+          > datetime('now','localtime')
+      THEN 1 ELSE 0
+    END AS is_open,
+    d.telegram_id AS driver_telegram_id,
+    d.first_name AS driver_first_name,
+    p.telegram_id AS passenger_telegram_id,
+    p.first_name AS passenger_first_name
+  FROM chat_threads ct
+  LEFT JOIN bookings b ON b.id = ct.booking_id
+  LEFT JOIN trips t ON t.id = b.trip_id
+  LEFT JOIN passenger_plans pp ON pp.id = ct.plan_id
+  JOIN users d ON d.id = ct.driver_id
+  JOIN users p ON p.id = ct.passenger_id
+`;
+
+function getChatThread(threadId) {
+  return getAsync(`${CHAT_THREAD_SELECT} WHERE ct.id = ?`, [Number(threadId)]);
+}
+
+// Ветка по брони или взятому плану; создаётся при первом обращении.
+// telegramId — кто открывает: ветку создаём, только если это водитель или пассажир,
+// а чужая бронь для него выглядит так же, как несуществующая.
+async function getOrCreateChatThread({ bookingId, planId, telegramId }) {
+  let owner;
+  if (bookingId) {
+    owner = await getAsync(
+      `
+        SELECT
+          b.id,
+          b.passenger_id,
+          t.driver_id,
+          p.telegram_id AS passenger_telegram_id,
+          d.telegram_id AS driver_telegram_id
+        FROM bookings b
+        JOIN trips t ON t.id = b.trip_id
+        JOIN users p ON p.id = b.passenger_id
+        JOIN users d ON d.id = t.driver_id
+        WHERE b.id = ?
+          AND b.status IN ('pending', 'booked', 'no_show')
+      `,
+      [Number(bookingId)]
+    );
+  } else if (planId) {
+    owner = await getAsync(
+      `
+        SELECT
+          pp.id,
+          pp.passenger_id,
+          pp.driver_id,
+          p.telegram_id AS passenger_telegram_id,
+          d.telegram_id AS driver_telegram_id
+        FROM passenger_plans pp
+        JOIN users p ON p.id = pp.passenger_id
+        JOIN users d ON d.id = pp.driver_id
+        WHERE pp.id = ? AND pp.status = 'taken'
+      `,
+      [Number(planId)]
+    );
+  }
+  if (
+    owner &&
+    telegramId !== undefined &&
+    String(telegramId) !== owner.driver_telegram_id &&
+    String(telegramId) !== owner.passenger_telegram_id
+  ) {
+    owner = null;
+  }
+  if (!owner) {
+    throw chatError('THREAD_NOT_FOUND', 'Переписка для этой поездки недоступна');
+  }
+
+  const column = bookingId ? 'booking_id' : 'plan_id';
+  await runAsync(
+    `
+      INSERT OR IGNORE INTO chat_threads (${column}, driver_id, passenger_id)
+      VALUES (?, ?, ?)
+    `,
+    [owner.id, owner.driver_id, owner.passenger_id]
+  );
+
+  return getAsync(`${CHAT_THREAD_SELECT} WHERE ct.${column} = ?`, [owner.id]);
+}
+
+// Ветка глазами участника: роль, собеседник и можно ли ещё писать.
+// Telegram-данные собеседника наружу не отдаются.
+async function getChatThreadForUser(threadId, telegramId) {
+  const thread = await getChatThread(threadId);
+  if (!thread) {
+    throw chatError('THREAD_NOT_FOUND', 'Переписка не найдена');
+  }
+
+  const tgId = String(telegramId);
+  let role;
+  if (thread.driver_telegram_id === tgId) role = 'driver';
+  else if (thread.passenger_telegram_id === tgId) role = 'passenger';
+  else throw chatError('FORBIDDEN', 'Нет доступа к этой переписке');
+
+  return { ...thread, role };
+}
+
+// Сообщение в ветку. Возвращает сообщение, ветку и telegram_id получателя
+async function addChatMessage({ threadId, senderTelegramId, text }) {
+  const body = String(text || '').trim().slice(0, 2000);
+  if (!body) {
+    throw chatError('BAD_TEXT', 'Пустое сообщение');
+  }
+
+  const thread = await getChatThreadForUser(threadId, senderTelegramId);
+  if (!thread.is_open) {
+    throw chatError('THREAD_CLOSED', 'Переписка по этой поездке закрыта');
+  }
+
+  const senderId = thread.role === 'driver' ? thread.driver_id : thread.passenger_id;
+  const ins = await runAsync(
+    `INSERT INTO chat_messages (thread_id, sender_id, text) VALUES (?, ?, ?)`,
+    [thread.id, senderId, body]
+  );
+  const message = await getAsync(`SELECT * FROM chat_messages WHERE id = ?`, [ins.lastID]);
+
+  return {
+    message,
+    thread,
+    recipientTelegramId:
+      thread.role === 'driver' ? thread.passenger_telegram_id : thread.driver_telegram_id,
+  };
+}
+
+function getChatMessages(threadId) {
+  return allAsync(
+    `
+      SELECT m.id, m.sender_id, m.text, m.created_at
+      FROM chat_messages m
+      WHERE m.thread_id = ?
+      ORDER BY m.id ASC
+    `,
+    [Number(threadId)]
+  );
+}
+
+// Ветки пользователя (как водителя и как пассажира), новые сверху
+function getUserChatThreadsByTelegramId(telegramId) {
+  return allAsync(
+    `
+      ${CHAT_THREAD_SELECT}
+      WHERE d.telegram_id = ? OR p.telegram_id = ?
+      ORDER BY ct.id DESC
+      LIMIT 50
+    `,
+    [String(telegramId), String(telegramId)]
+  );
+}
+
+// Закрываем ветки, с поездки по которым прошло CHAT_CLOSE_AFTER_HOURS.
+// Повторный запуск безопасен. Возвращает число закрытых веток.
+async function closeExpiredChatThreads() {
+  const rows = await allAsync(
+    `
+      SELECT id FROM (${CHAT_THREAD_SELECT})
+      WHERE status = 'open'
+        AND closes_at <= datetime('now','localtime')
+    `
+  );
+
+  let closed = 0;
+  for (const row of rows) {
+    const upd = await runAsync(
+      `
+        UPDATE chat_threads
+        SET status = 'closed', closed_at = datetime('now','localtime')
+        WHERE id = ? AND status = 'open'
+      `,
+      [row.id]
+    );
+    closed += upd.changes;
+  }
+  return closed;
+}
+
+// ---------------- ПОДПИСКИ НА МАРШРУТЫ ----------------
+
+function subscriptionError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function parseClock(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const clock = String(value).trim();
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(clock)) {
+    throw subscriptionError('BAD_SUBSCRIPTION', 'Некорректное время');
+  }
+  return clock;
+}
+
+function parsePriceLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw subscriptionError('BAD_SUBSCRIPTION', 'Некорректная цена');
+  }
+  return price;
+}
+
+// Новая подписка. kind: trips — пассажир ждёт поездки, plans — водитель ждёт запросы.
+// daysOfWeek — массив чисел 0..6 (пустой — любой день); timeFrom/timeTo — "HH:MM".
+async function createRouteSubscription({
+  telegramId,
+  kind,
+  fromCity,
+  toCity,
+  daysOfWeek,
+  timeFrom,
+  timeTo,
+  maxPrice,
+  minPrice,
+}) {
+  if (kind !== 'trips' && kind !== 'plans') {
+    throw subscriptionError('BAD_SUBSCRIPTION', 'Неизвестный тип подписки');
+  }
+  const from = String(fromCity || '').trim();
+  const to = String(toCity || '').trim();
+  if (!from || !to) {
+    throw subscriptionError('BAD_SUBSCRIPTION', 'Укажите откуда и куда');
+  }
+
+  const days = Array.from(
+    new Set((Array.isArray(daysOfWeek) ? daysOfWeek : []).map(Number))
+  )
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    .sort();
+  const clockFrom = parseClock(timeFrom);
+  const clockTo = parseClock(timeTo);
+  if (clockFrom && clockTo && clockFrom > clockTo) {
+    throw subscriptionError('BAD_SUBSCRIPTION', 'Начало интервала позже его конца');
+  }
+
+  const user = await getUserByTelegramId(telegramId);
+  if (!user) {
+    throw subscriptionError('USER_NOT_FOUND', 'Пользователь не найден');
+  }
+
+  const countRow = await getAsync(
+    `SELECT COUNT(*) AS cnt FROM route_subscriptions WHERE user_id = ?`,
+    [user.id]
+  );
+  if (countRow.cnt >= MAX_ROUTE_SUBSCRIPTIONS) {
+    throw subscriptionError(
+      'TOO_MANY_SUBSCRIPTIONS',
+      `Не больше ${MAX_ROUTE_SUBSCRIPTIONS} подписок на маршруты`
+    );
+  }
+
+  const ins = await runAsync(
+    `
+      INSERT INTO route_subscriptions (
+        user_id,
+        kind,
+        from_city,
+        to_city,
+        days_of_week,
+        time_from,
+        time_to,
+        max_price,
+        min_price
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      user.id,
+      kind,
+      from,
+      to,
+      days.length ? days.join(',') : null,
+      clockFrom,
+      clockTo,
+      kind === 'trips' ? parsePriceLimit(maxPrice) : null,
+      kind === 'plans' ? parsePriceLimit(minPrice) : null,
+    ]
+  );
+
+  return getAsync(`SELECT * FROM route_subscriptions WHERE id = ?`, [ins.lastID]);
+}
+
+function getUserRouteSubscriptionsByTelegramId(telegramId) {
+  return allAsync(
+    `
+      SELECT s.*
+      FROM route_subscriptions s
+      JOIN users u ON u.id = s.user_id
+      WHERE u.telegram_id = ?
+      ORDER BY s.id DESC
+    `,
+    [telegramId]
+  );
+}
+
+async function deleteRouteSubscription({ subscriptionId, telegramId }) {
+  const row = await getAsync(
+    `
+      SELECT s.id, u.telegram_id
+      FROM route_subscriptions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.id = ?
+    `,
+    [Number(subscriptionId)]
+  );
+  if (!row) {
+    throw subscriptionError('SUBSCRIPTION_NOT_FOUND', 'Подписка не найдена');
+  }
+  if (String(row.telegram_id) !== String(telegramId)) {
+    throw subscriptionError('FORBIDDEN', 'Это не ваша подписка');
+  }
+
+  await runAsync(`DELETE FROM route_subscriptions WHERE id = ?`, [row.id]);
+  return true;
+}
+
+// Подписки нужного типа вместе с telegram_id подписчика.
+// Тем, кто заблокировал бота, оповещения не готовим.
+function getRouteSubscriptionsByKind(kind) {
+  return allAsync(
+    `
+      SELECT s.*, u.telegram_id AS subscriber_telegram_id
+      FROM route_subscriptions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.kind = ?
+        AND u.bot_blocked_at IS NULL
+      ORDER BY s.id
+    `,
+    [kind]
+  );
+}
+
+// true, если пользователю ещё не сообщали об этой поездке / плане
+async function recordSubscriptionAlert({ userId, kind, refId, subscriptionId }) {
+  const ins = await runAsync(
+    `
+      INSERT OR IGNORE INTO subscription_alerts (user_id, kind, ref_id, subscription_id)
+      VALUES (?, ?, ?, ?)
+    `,
+    [Number(userId), kind, Number(refId), subscriptionId || null]
+  );
+  return ins.changes > 0;
+}
+
+// ---------------- АВТОПОСТИНГ В ГРУППЫ И КАНАЛЫ ----------------
+
+function autopostError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+async function createAutopostChannel({ chatId, title, fromCity, toCity }) {
+  const chat = String(chatId || '').trim();
+  if (!/^(-?\d+|@[A-Za-z0-9_]{5,})$/.test(chat)) {
+    throw autopostError('BAD_CHANNEL', 'Укажите числовой id чата или @имя канала');
+  }
+
+  const ins = await runAsync(
+    `
+      INSERT INTO autopost_channels (chat_id, title, from_city, to_city)
+      VALUES (?, ?, ?, ?)
+    `,
+    [
+      chat,
+      title ? String(title).trim() : null,
+      String(fromCity || '').trim() || null,
+      String(toCity || '').trim() || null,
+    ]
+  );
+
+  return getAsync(`SELECT * FROM autopost_channels WHERE id = ?`, [ins.lastID]);
+}
+
+function getAutopostChannels() {
+  return allAsync(
+    `
+      SELECT
+        c.*,
+        (SELECT COUNT(*) FROM autopost_posts ap WHERE ap.channel_id = c.id) AS posts_count
+      FROM autopost_channels c
+      ORDER BY c.id
+    `
+  );
+}
+
+async function deleteAutopostChannel(channelId) {
+  const del = await runAsync(`DELETE FROM autopost_channels WHERE id = ?`, [Number(channelId)]);
+  if (del.changes === 0) {
+    throw autopostError('CHANNEL_NOT_FOUND', 'Чат для автопостинга не найден');
+  }
+  return true;
+}
+
+// Telegram ответил 403 на пост в чат: бота удалили или лишили права писать.
+// Отключаем все записи с этим чатом. Возвращает число отключённых.
+async function disableAutopostChannels(chatId, reason) {
+  const upd = await runAsync(
+    `
+      UPDATE autopost_channels
+      SET disabled_at = datetime('now','localtime'),
+          disabled_reason = ?
+      WHERE chat_id = ? AND disabled_at IS NULL
+    `,
+    [reason || null, String(chatId)]
+  );
+  return upd.changes;
+}
+
+async function enableAutopostChannel(channelId) {
+  const upd = await runAsync(
+    `UPDATE autopost_channels SET disabled_at = NULL, disabled_reason = NULL WHERE id = ?`,
+    [Number(channelId)]
+  );
+  if (upd.changes === 0) {
+    throw autopostError('CHANNEL_NOT_FOUND', 'Чат для автопостинга не найден');
+  }
+  return getAsync(`SELECT * FROM autopost_channels WHERE id = ?`, [Number(channelId)]);
+}
+
+// id нового поста или null, если поездка в этот чат уже публиковалась
+async function createAutopostPost({ channelId, chatId, tripId, text }) {
+  const ins = await runAsync(
+    `
+      INSERT OR IGNORE INTO autopost_posts (channel_id, chat_id, trip_id, text)
+      VALUES (?, ?, ?, ?)
+    `,
+    [Number(channelId), String(chatId), Number(tripId), text || null]
+  );
+  return ins.changes > 0 ? ins.lastID : null;
+}
+
+function setAutopostNotification(postId, notificationId) {
+  return runAsync(`UPDATE autopost_posts SET notification_id = ? WHERE id = ?`, [
+    Number(notificationId),
+    Number(postId),
+  ]);
+}
+
+// Посты, которые ещё может понадобиться править (по одной поездке или все).
+// message_id переносим из очереди уведомлений, пока та не очищена.
+async function getAutopostsToSync(tripId) {
+  await runAsync(
+    `
+      UPDATE autopost_posts
+      SET message_id = (
+        SELECT n.message_id FROM notifications n WHERE n.id = autopost_posts.notification_id
+      )
+      WHERE message_id IS NULL AND notification_id IS NOT NULL
+    `
+  );
+
+  return allAsync(
+    `
+      SELECT *
+      FROM autopost_posts
+      WHERE state IN ('open', 'full')
+        AND message_id IS NOT NULL
+        ${tripId ? 'AND trip_id = ?' : ''}
+      ORDER BY id
+    `,
+    tripId ? [Number(tripId)] : []
+  );
+}
+
+// text — новый текст поездки в посте (если поездка ещё есть)
+function setAutopostState(postId, state, text) {
+  return runAsync(
+    `
+      UPDATE autopost_posts
+      SET state = ?,
+          text = COALESCE(?, text),
+          updated_at = datetime('now','localtime')
+      WHERE id = ?
+    `,
+    [state, text || null, Number(postId)]
+  );
+}
+
+// ---------------- ОЧЕРЕДЬ УВЕДОМЛЕНИЙ ----------------
+
+// Поставить сообщение в очередь. Возвращает id уведомления
+async function enqueueNotification({ chatId, text, extra, replyKind, replyRefId }) {
+  const ins = await runAsync(
+    `
+      INSERT INTO notifications (chat_id, text, extra, reply_kind, reply_ref_id)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+    [
+      String(chatId),
+      String(text),
+      extra && Object.keys(extra).length ? JSON.stringify(extra) : null,
+      replyKind || null,
+      replyRefId != null ? Number(replyRefId) : null,
+    ]
+  );
+  return ins.lastID;
+}
+
+// Уведомления, которые пора отправить (по порядку постановки в очередь)
+function getDueNotifications(limit = 20) {
+  return allAsync(
+    `
+      SELECT n.*, u.bot_blocked_at AS recipient_blocked_at
+      FROM notifications n
+      LEFT JOIN users u ON u.telegram_id = n.chat_id
+      WHERE n.status = 'pending'
+        AND n.next_attempt_at <= datetime('now','localtime')
+      ORDER BY n.id ASC
+      LIMIT ?
+    `,
+    [limit]
+  );
+}
+
+function markNotificationSent(id, messageId) {
+  return runAsync(
+    `
+      UPDATE notifications
+      SET status = 'sent',
+          attempts = attempts + 1,
+          message_id = ?,
+          last_error = NULL,
+          sent_at = datetime('now','localtime')
+      WHERE id = ?
+    `,
+    [messageId || null, Number(id)]
+  );
+}
+
+// Отложить без учёта попытки (лимит Telegram, retry_after)
+function postponeNotification(id, delaySeconds, error) {
+  return runAsync(
+    `
+      UPDATE notifications
+      SET next_attempt_at = datetime('now','localtime','+' || ? || ' seconds'),
+          last_error = ?
+      WHERE id = ?
+    `,
+    [Math.max(1, Math.ceil(delaySeconds)), String(error || ''), Number(id)]
+  );
+}
+
+// Ошибка доставки: повтор с экспоненциальной задержкой (30 с, 1 мин, 2 мин … до часа),
+// после NOTIFY_MAX_ATTEMPTS попыток — failed. Возвращает новый статус.
+async function retryNotification(notification, error) {
+  const attempts = (notification.attempts || 0) + 1;
+  const status = attempts >= NOTIFY_MAX_ATTEMPTS ? 'failed' : 'pending';
+  const delaySeconds = Math.min(30 * 2 ** (attempts - 1), 3600);
+
+  await runAsync(
+    `
+      UPDATE notifications
+      SET status = ?,
+          attempts = ?,
+          next_attempt_at = datetime('now','localtime','+' || ? || ' seconds'),
+          last_error = ?
+      WHERE id = ?
+    `,
+    [status, attempts, delaySeconds, String(error || ''), notification.id]
+  );
+  return status;
+}
+
+// Окончательно не доставлено: failed (ошибка запроса) или blocked (бот заблокирован)
+function finishNotification(id, status, error) {
+  return runAsync(
+    `
+      UPDATE notifications
+      SET status = ?,
+          attempts = attempts + 1,
+          last_error = ?
+      WHERE id = ?
+    `,
+    [status, String(error || ''), Number(id)]
+  );
+}
+
+// Вернуть недоставленное уведомление в очередь (из админки)
+async function requeueNotification(id) {
+  const upd = await runAsync(
+    `
+      UPDATE notifications
+      SET status = 'pending',
+          attempts = 0,
+          next_attempt_at = datetime('now','localtime')
+      WHERE id = ? AND status IN ('failed', 'blocked')
+    `,
+    [Number(id)]
+  );
+  return upd.changes > 0;
+}
+
+// Недоставленные уведомления для админа
+function getFailedNotifications(limit = 100) {
+  return allAsync(
+    `
+      SELECT
+        n.id,
+        n.chat_id,
+        n.text,
+        n.status,
+        n.attempts,
+        n.last_error,
+        n.created_at,
+        u.first_name,
+        u.last_name,
+        u.username,
+        u.bot_blocked_at
+      FROM notifications n
+      LEFT JOIN users u ON u.telegram_id = n.chat_id
+      WHERE n.status IN ('failed', 'blocked')
+      ORDER BY n.id DESC
+      LIMIT ?
+    `,
+    [limit]
+  );
+}
+
+// Удаляем доставленные уведомления старше days дней. Возвращает число удалённых
+async function purgeSentNotifications(days = 30) {
+  const del = await runAsync(
+    `
+      DELETE FROM notifications
+      WHERE status = 'sent'
+        AND created_at < datetime('now','localtime','-' || ? || ' days')
+    `,
+    [days]
+  );
+  return del.changes;
+}
+
+// Пользователь заблокировал бота — больше ему не пишем, пока он не вернётся
+function markUserBotBlocked(telegramId) {
+  return runAsync(
+    `
+      UPDATE users
+      SET bot_blocked_at = datetime('now','localtime')
+      WHERE telegram_id = ? AND bot_blocked_at IS NULL
+    `,
+    [String(telegramId)]
+  );
+}
+
+// Пользователь снова написал боту: снимаем отметку о блокировке
+function clearUserBotBlocked(telegramId) {
+  return runAsync(
+    `
+      UPDATE users
+      SET bot_blocked_at = NULL
+      WHERE telegram_id = ? AND bot_blocked_at IS NOT NULL
+    `,
+    [String(telegramId)]
+  );
+}
+
+// ---------------- ПРАВИЛА КОМИССИИ ----------------
+// Комиссия считается в момент брони (или создания плана) по одному правилу,
+// его id сохраняется рядом с суммой. Правила не редактируются: изменение базовой
+// комиссии создаёт новую строку, а старые правила только выключаются — так
+// по fee_rule_id всегда видно, по каким условиям посчитана старая бронь.
+
+function feeError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+const FEE_RULE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+function parseFeeRuleNumbers(percent, minFee) {
+  const percentNum = percent === '' || percent === null ? NaN : Number(percent);
+  if (!Number.isFinite(percentNum) || percentNum < 0 || percentNum > 100) {
+    throw feeError('BAD_PERCENT', 'Процент комиссии — от 0 до 100');
+  }
+
+  const minFeeNum = minFee === undefined || minFee === null || minFee === '' ? 0 : Number(minFee);
+  if (!Number.isFinite(minFeeNum) || minFeeNum < 0) {
+    throw feeError('BAD_MIN_FEE', 'Минимальная комиссия не может быть отрицательной');
+  }
+
+  return { percentNum, minFeeNum: Math.round(minFeeNum * 100) / 100 };
+}
+
+const FEE_RULE_SELECT = `
+  SELECT
+    r.*,
+    u.telegram_id AS driver_telegram_id,
+    u.first_name AS driver_first_name,
+    u.last_name AS driver_last_name,
+    u.username AS driver_username
+  FROM fee_rules r
+  LEFT JOIN users u ON u.id = r.driver_id
+`;
+
+// Действующие правила для админки: базовое первым
+function getFeeRules() {
+  return allAsync(`${FEE_RULE_SELECT} WHERE r.active = 1 ORDER BY r.is_default DESC, r.id ASC`);
+}
+
+function getFeeRuleById(ruleId) {
+  return getAsync(`${FEE_RULE_SELECT} WHERE r.id = ?`, [Number(ruleId)]);
+}
+
+// Новая базовая комиссия: старая строка выключается, но остаётся для истории
+async function setDefaultFeeRule({ percent, minFee }) {
+  const { percentNum, minFeeNum } = parseFeeRuleNumbers(percent, minFee);
+
+  const ruleId = await withTransaction(async () => {
+    await runAsync(`UPDATE fee_rules SET active = 0 WHERE is_default = 1 AND active = 1`);
+    const ins = await runAsync(
+      `
+        INSERT INTO fee_rules (name, fee_percent, min_fee, is_default)
+        VALUES ('Базовая комиссия', ?, ?, 1)
+      `,
+      [percentNum, minFeeNum]
+    );
+    return ins.lastID;
+  });
+
+  return getFeeRuleById(ruleId);
+}
+
+// Исключение из базовой комиссии: маршрут, водитель и/или период (промо)
+async function createFeeRule({
+  name,
+  percent,
+  minFee,
+  fromCity,
+  toCity,
+  driverTelegramId,
+  startsAt,
+  endsAt,
+}) {
+  const { percentNum, minFeeNum } = parseFeeRuleNumbers(percent, minFee);
+  const from = String(fromCity || '').trim() || null;
+  const to = String(toCity || '').trim() || null;
+  const starts = String(startsAt || '').trim() || null;
+  const ends = String(endsAt || '').trim() || null;
+
+  if ((starts && !FEE_RULE_TIME_RE.test(starts)) || (ends && !FEE_RULE_TIME_RE.test(ends))) {
+    throw feeError('BAD_PERIOD', 'Некорректное время начала или окончания');
+  }
+  if (starts && ends && starts >= ends) {
+    throw feeError('BAD_PERIOD', 'Окончание должно быть позже начала');
+  }
+
+  let driverId = null;
+  const driverTg = String(driverTelegramId || '').trim();
+  if (driverTg) {
+    const driver = await getAsync(`SELECT id FROM users WHERE telegram_id = ?`, [driverTg]);
+    if (!driver) {
+      throw feeError('USER_NOT_FOUND', 'Водитель не найден');
+    }
+    driverId = driver.id;
+  }
+
+  if (!from && !to && !driverId && !starts && !ends) {
+    throw feeError('EMPTY_RULE', 'Укажите маршрут, водителя или период — иначе измените базовую комиссию');
+  }
+
+  const ins = await runAsync(
+    `
+      INSERT INTO fee_rules (
+        name, fee_percent, min_fee, from_city, to_city, driver_id, starts_at, ends_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      String(name || '').trim().slice(0, 100) || null,
+      percentNum,
+      minFeeNum,
+      from,
+      to,
+      driverId,
+      starts,
+      ends,
+    ]
+  );
+
+  return getFeeRuleById(ins.lastID);
+}
+
+async function deactivateFeeRule(ruleId) {
+  const rule = await getAsync(`SELECT * FROM fee_rules WHERE id = ? AND active = 1`, [
+    Number(ruleId),
+  ]);
+  if (!rule) {
+    throw feeError('FEE_RULE_NOT_FOUND', 'Правило не найдено');
+  }
+  if (rule.is_default) {
+    throw feeError('DEFAULT_RULE', 'Базовую комиссию нельзя удалить — задайте 0%');
+  }
+
+  await runAsync(`UPDATE fee_rules SET active = 0 WHERE id = ?`, [rule.id]);
+  return true;
+}
+
+// Правило для брони. Подходят действующие сейчас правила, у которых совпали
+// все заданные условия. Порядок выбора: правило с периодом (промо) важнее
+// постоянного, затем правило для водителя, затем более точный маршрут, затем более новое.
+async function pickFeeRule({ driverId, fromCity, toCity }) {
+  const rules = await allAsync(
+    `
+      SELECT *
+      FROM fee_rules
+      WHERE active = 1
+        AND (starts_at IS NULL OR datetime(starts_at) <= datetime('now','localtime'))
+        AND (ends_at IS NULL OR datetime(ends_at) > datetime('now','localtime'))
+      ORDER BY id DESC
+    `
+  );
+
+  const norm = (city) => String(city || '').trim().toLowerCase();
+  const matches = rules.filter(
+    (r) =>
+      (!r.driver_id || (driverId && r.driver_id === Number(driverId))) &&
+      (!r.from_city || norm(r.from_city) === norm(fromCity)) &&
+      (!r.to_city || norm(r.to_city) === norm(toCity))
+  );
+
+  const rank = (r) => [
+    r.starts_at || r.ends_at ? 1 : 0,
+    r.driver_id ? 1 : 0,
+    (r.from_city ? 1 : 0) + (r.to_city ? 1 : 0),
+  ];
+  matches.sort((a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    for (let k = 0; k < ra.length; k++) {
+      if (ra[k] !== rb[k]) return rb[k] - ra[k];
+    }
+    return b.id - a.id;
+  });
+
+  return matches[0] || null;
+}
+
+// Комиссия с суммы брони: процент, но не меньше минимума и не больше самой суммы.
+// driverId может быть null (план пассажира: водитель ещё неизвестен).
+async function calcAppFee({ amountTotal, driverId, fromCity, toCity }) {
+  const rule = await pickFeeRule({ driverId, fromCity, toCity });
+  if (!rule) {
+    return { appFee: 0, driverAmount: amountTotal, feeRuleId: null };
+  }
+
+  const byPercent = Math.round((amountTotal * rule.fee_percent) / 100);
+  const appFee = Math.min(amountTotal, Math.max(byPercent, rule.min_fee || 0));
+
+  return { appFee, driverAmount: amountTotal - appFee, feeRuleId: rule.id };
+}
+
+// Поездки, с выезда которых прошло TRIP_COMPLETE_AFTER_MINUTES, переводим в completed.
+// Повторный запуск безопасен: обновляются только строки, которые ещё active.
+// Возвращает завершённые поездки.
+async function completeDepartedTrips() {
+  const rows = await allAsync(
+    `
+      SELECT *
+      FROM trips
+      WHERE status = 'active'
+        AND datetime(departure_time, '+' || ? || ' minutes') <= datetime('now','localtime')
+    `,
+    [TRIP_COMPLETE_AFTER_MINUTES]
+  );
+
+  const completed = [];
+  for (const trip of rows) {
+    const upd = await runAsync(
+      `
+        UPDATE trips
+        SET status = 'completed',
+            completed_at = datetime('now','localtime')
+        WHERE id = ? AND status = 'active'
+      `,
+      [trip.id]
+    );
+    if (upd.changes) {
+      // очередь на состоявшуюся поездку больше не нужна
+      await runAsync(
+        `UPDATE trip_waitlist SET status = 'expired' WHERE trip_id = ? AND status = 'waiting'`,
+        [trip.id]
+      );
+      completed.push(trip);
+    }
+  }
+
+  return completed;
+}
+
+function noShowError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Отметка "не приехал". Ставится только по подтверждённой брони и только после выезда.
+// Возвращает бронь с данными поездки и сроком, до которого пассажир может оспорить отметку.
+async function markBookingNoShow({ bookingId, driverId }) {
+  const bookingIdNum = Number(bookingId);
+  const driverIdNum = Number(driverId);
+
+  const row = await getBookingWithTrip(bookingIdNum);
+
+  if (!row) {
+    throw noShowError('BOOKING_NOT_FOUND', 'Бронирование не найдено');
+  }
+  if (row.driver_id !== driverIdNum) {
+    throw noShowError('FORBIDDEN', 'Нет прав на изменение этого бронирования');
+  }
+  if (row.status !== 'booked') {
+    throw noShowError('BAD_STATUS', 'Отметить можно только подтверждённую бронь');
+  }
+  const departTs = Date.parse(row.departure_time);
+  if (Number.isFinite(departTs) && Date.now() < departTs) {
+    throw noShowError('TOO_EARLY', 'Отметить неявку можно только после времени выезда');
+  }
+
+  await withTransaction(async () => {
+    const upd = await runAsync(
+      `
+        UPDATE bookings
+        SET status = 'no_show',
+            no_show_marked_at = datetime('now','localtime')
+        WHERE id = ? AND status = 'booked'
+      `,
+      [bookingIdNum]
+    );
+    if (!upd.changes) {
+      throw noShowError('BAD_STATUS', 'Отметить можно только подтверждённую бронь');
+    }
+
+    await runAsync(
+      `
+        UPDATE users
+        SET no_show_count = no_show_count + 1
+        WHERE id = ?
+      `,
+      [row.passenger_id]
+    );
+  });
+
+  const marked = await getAsync(
+    `
+      SELECT datetime(no_show_marked_at, '+' || ? || ' hours') AS dispute_until
+      FROM bookings
+      WHERE id = ?
+    `,
+    [NO_SHOW_DISPUTE_HOURS, bookingIdNum]
+  );
+
+  return { ...row, status: 'no_show', dispute_until: marked.dispute_until };
+}
+
+// Отметки "не приехал" у пассажира, которые ещё можно оспорить или уже оспорены
+function getPassengerNoShowsByTelegramId(telegramId) {
+  return allAsync(
+    `
+      SELECT
+        b.id,
+        b.trip_id,
+        b.seats_booked,
+        b.pickup_city,
+        b.dropoff_city,
+        b.no_show_marked_at,
+        datetime(b.no_show_marked_at, '+' || ? || ' hours') AS dispute_until,
+        t.from_city,
+        t.to_city,
+        t.departure_time,
+        ns.id AS dispute_id,
+        ns.status AS dispute_status,
+        ns.admin_comment AS dispute_admin_comment
+      FROM bookings b
+      JOIN users p ON p.id = b.passenger_id
+      JOIN trips t ON t.id = b.trip_id
+      LEFT JOIN no_show_disputes ns ON ns.booking_id = b.id
+      WHERE p.telegram_id = ?
+        AND (
+          (b.status = 'no_show'
+            AND datetime(b.no_show_marked_at, '+' || ? || ' hours') > datetime('now','localtime'))
+          OR ns.status = 'open'
+        )
+      ORDER BY b.no_show_marked_at DESC
+    `,
+    [NO_SHOW_DISPUTE_HOURS, String(telegramId), NO_SHOW_DISPUTE_HOURS]
+  );
+}
+
+// Пассажир оспаривает отметку "не приехал"
+async function createNoShowDispute({ bookingId, passengerTelegramId, reason }) {
+  const text = String(reason || '').trim().slice(0, 1000);
+  if (!text) {
+    throw noShowError('BAD_REASON', 'Опишите, что произошло');
+  }
+
+  const booking = await getBookingWithTrip(bookingId);
+  if (!booking) {
+    throw noShowError('BOOKING_NOT_FOUND', 'Бронирование не найдено');
+  }
+  if (booking.passenger_telegram_id !== String(passengerTelegramId)) {
+    throw noShowError('FORBIDDEN', 'Нет прав на это бронирование');
+  }
+  if (booking.status !== 'no_show') {
+    throw noShowError('BAD_STATUS', 'По этой брони нет отметки "не приехал"');
+  }
+
+  const inWindow = await getAsync(
+    `
+      SELECT 1 AS ok
+      FROM bookings
+      WHERE id = ?
+        AND datetime(no_show_marked_at, '+' || ? || ' hours') > datetime('now','localtime')
     `,
-    [Number(tripId), Number(driverId)]
+    [booking.id, NO_SHOW_DISPUTE_HOURS]
   );
+  if (!inWindow) {
+    throw noShowError('DISPUTE_WINDOW_CLOSED', 'Срок, чтобы оспорить отметку, истёк');
+  }
 
-  return rows;
+  try {
+    const ins = await runAsync(
+      `
+        INSERT INTO no_show_disputes (booking_id, passenger_id, driver_id, reason)
+        VALUES (?, ?, ?, ?)
+      `,
+      [booking.id, booking.passenger_id, booking.driver_id, text]
+    );
+    return getAsync(`SELECT * FROM no_show_disputes WHERE id = ?`, [ins.lastID]);
+  } catch (err) {
+    if (err && err.code === 'SQLITE_CONSTRAINT') {
+      throw noShowError('ALREADY_DISPUTED', 'Эта отметка уже оспорена');
+    }
+    throw err;
+  }
 }
 
-// Отметка "не приехал"
-function markBookingNoShow({ bookingId, driverId }) {
-  return new Promise((resolve, reject) => {
-    const bookingIdNum = Number(bookingId);
-    const driverIdNum = Number(driverId);
+const NO_SHOW_DISPUTE_SELECT = `
+  SELECT
+    ns.*,
+    t.id AS trip_id,
+    t.from_city,
+    t.to_city,
+    t.departure_time,
+    b.seats_booked,
+    b.no_show_marked_at,
+    p.telegram_id AS passenger_telegram_id,
+    p.first_name AS passenger_first_name,
+    p.last_name AS passenger_last_name,
+    p.username AS passenger_username,
+    p.no_show_count AS passenger_no_show_count,
+    d.telegram_id AS driver_telegram_id,
+    d.first_name AS driver_first_name,
+    d.last_name AS driver_last_name,
+    d.username AS driver_username
+  FROM no_show_disputes ns
+  JOIN bookings b ON b.id = ns.booking_id
+  JOIN trips t ON t.id = b.trip_id
+  JOIN users p ON p.id = ns.passenger_id
+  JOIN users d ON d.id = ns.driver_id
+`;
 
-    db.serialize(() => {
-      db.get(
-        `
-          SELECT
-            b.*,
-            t.driver_id,
-            b.passenger_id
-          FROM bookings b
-          JOIN trips t ON t.id = b.trip_id
-          WHERE b.id = ?
-        `,
-        [bookingIdNum],
-        (err, row) => {
-          if (err) return reject(err);
-          if (!row) {
-            const e = new Error('Бронирование не найдено');
-            e.code = 'BOOKING_NOT_FOUND';
-            return reject(e);
-          }
-          if (row.driver_id !== driverIdNum) {
-            const e = new Error('Нет прав на изменение этого бронирования');
-            e.code = 'FORBIDDEN';
-            return reject(e);
-          }
+// Очередь споров для админа (по умолчанию — нерассмотренные)
+function getNoShowDisputes(status = 'open') {
+  if (status === 'all') {
+    return allAsync(`${NO_SHOW_DISPUTE_SELECT} ORDER BY ns.id DESC LIMIT 100`);
+  }
+  return allAsync(`${NO_SHOW_DISPUTE_SELECT} WHERE ns.status = ? ORDER BY ns.id ASC`, [status]);
+}
 
-          db.run('BEGIN TRANSACTION', (errBegin) => {
-            if (errBegin) return reject(errBegin);
+// Решение админа по спору: uphold — отметка остаётся, reverse — бронь снова
+// считается состоявшейся, а счётчик неявок пассажира уменьшается.
+async function resolveNoShowDispute({ disputeId, decision, comment }) {
+  if (decision !== 'uphold' && decision !== 'reverse') {
+    throw noShowError('BAD_DECISION', 'Неизвестное решение');
+  }
+  const disputeIdNum = Number(disputeId);
 
-            db.run(
-              `UPDATE bookings SET status = 'no_show' WHERE id = ?`,
-              [bookingIdNum],
-              (errUpd) => {
-                if (errUpd) {
-                  db.run('ROLLBACK');
-                  return reject(errUpd);
-                }
+  await withTransaction(async () => {
+    const dispute = await getAsync(`SELECT * FROM no_show_disputes WHERE id = ?`, [disputeIdNum]);
+    if (!dispute) {
+      throw noShowError('DISPUTE_NOT_FOUND', 'Спор не найден');
+    }
 
-                db.run(
-                  `
-                    UPDATE users
-                    SET no_show_count = no_show_count + 1
-                    WHERE id = ?
-                  `,
-                  [row.passenger_id],
-                  (errUser) => {
-                    if (errUser) {
-                      db.run('ROLLBACK');
-                      return reject(errUser);
-                    }
-
-                    db.run('COMMIT', (errCommit) => {
-                      if (errCommit) return reject(errCommit);
-                      resolve();
-                    });
-                  }
-                );
-              }
-            );
-          });
-        }
+    const upd = await runAsync(
+      `
+        UPDATE no_show_disputes
+        SET status = ?,
+            admin_comment = ?,
+            resolved_at = datetime('now','localtime')
+        WHERE id = ? AND status = 'open'
+      `,
+      [
+        decision === 'reverse' ? 'reversed' : 'upheld',
+        String(comment || '').trim().slice(0, 500) || null,
+        disputeIdNum,
+      ]
+    );
+    if (!upd.changes) {
+      throw noShowError('ALREADY_RESOLVED', 'Спор уже рассмотрен');
+    }
+
+    if (decision === 'reverse') {
+      await runAsync(
+        `UPDATE bookings SET status = 'booked' WHERE id = ? AND status = 'no_show'`,
+        [dispute.booking_id]
       );
-    });
+      await runAsync(
+        `
+          UPDATE users
+          SET no_show_count = MAX(COALESCE(no_show_count, 0) - 1, 0)
+          WHERE id = ?
+        `,
+        [dispute.passenger_id]
+      );
+    }
   });
+
+  return getAsync(`${NO_SHOW_DISPUTE_SELECT} WHERE ns.id = ?`, [disputeIdNum]);
 }
 
 // Активные/все бронирования пассажира
@@ -663,92 +3623,68 @@ function getPassengerBookingsByTelegramId(telegramId) {
 }
 
 // Отмена бронирования самим пассажиром
-function cancelBookingByPassenger({ bookingId, passengerId }) {
-  return new Promise((resolve, reject) => {
-    const bookingIdNum = Number(bookingId);
-    const passengerIdNum = Number(passengerId);
+async function cancelBookingByPassenger({ bookingId, passengerId }) {
+  const bookingIdNum = Number(bookingId);
+  const passengerIdNum = Number(passengerId);
 
-    db.serialize(() => {
-      db.get(
-        `
-          SELECT
-            b.*,
-            t.from_city,
-            t.to_city,
-            t.departure_time,
-            t.price_per_seat,
-            t.seats_total,
-            t.seats_available,
-            t.driver_id
-          FROM bookings b
-          JOIN trips t ON t.id = b.trip_id
-          WHERE b.id = ?
-        `,
-        [bookingIdNum],
-        (err, row) => {
-          if (err) return reject(err);
-          if (!row) {
-            const e = new Error('Бронирование не найдено');
-            e.code = 'BOOKING_NOT_FOUND';
-            return reject(e);
-          }
-          if (row.passenger_id !== passengerIdNum) {
-            const e = new Error('Нет прав на отмену этого бронирования');
-            e.code = 'FORBIDDEN';
-            return reject(e);
-          }
-          if (row.status !== 'booked') {
-            const e = new Error('Это бронирование нельзя отменить');
-            e.code = 'BAD_STATUS';
-            return reject(e);
-          }
+  const row = await getAsync(
+    `
+      SELECT
+        b.*,
+        t.from_city,
+        t.to_city,
+        t.departure_time,
+        t.price_per_seat,
+        t.seats_total,
+        t.seats_available,
+        t.driver_id
+      FROM bookings b
+      JOIN trips t ON t.id = b.trip_id
+      WHERE b.id = ?
+    `,
+    [bookingIdNum]
+  );
 
-          const departTs = Date.parse(row.departure_time);
-          const now = Date.now();
-          if (Number.isFinite(departTs) && now >= departTs) {
-            const e = new Error('Нельзя отменить бронь после начала поездки');
-            e.code = 'TOO_LATE';
-            return reject(e);
-          }
+  if (!row) {
+    const e = new Error('Бронирование не найдено');
+    e.code = 'BOOKING_NOT_FOUND';
+    throw e;
+  }
+  if (row.passenger_id !== passengerIdNum) {
+    const e = new Error('Нет прав на отмену этого бронирования');
+    e.code = 'FORBIDDEN';
+    throw e;
+  }
+  if (row.status !== 'booked' && row.status !== 'pending') {
+    const e = new Error('Это бронирование нельзя отменить');
+    e.code = 'BAD_STATUS';
+    throw e;
+  }
 
-          db.run('BEGIN TRANSACTION', (errBegin) => {
-            if (errBegin) return reject(errBegin);
+  const departTs = Date.parse(row.departure_time);
+  const now = Date.now();
+  if (Number.isFinite(departTs) && now >= departTs) {
+    const e = new Error('Нельзя отменить бронь после начала поездки');
+    e.code = 'TOO_LATE';
+    throw e;
+  }
 
-            db.run(
-              `UPDATE bookings SET status = 'cancelled' WHERE id = ?`,
-              [bookingIdNum],
-              (errUpd) => {
-                if (errUpd) {
-                  db.run('ROLLBACK');
-                  return reject(errUpd);
-                }
+  await withTransaction(async () => {
+    // Условие по статусу защищает от двойного возврата мест при повторной отмене
+    const upd = await runAsync(
+      `UPDATE bookings SET status = 'cancelled' WHERE id = ? AND status = ?`,
+      [bookingIdNum, row.status]
+    );
+    if (!upd.changes) {
+      const e = new Error('Это бронирование нельзя отменить');
+      e.code = 'BAD_STATUS';
+      throw e;
+    }
 
-                db.run(
-                  `
-                    UPDATE trips
-                    SET seats_available = seats_available + ?
-                    WHERE id = ?
-                  `,
-                  [row.seats_booked, row.trip_id],
-                  (errTrip) => {
-                    if (errTrip) {
-                      db.run('ROLLBACK');
-                      return reject(errTrip);
-                    }
-
-                    db.run('COMMIT', (errCommit) => {
-                      if (errCommit) return reject(errCommit);
-                      resolve(row);
-                    });
-                  }
-                );
-              }
-            );
-          });
-        }
-      );
-    });
+    await refreshTripSeats(row.trip_id);
   });
+
+  return row;
 }
 
 // ---------------- НАСТРОЙКИ ПРИЛОЖЕНИЯ ----------------
@@ -767,7 +3703,7 @@ async function getAppSettings() {
   return row;
 }
 
-async function updateAppSettings({ monetizationEnabled, paymentDetails }) {
+async function updateAppSettings({ monetizationEnabled, paymentDetails, debtLimit }) {
   const current = await getAppSettings();
   const newMonetization =
     typeof monetizationEnabled === 'boolean'
@@ -777,14 +3713,31 @@ async function updateAppSettings({ monetizationEnabled, paymentDetails }) {
     typeof paymentDetails === 'string'
       ? paymentDetails
       : current.payment_details;
+  const debtLimitNum = Number(debtLimit);
+  const newDebtLimit =
+    debtLimit !== undefined && debtLimit !== null && debtLimit !== '' && Number.isFinite(debtLimitNum)
+      ? Math.max(0, debtLimitNum)
+      : current.debt_limit;
+
+  // Комиссия начисляется только в платном режиме: перед выключением
+  // сверяем леджер, чтобы не потерять начисления до этого момента
+  if (!newMonetization && current.monetization_enabled) {
+    await syncDriverLedger();
+  }
 
   await runAsync(
     `
       UPDATE app_settings
-      SET monetization_enabled = ?, payment_details = ?
+      SET monetization_enabled = ?,
+          payment_details = ?,
+          debt_limit = ?,
+          ledger_started_at = CASE
+            WHEN ? THEN COALESCE(ledger_started_at, datetime('now','localtime'))
+            ELSE NULL
+          END
       WHERE id = 1
     `,
-    [newMonetization, newDetails]
+    [newMonetization, newDetails, newDebtLimit, newMonetization]
   );
 
   return getAppSettings();
@@ -862,33 +3815,380 @@ async function getDriverDailyStats(driverId) {
   };
 }
 
-async function hasDriverPaymentProofToday(driverId) {
-  const row = await getAsync(
+// Последний чек водителя (для блока оплаты: ждёт проверки, принят или отклонён)
+function getDriverLatestPaymentProof(driverId) {
+  return getAsync(
     `
-      SELECT id
+      SELECT
+        id, amount_claimed, status, amount_approved, review_comment, reviewed_at,
+        file_deleted_at, created_at
       FROM driver_payment_proofs
       WHERE driver_id = ?
-        AND date(created_at, 'localtime') = date('now','localtime')
-      ORDER BY created_at DESC
+      ORDER BY id DESC
       LIMIT 1
     `,
     [Number(driverId)]
   );
-
-  return !!row;
 }
 
-async function saveDriverPaymentProof(driverId, originalName, storedName) {
-  await runAsync(
+// Чек сохраняется со статусом pending: оплатой он станет только после проверки админом
+async function saveDriverPaymentProof(driverId, originalName, storedName, amountClaimed) {
+  const amountNum = Math.round(Number(amountClaimed) * 100) / 100;
+  if (!Number.isFinite(amountNum) || amountNum <= 0) {
+    throw proofError('BAD_AMOUNT', 'Укажите сумму перевода');
+  }
+
+  const ins = await runAsync(
     `
       INSERT INTO driver_payment_proofs (
         driver_id,
         file_original_name,
         file_stored_name,
+        amount_claimed,
         created_at
-      ) VALUES (?, ?, ?, datetime('now','localtime'))
+      ) VALUES (?, ?, ?, ?, datetime('now','localtime'))
+    `,
+    [Number(driverId), originalName || '', storedName || '', amountNum]
+  );
+
+  // в карточке чека — актуальный долг водителя
+  await syncDriverLedger(driverId);
+  return getPaymentProofById(ins.lastID);
+}
+
+// Запись успешной оплаты. Повторное уведомление о том же платеже ничего не меняет.
+async function recordDriverPayment({
+  driverId,
+  payDate,
+  amount,
+  currency,
+  invoicePayload,
+  telegramChargeId,
+  providerChargeId,
+}) {
+  await runAsync(
+    `
+      INSERT OR IGNORE INTO driver_payments (
+        driver_id,
+        pay_date,
+        amount,
+        currency,
+        invoice_payload,
+        telegram_payment_charge_id,
+        provider_payment_charge_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      Number(driverId),
+      payDate,
+      Number(amount),
+      currency,
+      invoicePayload || null,
+      String(telegramChargeId),
+      providerChargeId || null,
+    ]
+  );
+
+  return getAsync(`SELECT * FROM driver_payments WHERE telegram_payment_charge_id = ?`, [
+    String(telegramChargeId),
+  ]);
+}
+
+// ---------------- ЛЕДЖЕР КОМИССИИ ВОДИТЕЛЕЙ ----------------
+
+function ledgerError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Сверка леджера с бронями, взятыми планами и оплатами. Безопасно запускать сколько угодно раз:
+// - начисление — за бронь, подтверждённую после включения платного режима (заявка или
+//   предложение из листа ожидания могли появиться раньше), или за взятый план;
+// - отмена начисления — если бронь потом отменили (пассажир, водитель, истекла);
+// - оплата — за каждую запись в driver_payments.
+// driverId — сверить только одного водителя (при чтении баланса).
+async function syncDriverLedger(driverId = null) {
+  const settings = await getAppSettings();
+  const driverFilter = (column) => (driverId ? `AND ${column} = ?` : '');
+  const driverParams = driverId ? [Number(driverId)] : [];
+
+  await withTransaction(async () => {
+    if (settings.ledger_started_at) {
+      await runAsync(
+        `
+          INSERT OR IGNORE INTO driver_ledger (driver_id, kind, amount, source, source_id, created_at)
+          SELECT t.driver_id, 'debit', b.app_fee, 'booking', b.id, COALESCE(b.decided_at, b.created_at)
+          FROM bookings b
+          JOIN trips t ON t.id = b.trip_id
+          WHERE b.status IN ('booked', 'no_show')
+            AND b.app_fee > 0
+            AND COALESCE(b.decided_at, b.created_at) >= ?
+            ${driverFilter('t.driver_id')}
+        `,
+        [settings.ledger_started_at, ...driverParams]
+      );
+
+      await runAsync(
+        `
+          INSERT OR IGNORE INTO driver_ledger (driver_id, kind, amount, source, source_id, created_at)
+          SELECT p.driver_id, 'debit', p.app_fee, 'plan', p.id, p.taken_at
+          FROM passenger_plans p
+          WHERE p.status = 'taken'
+            AND p.driver_id IS NOT NULL
+            AND p.app_fee > 0
+            AND p.taken_at >= ?
+            ${driverFilter('p.driver_id')}
+        `,
+        [settings.ledger_started_at, ...driverParams]
+      );
+    }
+
+    await runAsync(
+      `
+        INSERT OR IGNORE INTO driver_ledger (driver_id, kind, amount, source, source_id)
+        SELECT l.driver_id, 'reversal', -l.amount, l.source, l.source_id
+        FROM driver_ledger l
+        LEFT JOIN bookings b ON l.source = 'booking' AND b.id = l.source_id
+        LEFT JOIN passenger_plans p ON l.source = 'plan' AND p.id = l.source_id
+        WHERE l.kind = 'debit'
+          AND (
+            b.status IN ('cancelled', 'cancelled_by_driver', 'declined', 'expired')
+            OR (l.source = 'plan' AND p.status <> 'taken')
+          )
+          ${driverFilter('l.driver_id')}
+      `,
+      driverParams
+    );
+
+    await runAsync(
+      `
+        INSERT OR IGNORE INTO driver_ledger (driver_id, kind, amount, source, source_id, created_at)
+        SELECT dp.driver_id, 'credit', -dp.amount, 'payment', dp.id, dp.created_at
+        FROM driver_payments dp
+        WHERE 1 = 1
+          ${driverFilter('dp.driver_id')}
+      `,
+      driverParams
+    );
+  });
+}
+
+// Долг водителя по комиссии (balance > 0 — должен сервису) + итоги по видам записей
+async function getDriverBalance(driverId) {
+  await syncDriverLedger(driverId);
+
+  const row = await getAsync(
+    `
+      SELECT
+        date('now','localtime') AS today,
+        COALESCE(SUM(amount), 0) AS balance,
+        COALESCE(SUM(CASE WHEN kind = 'debit' THEN amount ELSE 0 END), 0) AS debit_total,
+        COALESCE(SUM(CASE WHEN kind = 'credit' THEN -amount ELSE 0 END), 0) AS credit_total,
+        COALESCE(SUM(CASE WHEN kind = 'reversal' THEN -amount ELSE 0 END), 0) AS reversal_total
+      FROM driver_ledger
+      WHERE driver_id = ?
+    `,
+    [Number(driverId)]
+  );
+
+  const round = (n) => Math.round((n || 0) * 100) / 100;
+  return {
+    today: row.today,
+    balance: round(row.balance),
+    debit_total: round(row.debit_total),
+    credit_total: round(row.credit_total),
+    reversal_total: round(row.reversal_total),
+  };
+}
+
+// Последние записи леджера водителя с маршрутом брони / плана
+function getDriverLedger(driverId, limit = 20) {
+  return allAsync(
+    `
+      SELECT
+        l.*,
+        COALESCE(t.from_city, p.from_city) AS from_city,
+        COALESCE(t.to_city, p.to_city) AS to_city
+      FROM driver_ledger l
+      LEFT JOIN bookings b ON l.source = 'booking' AND b.id = l.source_id
+      LEFT JOIN trips t ON t.id = b.trip_id
+      LEFT JOIN passenger_plans p ON l.source = 'plan' AND p.id = l.source_id
+      WHERE l.driver_id = ?
+      ORDER BY l.id DESC
+      LIMIT ?
+    `,
+    [Number(driverId), Number(limit)]
+  );
+}
+
+// Оплата, подтверждённая администратором вручную (перевод по реквизитам)
+async function addDriverLedgerCredit({ driverTelegramId, amount, note }) {
+  const amountNum = Math.round(Number(amount) * 100) / 100;
+  if (!Number.isFinite(amountNum) || amountNum <= 0) {
+    throw ledgerError('BAD_AMOUNT', 'Сумма должна быть больше нуля');
+  }
+
+  const driver = await getAsync(`SELECT id FROM users WHERE telegram_id = ?`, [
+    String(driverTelegramId),
+  ]);
+  if (!driver) {
+    throw ledgerError('USER_NOT_FOUND', 'Водитель не найден');
+  }
+
+  const ins = await runAsync(
+    `
+      INSERT INTO driver_ledger (driver_id, kind, amount, source, note)
+      VALUES (?, 'credit', ?, 'manual', ?)
+    `,
+    [driver.id, -amountNum, String(note || '').trim().slice(0, 200) || null]
+  );
+
+  return getAsync(`SELECT * FROM driver_ledger WHERE id = ?`, [ins.lastID]);
+}
+
+// Водители с ненулевым балансом (для админки), должники первыми
+async function getDriverBalances() {
+  await syncDriverLedger();
+
+  return allAsync(
+    `
+      SELECT
+        u.id AS driver_id,
+        u.telegram_id,
+        u.first_name,
+        u.last_name,
+        u.username,
+        u.is_blocked,
+        ROUND(SUM(l.amount), 2) AS balance,
+        MAX(CASE WHEN l.kind = 'credit' THEN l.created_at END) AS last_credit_at
+      FROM driver_ledger l
+      JOIN users u ON u.id = l.driver_id
+      GROUP BY u.id
+      HAVING ABS(SUM(l.amount)) >= 0.01
+      ORDER BY balance DESC
+    `
+  );
+}
+
+// ---------------- ПРОВЕРКА ЧЕКОВ ОБ ОПЛАТЕ ----------------
+
+function proofError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+const PAYMENT_PROOF_SELECT = `
+  SELECT
+    pp.*,
+    u.telegram_id AS driver_telegram_id,
+    u.first_name AS driver_first_name,
+    u.last_name AS driver_last_name,
+    u.username AS driver_username,
+    (SELECT ROUND(COALESCE(SUM(l.amount), 0), 2) FROM driver_ledger l WHERE l.driver_id = pp.driver_id)
+      AS driver_balance
+  FROM driver_payment_proofs pp
+  JOIN users u ON u.id = pp.driver_id
+`;
+
+function getPaymentProofById(proofId) {
+  return getAsync(`${PAYMENT_PROOF_SELECT} WHERE pp.id = ?`, [Number(proofId)]);
+}
+
+// Очередь чеков для админа (по умолчанию — непроверенные, старые первыми)
+async function getPaymentProofs(status = 'pending') {
+  await syncDriverLedger();
+
+  if (status === 'all') {
+    return allAsync(`${PAYMENT_PROOF_SELECT} ORDER BY pp.id DESC LIMIT 100`);
+  }
+  return allAsync(`${PAYMENT_PROOF_SELECT} WHERE pp.status = ? ORDER BY pp.id ASC`, [status]);
+}
+
+// Решение по чеку. approve — в леджер идёт оплата на amount (по умолчанию заявленную сумму),
+// reject — нужна причина, её увидит водитель.
+async function reviewPaymentProof({ proofId, decision, amount, comment }) {
+  if (decision !== 'approve' && decision !== 'reject') {
+    throw proofError('BAD_DECISION', 'Неизвестное решение');
+  }
+  const proofIdNum = Number(proofId);
+  const commentText = String(comment || '').trim().slice(0, 500) || null;
+
+  const driverId = await withTransaction(async () => {
+    const proof = await getAsync(`SELECT * FROM driver_payment_proofs WHERE id = ?`, [proofIdNum]);
+    if (!proof) {
+      throw proofError('PROOF_NOT_FOUND', 'Чек не найден');
+    }
+    if (proof.status !== 'pending') {
+      throw proofError('ALREADY_REVIEWED', 'Чек уже проверен');
+    }
+
+    let amountNum = null;
+    if (decision === 'approve') {
+      const rawAmount =
+        amount !== undefined && amount !== null && amount !== '' ? amount : proof.amount_claimed;
+      amountNum = Math.round(Number(rawAmount) * 100) / 100;
+      if (!Number.isFinite(amountNum) || amountNum <= 0) {
+        throw proofError('BAD_AMOUNT', 'Укажите сумму оплаты');
+      }
+    } else if (!commentText) {
+      throw proofError('BAD_REASON', 'Укажите причину отказа');
+    }
+
+    await runAsync(
+      `
+        UPDATE driver_payment_proofs
+        SET status = ?,
+            amount_approved = ?,
+            review_comment = ?,
+            reviewed_at = datetime('now','localtime')
+        WHERE id = ?
+      `,
+      [decision === 'approve' ? 'approved' : 'rejected', amountNum, commentText, proofIdNum]
+    );
+
+    if (decision === 'approve') {
+      await runAsync(
+        `
+          INSERT INTO driver_ledger (driver_id, kind, amount, source, source_id, note)
+          VALUES (?, 'credit', ?, 'proof', ?, ?)
+        `,
+        [proof.driver_id, -amountNum, proofIdNum, commentText]
+      );
+    }
+
+    return proof.driver_id;
+  });
+
+  await syncDriverLedger(driverId);
+  return getPaymentProofById(proofIdNum);
+}
+
+// Проверенные чеки старше days дней, чьи файлы пора удалить. Непроверенные не трогаем.
+function getPaymentProofFilesToPurge(days) {
+  return allAsync(
+    `
+      SELECT id, file_stored_name
+      FROM driver_payment_proofs
+      WHERE status <> 'pending'
+        AND file_deleted_at IS NULL
+        AND COALESCE(file_stored_name, '') <> ''
+        AND created_at < datetime('now','localtime', ?)
+      ORDER BY id ASC
+    `,
+    [`-${Number(days)} days`]
+  );
+}
+
+function markPaymentProofFileDeleted(proofId) {
+  return runAsync(
+    `
+      UPDATE driver_payment_proofs
+      SET file_deleted_at = datetime('now','localtime')
+      WHERE id = ?
     `,
-    [Number(driverId), originalName || '', storedName || '']
+    [Number(proofId)]
   );
 }
 
@@ -1076,7 +4376,7 @@ async function getAdminDailyDrivers(targetDate) {
     if (useCustomDate) {
       proof = await getAsync(
         `
-          SELECT file_original_name, file_stored_name
+          SELECT id, file_original_name, file_stored_name, amount_claimed, status
           FROM driver_payment_proofs
           WHERE driver_id = ?
             AND date(created_at, 'localtime') = date(?, 'localtime')
@@ -1088,7 +4388,7 @@ async function getAdminDailyDrivers(targetDate) {
     } else {
       proof = await getAsync(
         `
-          SELECT file_original_name, file_stored_name
+          SELECT id, file_original_name, file_stored_name, amount_claimed, status
           FROM driver_payment_proofs
           WHERE driver_id = ?
             AND date(created_at, 'localtime') = date('now','localtime')
@@ -1099,6 +4399,17 @@ async function getAdminDailyDrivers(targetDate) {
       );
     }
 
+    // Оплаты через Telegram за этот день
+    const payments = await getAsync(
+      `
+        SELECT COALESCE(SUM(amount), 0) AS paid_total
+        FROM driver_payments
+        WHERE driver_id = ?
+          AND pay_date = ${useCustomDate ? 'date(?)' : "date('now','localtime')"}
+      `,
+      useCustomDate ? [row.driver_id, dateParam] : [row.driver_id]
+    );
+
     result.push({
       driver_id: row.driver_id,
       telegram_id: row.telegram_id,
@@ -1115,8 +4426,11 @@ async function getAdminDailyDrivers(targetDate) {
       driver_amount_total: row.driver_amount_total || 0,
 
       is_blocked: row.is_blocked || 0,
+      last_proof_id: proof ? proof.id : null,
       last_proof_original_name: proof ? proof.file_original_name : null,
-      last_proof_file: proof ? proof.file_stored_name : null,
+      last_proof_amount: proof ? proof.amount_claimed : null,
+      last_proof_status: proof ? proof.status : null,
+      paid_online_total: payments ? payments.paid_total : 0,
     });
   }
 
@@ -1133,27 +4447,109 @@ module.exports = {
   getUserByTelegramId,
 
   createTrip,
+  segmentSeatsAvailable,
   getLatestTrips,
   getTripWithDriver,
   getDriverTripsByTelegramId,
   deleteTripByDriver,
+  updateTripByDriver,
+  cancelTripByDriver,
+  createTripSeries,
+  getDriverSeriesByTelegramId,
+  setTripSeriesStatus,
+  generateSeriesTrips,
 
   getDriverProfileByTelegramId,
   updateDriverCarProfile,
   setUserBlockedByTelegramId,
+  setUserRemindersByTelegramId,
 
   createBooking,
   getTripBookingsForDriver,
+  getBookingWithTrip,
+  decidePendingBooking,
+  expirePendingBookings,
+  completeDepartedTrips,
+  joinWaitlist,
+  leaveWaitlist,
+  getPassengerWaitlistByTelegramId,
+  offerWaitlistSeats,
+  respondWaitlistOffer,
+  expireWaitlistOffers,
+  ratingColumnsSql,
+  getUserRating,
+  getBookingsDueForReviewPrompt,
+  markReviewPrompted,
+  saveReview,
+  setReviewText,
+  getUserReviews,
+  saveBotReplyLink,
+  getBotReplyLink,
+  getTripsDueForReminder,
+  getTripBookedPassengers,
+  markTripReminderSent,
+  getOrCreateChatThread,
+  getChatThreadForUser,
+  addChatMessage,
+  getChatMessages,
+  getUserChatThreadsByTelegramId,
+  closeExpiredChatThreads,
+  createRouteSubscription,
+  getUserRouteSubscriptionsByTelegramId,
+  deleteRouteSubscription,
+  getRouteSubscriptionsByKind,
+  recordSubscriptionAlert,
+  createAutopostChannel,
+  getAutopostChannels,
+  deleteAutopostChannel,
+  disableAutopostChannels,
+  enableAutopostChannel,
+  createAutopostPost,
+  setAutopostNotification,
+  getAutopostsToSync,
+  setAutopostState,
   markBookingNoShow,
+  getPassengerNoShowsByTelegramId,
+  createNoShowDispute,
+  getNoShowDisputes,
+  resolveNoShowDispute,
   getPassengerBookingsByTelegramId,
   cancelBookingByPassenger,
 
+  enqueueNotification,
+  getDueNotifications,
+  markNotificationSent,
+  postponeNotification,
+  retryNotification,
+  finishNotification,
+  requeueNotification,
+  getFailedNotifications,
+  purgeSentNotifications,
+  markUserBotBlocked,
+  clearUserBotBlocked,
+
   getAppSettings,
   updateAppSettings,
+  getFeeRules,
+  setDefaultFeeRule,
+  createFeeRule,
+  deactivateFeeRule,
+  calcAppFee,
 
   getDriverDailyStats,
-  hasDriverPaymentProofToday,
+  getDriverLatestPaymentProof,
   saveDriverPaymentProof,
+  getPaymentProofById,
+  getPaymentProofs,
+  reviewPaymentProof,
+  getPaymentProofFilesToPurge,
+  markPaymentProofFileDeleted,
+  recordDriverPayment,
+  syncDriverLedger,
+  getDriverBalance,
+  getDriverLedger,
+  addDriverLedgerCredit,
+  getDriverBalances,
 
   getAdminStats,
   getAdminDailyDrivers,
@@ -3,8 +3,9 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-const { Telegraf } = require('telegraf');
+const { Telegraf, Scenes, session } = require('telegraf');
 const express = require('express');
 const bodyParser = require('body-parser');
 const multer = require('multer');
@@ -13,6 +14,7 @@ const {
   db,
   upsertUserFromTelegram,
   createTrip,
+  segmentSeatsAvailable,
   getLatestTrips,
   getUserByTelegramId,
   getDriverProfileByTelegramId,
@@ -21,38 +23,131 @@ const {
   getDriverTripsByTelegramId,
   getTripBookingsForDriver,
   createBooking,
+  decidePendingBooking,
+  expirePendingBookings,
+  completeDepartedTrips,
+  joinWaitlist,
+  leaveWaitlist,
+  getPassengerWaitlistByTelegramId,
+  offerWaitlistSeats,
+  respondWaitlistOffer,
+  expireWaitlistOffers,
+  ratingColumnsSql,
+  getUserRating,
+  getBookingsDueForReviewPrompt,
+  markReviewPrompted,
+  saveReview,
+  setReviewText,
+  saveBotReplyLink,
+  getBotReplyLink,
+  getOrCreateChatThread,
+  getChatThreadForUser,
+  addChatMessage,
+  getChatMessages,
+  getUserChatThreadsByTelegramId,
+  closeExpiredChatThreads,
+  createRouteSubscription,
+  getUserRouteSubscriptionsByTelegramId,
+  deleteRouteSubscription,
+  getRouteSubscriptionsByKind,
+  recordSubscriptionAlert,
+  createAutopostChannel,
+  getAutopostChannels,
+  deleteAutopostChannel,
+  disableAutopostChannels,
+  enableAutopostChannel,
+  createAutopostPost,
+  setAutopostNotification,
+  getAutopostsToSync,
+  setAutopostState,
   markBookingNoShow,
+  getPassengerNoShowsByTelegramId,
+  createNoShowDispute,
+  getNoShowDisputes,
+  resolveNoShowDispute,
+  enqueueNotification,
+  getDueNotifications,
+  markNotificationSent,
+  postponeNotification,
+  retryNotification,
+  finishNotification,
+  requeueNotification,
+  getFailedNotifications,
+  purgeSentNotifications,
+  markUserBotBlocked,
+  clearUserBotBlocked,
   getAppSettings,
   updateAppSettings,
-  getDriverDailyStats,
-  hasDriverPaymentProofToday,
+  getFeeRules,
+  setDefaultFeeRule,
+  createFeeRule,
+  deactivateFeeRule,
+  calcAppFee,
+  getDriverLatestPaymentProof,
   saveDriverPaymentProof,
+  getPaymentProofById,
+  getPaymentProofs,
+  reviewPaymentProof,
+  getPaymentProofFilesToPurge,
+  markPaymentProofFileDeleted,
+  recordDriverPayment,
+  syncDriverLedger,
+  getDriverBalance,
+  getDriverLedger,
+  addDriverLedgerCredit,
+  getDriverBalances,
+  getDriverDailyStats,
   getAdminStats,
   getAdminDailyDrivers,
   deleteTripByDriver,
+  updateTripByDriver,
+  cancelTripByDriver,
+  createTripSeries,
+  getDriverSeriesByTelegramId,
+  setTripSeriesStatus,
+  generateSeriesTrips,
   getPassengerBookingsByTelegramId,
   cancelBookingByPassenger,
   setUserBlockedByTelegramId,
+  setUserRemindersByTelegramId,
+  getTripsDueForReminder,
+  getTripBookedPassengers,
+  markTripReminderSent,
 } = require('./db');
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const WEBAPP_URL = process.env.WEBAPP_URL || 'http://localhost:3000';
+// Имя бота для ссылок t.me/<бот>?start=...; если не задано, берётся из getMe
+const BOT_USERNAME = String(process.env.BOT_USERNAME || '').replace(/^@/, '');
+// Короткое имя мини-приложения из BotFather: ссылки t.me/<бот>/<имя>?startapp=...
+const WEBAPP_SHORT_NAME = process.env.WEBAPP_SHORT_NAME || '';
 const PORT = process.env.PORT || 3000;
 const ADMIN_TELEGRAM_ID = process.env.ADMIN_TELEGRAM_ID || '504348666';
-const APP_FEE_PERCENT_RAW =
-  process.env.APP_FEE_PERCENT ?? process.env.SERVICE_FEE_PCT ?? '0.10';
-const APP_FEE_PERCENT_PARSED = Number(APP_FEE_PERCENT_RAW);
-const APP_FEE_PERCENT = Number.isFinite(APP_FEE_PERCENT_PARSED)
-  ? Math.max(0, Math.min(1, APP_FEE_PERCENT_PARSED))
-  : 0.10;
-
+// Оплата комиссии через Telegram Payments: токен провайдера из BotFather (/mybots → Payments).
+// Без токена водители платят по реквизитам и прикрепляют чек.
+const PAYMENT_PROVIDER_TOKEN = process.env.PAYMENT_PROVIDER_TOKEN || '';
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'RUB';
+// Чеки об оплате: максимальный размер файла и сколько дней храним проверенные чеки
+const RECEIPT_MAX_MB = Number(process.env.RECEIPT_MAX_MB || 5);
+const RECEIPT_RETENTION_DAYS = Number(process.env.RECEIPT_RETENTION_DAYS || 180);
+// Другой адрес Bot API: локальный сервер Telegram или заглушка для тестов
+const TELEGRAM_API_ROOT = process.env.TELEGRAM_API_ROOT || '';
+// Сколько живёт подпись initData из Telegram WebApp (по умолчанию сутки)
+const INIT_DATA_MAX_AGE_SEC = Number(process.env.INIT_DATA_MAX_AGE_SEC || 24 * 60 * 60);
+// Максимум промежуточных остановок в одной поездке
+const MAX_TRIP_STOPS = 8;
+// Насколько время поездки может отличаться от желаемого времени пассажира при подборе
+const MATCH_WINDOW_MINUTES = Number(process.env.MATCH_WINDOW_MINUTES || 120);
 
 if (!BOT_TOKEN) {
   console.error('Ошибка: не задан BOT_TOKEN в .env или переменных окружения');
   process.exit(1);
 }
 
-const bot = new Telegraf(BOT_TOKEN);
+const bot = new Telegraf(
+  BOT_TOKEN,
+  TELEGRAM_API_ROOT ? { telegram: { apiRoot: TELEGRAM_API_ROOT } } : {}
+);
 const app = express();
 
 // Хранилище файлов чеков
@@ -64,15 +159,38 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Принимаем только фото и PDF. Имя файла случайное и без расширения клиента:
+// расширение добавляется после проверки содержимого (sanitizeReceiptFile).
+const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname || '');
-    cb(null, unique + ext);
+  filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex')),
+});
+const upload = multer({
+  storage,
+  limits: { fileSize: RECEIPT_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (RECEIPT_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    req.receiptRejected = true;
+    return cb(null, false);
   },
 });
-const upload = multer({ storage });
+
+// upload.single с понятными ответами на превышение размера вместо общей 500
+function receiptUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        error:
+          err.code === 'LIMIT_FILE_SIZE'
+            ? `Файл больше ${RECEIPT_MAX_MB} МБ`
+            : 'Не удалось принять файл',
+      });
+    }
+    return next(err);
+  });
+}
 
 app.use(bodyParser.json());
 app.disable('etag');
@@ -91,7 +209,230 @@ app.use((req, res, next) => {
   next();
 });
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(uploadDir));
+// Чеки не раздаются статикой: только через /api/payment-proofs/:id/file с проверкой доступа
+
+// ---------------- ФАЙЛЫ ЧЕКОВ ----------------
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Тип файла по сигнатуре, а не по тому, что прислал клиент
+function sniffReceiptType(buf) {
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+    return { mime: 'image/jpeg', ext: '.jpg' };
+  }
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { mime: 'image/png', ext: '.png' };
+  }
+  if (
+    buf.length >= 12 &&
+    buf.toString('latin1', 0, 4) === 'RIFF' &&
+    buf.toString('latin1', 8, 12) === 'WEBP'
+  ) {
+    return { mime: 'image/webp', ext: '.webp' };
+  }
+  if (buf.length >= 5 && buf.toString('latin1', 0, 5) === '%PDF-') {
+    return { mime: 'application/pdf', ext: '.pdf' };
+  }
+  return null;
+}
+
+// JPEG без APP1 (EXIF с геометкой и моделью телефона, XMP) и APP13 (IPTC).
+// Сжатые данные после SOS копируем как есть.
+function stripJpegMetadata(buf) {
+  const parts = [buf.subarray(0, 2)];
+  let i = 2;
+
+  while (i + 4 <= buf.length) {
+    if (buf[i] !== 0xff) break;
+    const marker = buf[i + 1];
+
+    // заполняющие 0xFF и маркеры без длины
+    if (marker === 0xff) {
+      i += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buf.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const end = i + 2 + buf.readUInt16BE(i + 2);
+    if (marker !== 0xe1 && marker !== 0xed) {
+      parts.push(buf.subarray(i, end));
+    }
+    i = end;
+  }
+
+  parts.push(buf.subarray(i));
+  return Buffer.concat(parts);
+}
+
+// PNG без чанков с метаданными: eXIf, текстовые подписи и время изменения
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+
+function stripPngMetadata(buf) {
+  const parts = [buf.subarray(0, 8)];
+  let i = 8;
+
+  while (i + 12 <= buf.length) {
+    const length = buf.readUInt32BE(i);
+    const type = buf.toString('latin1', i + 4, i + 8);
+    const end = i + 12 + length;
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buf.subarray(i, end));
+    }
+    i = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+}
+
+// WebP без чанков EXIF и XMP. Чанки идут после 12-байтного заголовка RIFF,
+// длина выравнивается до чётной; в VP8X снимаем флаги вырезанных чанков.
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+const WEBP_VP8X_METADATA_FLAGS = 0x08 | 0x04; // EXIF | XMP
+
+function stripWebpMetadata(buf) {
+  const parts = [];
+  let i = 12;
+
+  while (i + 8 <= buf.length) {
+    const type = buf.toString('latin1', i, i + 4);
+    const size = buf.readUInt32LE(i + 4);
+    const end = Math.min(buf.length, i + 8 + size + (size % 2));
+
+    if (type === 'VP8X' && size >= 1) {
+      const chunk = Buffer.from(buf.subarray(i, end));
+      chunk[8] &= ~WEBP_VP8X_METADATA_FLAGS;
+      parts.push(chunk);
+    } else if (!WEBP_METADATA_CHUNKS.includes(type)) {
+      parts.push(buf.subarray(i, end));
+    }
+    i = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// Проверка загруженного чека: сигнатура должна быть картинкой или PDF,
+// у картинок вырезаем метаданные. Возвращает имя сохранённого файла или null,
+// если содержимое не подошло (файл при этом удаляется).
+async function sanitizeReceiptFile(file) {
+  let buf = await fs.promises.readFile(file.path);
+  const type = sniffReceiptType(buf);
+
+  if (!type) {
+    await fs.promises.unlink(file.path);
+    return null;
+  }
+
+  if (type.mime === 'image/jpeg') buf = stripJpegMetadata(buf);
+  if (type.mime === 'image/png') buf = stripPngMetadata(buf);
+  if (type.mime === 'image/webp') buf = stripWebpMetadata(buf);
+
+  const storedName = file.filename + type.ext;
+  await fs.promises.writeFile(path.join(uploadDir, storedName), buf);
+  await fs.promises.unlink(file.path);
+  return storedName;
+}
+
+// Удаление файлов проверенных чеков старше RECEIPT_RETENTION_DAYS. Запись о чеке
+// (сумма, решение) остаётся — она нужна для леджера.
+async function purgeOldReceipts() {
+  const proofs = await getPaymentProofFilesToPurge(RECEIPT_RETENTION_DAYS);
+
+  for (const proof of proofs) {
+    try {
+      await fs.promises.unlink(path.join(uploadDir, path.basename(proof.file_stored_name)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Не удалось удалить файл чека #${proof.id}:`, err);
+        continue;
+      }
+    }
+    await markPaymentProofFileDeleted(proof.id);
+  }
+
+  return proofs.length;
+}
+
+// ---------------- АВТОРИЗАЦИЯ ЧЕРЕЗ TELEGRAM WEBAPP ----------------
+
+// Проверка подписи Telegram.WebApp.initData (HMAC-SHA256 по BOT_TOKEN).
+// Возвращает пользователя Telegram или null, если подпись неверна или устарела.
+function verifyTelegramInitData(initData) {
+  if (!initData || typeof initData !== 'string') return null;
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash) return null;
+  params.delete('hash');
+
+  const dataCheckString = Array.from(params.entries())
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+  const expectedHash = crypto
+    .createHmac('sha256', secretKey)
+    .update(dataCheckString)
+    .digest('hex');
+
+  const expectedBuf = Buffer.from(expectedHash, 'hex');
+  const actualBuf = Buffer.from(hash, 'hex');
+  if (
+    expectedBuf.length !== actualBuf.length ||
+    !crypto.timingSafeEqual(expectedBuf, actualBuf)
+  ) {
+    return null;
+  }
+
+  const authDate = Number(params.get('auth_date'));
+  if (!Number.isFinite(authDate)) return null;
+  const ageSec = Date.now() / 1000 - authDate;
+  if (ageSec > INIT_DATA_MAX_AGE_SEC) return null;
+
+  try {
+    const user = JSON.parse(params.get('user') || 'null');
+    if (!user || !user.id) return null;
+    return user;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Все /api-запросы должны нести initData в заголовке X-Telegram-Init-Data.
+// Проверенный пользователь кладётся в req.user, telegram_id от клиента не используется.
+function requireTelegramAuth(req, res, next) {
+  const tgUser = verifyTelegramInitData(req.get('X-Telegram-Init-Data'));
+  if (!tgUser) {
+    return res.status(401).json({
+      error: 'Не удалось подтвердить данные Telegram. Откройте мини-приложение заново.',
+    });
+  }
+
+  req.user = { ...tgUser, telegram_id: String(tgUser.id) };
+  return next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.telegram_id !== String(ADMIN_TELEGRAM_ID)) {
+    return res.status(403).json({ error: 'Нет доступа' });
+  }
+  return next();
+}
+
+app.use('/api', requireTelegramAuth);
 
 // ---------------- ВСПОМОГАТЕЛЬНЫЕ ОБЁРТКИ ДЛЯ DB (для passenger_plans) ----------------
 
@@ -139,6 +480,7 @@ db.serialize(() => {
       amount_total REAL NOT NULL DEFAULT 0,
       driver_amount REAL NOT NULL DEFAULT 0,
       app_fee REAL NOT NULL DEFAULT 0,
+      fee_rule_id INTEGER, -- по какому правилу посчитана комиссия (fee_rules)
       note TEXT,
       status TEXT NOT NULL DEFAULT 'active', -- active / taken / cancelled / expired
       driver_id INTEGER,
@@ -156,6 +498,7 @@ db.serialize(() => {
     "ALTER TABLE passenger_plans ADD COLUMN amount_total REAL NOT NULL DEFAULT 0",
     "ALTER TABLE passenger_plans ADD COLUMN driver_amount REAL NOT NULL DEFAULT 0",
     "ALTER TABLE passenger_plans ADD COLUMN app_fee REAL NOT NULL DEFAULT 0",
+    "ALTER TABLE passenger_plans ADD COLUMN fee_rule_id INTEGER",
   ].forEach((sql) => {
     db.run(sql, (err) => {
       // игнорируем ошибки "duplicate column name" и подобные
@@ -173,210 +516,2875 @@ db.serialize(() => {
     ON passenger_plans (status, desired_time)
   `
   );
+
+  // 4) Уже отправленные совпадения "план ↔ поездка" — чтобы не присылать одно и то же дважды
+  db.run(
+    `
+    CREATE TABLE IF NOT EXISTS plan_trip_matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id INTEGER NOT NULL,
+      trip_id INTEGER NOT NULL,
+      created_at TEXT DEFAULT (datetime('now','localtime')),
+      UNIQUE (plan_id, trip_id),
+      FOREIGN KEY (plan_id) REFERENCES passenger_plans(id),
+      FOREIGN KEY (trip_id) REFERENCES trips(id)
+    )
+  `
+  );
 });
 
-// ---------------- БОТ ----------------
+// ---------------- ОЧЕРЕДЬ УВЕДОМЛЕНИЙ ----------------
+
+// Все сообщения бота, кроме прямых ответов в диалоге, идут через таблицу notifications:
+// так они переживают перезапуск процесса и лимиты Telegram.
+const NOTIFY_BATCH_SIZE = 20;
+let notificationsPausedUntil = 0;
+
+// Поставить сообщение в очередь и сразу разбудить рассыльщик.
+// replyLink = { kind, refId } — ответ на отправленное сообщение попадёт в botReplyHandlers.
+async function queueMessage(chatId, text, extra = {}, replyLink = null) {
+  const id = await enqueueNotification({
+    chatId,
+    text,
+    extra,
+    replyKind: replyLink ? replyLink.kind : null,
+    replyRefId: replyLink ? replyLink.refId : null,
+  });
+  setImmediate(() => runScheduledJob(notificationsJob));
+  return id;
+}
 
-bot.start((ctx) => {
-  if (WEBAPP_URL.startsWith('http://localhost')) {
-    return ctx.reply(
-      'Привет! Это бот "попутчики".\n' +
-        'Сейчас бот запущен локально.\n\n' +
-        'Мини-приложение можно открыть в браузере по адресу:\n' +
-        WEBAPP_URL
-    );
+// Одна попытка доставки. 429 — ждём retry_after и ставим всю рассылку на паузу,
+// 403 — пользователь заблокировал бота (или бота убрали из группы / канала автопостинга),
+// 400 — запрос не исправится повтором, остальное (сеть, 5xx) — повтор с нарастающей задержкой.
+async function deliverNotification(n) {
+  if (n.recipient_blocked_at) {
+    await finishNotification(n.id, 'blocked', 'Пользователь заблокировал бота');
+    return;
   }
 
-  return ctx.reply(
-    'Привет! Это бот "попутчики". Нажмите кнопку ниже, чтобы открыть мини-приложение.',
-    {
-      reply_markup: {
-        inline_keyboard: [
-          [
-            {
-              text: 'Открыть попутчики',
-              web_app: { url: WEBAPP_URL },
-            },
-          ],
-        ],
-      },
+  let sent;
+  try {
+    sent = await bot.telegram.sendMessage(n.chat_id, n.text, n.extra ? JSON.parse(n.extra) : {});
+  } catch (err) {
+    const code = err && err.code;
+    const description = (err && (err.description || err.message)) || String(err);
+
+    if (code === 429) {
+      const retryAfter = Number(err.parameters && err.parameters.retry_after) || 5;
+      notificationsPausedUntil = Date.now() + retryAfter * 1000;
+      await postponeNotification(n.id, retryAfter, description);
+      setTimeout(() => runScheduledJob(notificationsJob), retryAfter * 1000 + 100);
+    } else if (code === 403) {
+      // У личных чатов id положительный, у групп и каналов — отрицательный или @имя
+      if (/^\d+$/.test(String(n.chat_id))) {
+        await markUserBotBlocked(n.chat_id);
+      } else {
+        await disableAutopostChannels(n.chat_id, description);
+      }
+      await finishNotification(n.id, 'blocked', description);
+    } else if (code === 400) {
+      await finishNotification(n.id, 'failed', description);
+    } else {
+      const status = await retryNotification(n, description);
+      if (status === 'failed') {
+        console.error(`Уведомление #${n.id} не доставлено:`, description);
+      }
     }
-  );
-});
+    return;
+  }
 
-bot.help((ctx) => {
-  return ctx.reply(
-    'Здесь водители создают поездки, а пассажиры бронируют места.\n' +
-      'Нажмите /start и откройте мини-приложение по кнопке.'
-  );
-});
+  await markNotificationSent(n.id, sent && sent.message_id);
+  if (n.reply_kind && sent) {
+    await saveBotReplyLink({
+      chatId: n.chat_id,
+      messageId: sent.message_id,
+      kind: n.reply_kind,
+      refId: n.reply_ref_id,
+    });
+  }
+}
 
-bot.on('text', (ctx) => {
-  return ctx.reply(
-    'Основной функционал доступен в мини-приложении.\n' +
-      'Нажмите /start и откройте "попутчики" по кнопке.'
-  );
-});
+// Разбираем очередь, пока есть что отправлять и Telegram не попросил подождать
+async function deliverPendingNotifications() {
+  let processed = 0;
 
-// ---------------- API: ОБЩЕЕ ----------------
+  while (Date.now() >= notificationsPausedUntil) {
+    const batch = await getDueNotifications(NOTIFY_BATCH_SIZE);
+    if (!batch.length) break;
 
-// Инициализация пользователя
-app.post('/api/init-user', async (req, res) => {
-  try {
-    const { user } = req.body;
-    if (!user || !user.id) {
-      return res.status(400).json({ error: 'Некорректный объект user' });
+    for (const n of batch) {
+      if (Date.now() < notificationsPausedUntil) break;
+      await deliverNotification(n);
+      processed += 1;
     }
+  }
 
-    const dbUser = await upsertUserFromTelegram(user);
-    const settings = await getAppSettings();
+  return processed;
+}
 
-    return res.json({ user: dbUser, settings });
-  } catch (err) {
-    console.error('Ошибка /api/init-user:', err);
-    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
-  }
-});
+// ---------------- ТЕКСТЫ УВЕДОМЛЕНИЙ ----------------
 
-// ---------------- API: ПОЕЗДКИ ----------------
+// "Авто: белый Kia Rio (А123ВС 123)" или пустая строка, если машина не указана
+function formatCarText(carMake, carColor, carPlate) {
+  const parts = [];
+  if (carColor) parts.push(carColor);
+  if (carMake) parts.push(carMake);
+  const main = parts.join(' ');
 
-// Создание поездки (с учётом платного режима и блокировок)
-app.post('/api/trips', async (req, res) => {
-  try {
-    const { telegram_id, from_city, to_city, departure_time, seats_total, price_per_seat, note } =
-      req.body;
+  if (carPlate) return `Авто: ${main} (${carPlate})`;
+  if (main) return `Авто: ${main}`;
+  return '';
+}
 
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+// "★ 4.8 (12 отзывов)" или "пока нет оценок"
+function formatRating(avg, count) {
+  if (!count) return 'пока нет оценок';
+  return `★ ${Number(avg).toFixed(1)} (${count} отз.)`;
+}
 
-    const user = await getUserByTelegramId(telegram_id);
-    if (!user) {
-      return res.status(400).json({
-        error: 'Пользователь не найден. Сначала откройте Mini App через /start.',
-      });
-    }
+// "Участок: Тверь → Санкт-Петербург" для брони на часть маршрута, иначе пустая строка
+function formatSegmentText(trip, booking) {
+  if (!booking || !booking.pickup_city || !booking.dropoff_city) return '';
+  if (booking.pickup_city === trip.from_city && booking.dropoff_city === trip.to_city) {
+    return '';
+  }
 
-    if (user.is_blocked) {
-      return res.status(403).json({
-        error:
-          'Ваш аккаунт заблокирован администратором. Создание новых поездок временно недоступно.',
-      });
-    }
+  const stop = (trip.stops || []).find((s) => s.stop_index === booking.from_stop_index);
+  const time = stop && stop.departure_time ? ` (посадка ${stop.departure_time})` : '';
+  return `Участок: ${booking.pickup_city} → ${booking.dropoff_city}${time}\n`;
+}
 
-    const settings = await getAppSettings();
+// Сообщение пассажиру о подтверждённой брони
+function buildPassengerBookingText(tripFull, booking) {
+  const driverName = `${tripFull.driver_first_name || ''} ${tripFull.driver_last_name || ''}`.trim();
+  const driverUsername = tripFull.driver_username ? `@${tripFull.driver_username}` : '';
+  const carText = formatCarText(tripFull.car_make, tripFull.car_color, tripFull.car_plate);
+
+  return (
+    'Ваша бронь в "попутчики":\n\n' +
+    `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
+    formatSegmentText(tripFull, booking) +
+    `Выезд: ${tripFull.departure_time}\n\n` +
+    `Водитель: ${driverName || 'без имени'} ${driverUsername}\n` +
+    `Рейтинг водителя: ${formatRating(tripFull.driver_rating_avg, tripFull.driver_rating_count)}\n` +
+    `Забронировано мест: ${booking.seats_booked}\n` +
+    `К оплате водителю: ${booking.amount_total || 0} ₽\n` +
+    (carText ? carText + '\n\n' : '\n') +
+    'Чтобы написать водителю, ответьте на это сообщение — бот перешлёт его, ' +
+    'не раскрывая ваш аккаунт.'
+  );
+}
 
-    if (settings && settings.monetization_enabled) {
-      const stats = await getDriverDailyStats(user.id);
-      const hasProof = await hasDriverPaymentProofToday(user.id);
+// Ответ водителя на заявку (из бота или из мини-приложения) + уведомление пассажиру
+async function handleBookingDecision(driver, bookingId, approve) {
+  const booking = await decidePendingBooking({ bookingId, driverId: driver.id, approve });
+
+  let textForPassenger;
+  let threadId = null;
+  if (approve) {
+    const tripFull = await getTripWithDriver(booking.trip_id);
+    textForPassenger = buildPassengerBookingText(tripFull, booking);
+    threadId = await openBookingThread(booking.id);
+  } else {
+    textForPassenger =
+      'Водитель отклонил вашу заявку в "попутчики":\n\n' +
+      `Маршрут: ${booking.from_city} → ${booking.to_city}\n` +
+      `Выезд: ${booking.departure_time}\n\n` +
+      'Места освобождены. Попробуйте выбрать другую поездку в мини-приложении.';
+  }
 
-      const tripsToday = (stats && stats.trips_count) || 0;
-      const appFeeToday = (stats && stats.app_fee_total) || 0;
+  sendThreadMessage(booking.passenger_telegram_id, textForPassenger, threadId).catch((err) =>
+    console.error('Ошибка отправки пассажиру решения по заявке:', err)
+  );
 
-      // Блокируем только если СЕГОДНЯ были поездки с комиссией и нет чека
-      if (tripsToday > 0 && appFeeToday > 0 && !hasProof) {
-        return res.status(403).json({
-          error:
-            'Сервис стал частично платным для водителей.\n' +
-            'У вас есть комиссия за сегодняшние поездки. Оплатите её, прикрепите чек и после этого сможете создавать новые поездки.',
-        });
-      }
-    }
+  if (!approve) {
+    offerFreedSeats(booking.trip_id);
+  }
 
-    const trip = await createTrip({
-      driverId: user.id,
-      fromCity: from_city,
-      toCity: to_city,
-      departureTime: departure_time,
-      seatsTotal: seats_total,
-      pricePerSeat: price_per_seat,
-      note,
-    });
+  return booking;
+}
 
-    return res.json({ trip });
-  } catch (err) {
-    console.error('Ошибка /api/trips (POST):', err);
-    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+// Уведомления о новой брони: водителю (с кнопками, если нужна его проверка) и пассажиру
+async function notifyNewBooking(tripFull, booking, passenger) {
+  if (!tripFull) return;
+  const isPending = booking.status === 'pending';
+  const passengerRating = await getUserRating(passenger.id);
+  const threadId = await openBookingThread(booking.id);
+
+  // Уведомление водителю о новой брони (или заявке, если нужна его проверка)
+  if (tripFull.driver_telegram_id) {
+    const passengerName = `${passenger.first_name || ''} ${passenger.last_name || ''}`.trim();
+    const passengerUsername = passenger.username ? `@${passenger.username}` : '';
+    const noShowCount = passenger.no_show_count || 0;
+
+    const textForDriver =
+      (isPending ? 'Новая заявка на бронь в "попутчики":\n\n' : 'Новая бронь в "попутчики":\n\n') +
+      `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
+      formatSegmentText(tripFull, booking) +
+      `Выезд: ${tripFull.departure_time}\n\n` +
+      `Пассажир: ${passengerName || 'без имени'} ${passengerUsername}\n` +
+      `Забронировано мест: ${booking.seats_booked}\n` +
+      `Надёжность пассажира: ${noShowCount} неявок, ` +
+      `рейтинг ${formatRating(passengerRating.rating_avg, passengerRating.rating_count)}.\n\n` +
+      `Сумма брони: ${booking.amount_total || 0} ₽\n` +
+      `Ваш доход: ${booking.driver_amount || 0} ₽\n` +
+      `Комиссия сервиса: ${booking.app_fee || 0} ₽\n\n` +
+      (isPending
+        ? `Места удерживаются до ${booking.hold_expires_at}. ` +
+          'Если не ответить до этого времени, заявка отменится автоматически.\n\n'
+        : '') +
+      'Чтобы написать пассажиру, ответьте на это сообщение — бот перешлёт его анонимно.';
+
+    const extra = isPending
+      ? {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: '✅ Подтвердить', callback_data: `booking_approve:${booking.id}` },
+                { text: '❌ Отклонить', callback_data: `booking_decline:${booking.id}` },
+              ],
+            ],
+          },
+        }
+      : {};
+
+    sendThreadMessage(tripFull.driver_telegram_id, textForDriver, threadId, extra).catch((err) =>
+      console.error('Ошибка отправки уведомления водителю:', err)
+    );
   }
-});
 
-// Список поездок (пассажир) — только не полные и не устаревшие + фильтры
-app.get('/api/trips', async (req, res) => {
-  try {
-    const rawTrips = await getLatestTrips(50);
+  // Уведомление пассажиру
+  if (passenger && passenger.telegram_id) {
+    const textForPassenger = isPending
+      ? 'Заявка на бронь отправлена водителю в "попутчики":\n\n' +
+        `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
+        formatSegmentText(tripFull, booking) +
+        `Выезд: ${tripFull.departure_time}\n` +
+        `Мест: ${booking.seats_booked}\n\n` +
+        'Водитель подтверждает брони вручную. Мы сообщим, когда он ответит. ' +
+        `Если ответа не будет до ${booking.hold_expires_at}, заявка отменится автоматически.`
+      : buildPassengerBookingText(tripFull, booking);
+
+    sendThreadMessage(passenger.telegram_id, textForPassenger, threadId).catch((err) =>
+      console.error('Ошибка отправки уведомления пассажиру:', err)
+    );
+  }
+}
 
-    const now = Date.now();
-    const cutoff = now - 10 * 60 * 1000; // показываем до 10 минут после старта
+// ---------------- ЛИСТ ОЖИДАНИЯ ----------------
 
-    const qFrom = (req.query.from || '').toString().trim().toLowerCase();
-    const qTo = (req.query.to || '').toString().trim().toLowerCase();
-    const qDay = (req.query.day || 'any').toString().trim().toLowerCase();
-    const qSort = (req.query.sort || 'time_asc').toString().trim().toLowerCase();
+// Места освободились (отмена, отказ, изменение поездки): предлагаем их очереди.
+// Ошибки только логируем — вызывающий код уже выполнил своё действие.
+function offerFreedSeats(tripId) {
+  return offerWaitlistSeats(tripId)
+    .then((offers) => offers.forEach(sendWaitlistOffer))
+    .catch((err) => console.error('Ошибка предложения мест из листа ожидания:', err));
+}
 
-    // границы "сегодня/завтра" в локальном времени сервера
-    const dNow = new Date();
-    const startOfToday = new Date(dNow.getFullYear(), dNow.getMonth(), dNow.getDate()).getTime();
-    const startOfTomorrow = new Date(dNow.getFullYear(), dNow.getMonth(), dNow.getDate() + 1).getTime();
-    const startOfDayAfterTomorrow = new Date(dNow.getFullYear(), dNow.getMonth(), dNow.getDate() + 2).getTime();
+function sendWaitlistOffer({ booking, trip, passenger }) {
+  const textForPassenger =
+    'Освободилось место в поездке "попутчики", где вы стояли в листе ожидания:\n\n' +
+    `Маршрут: ${trip.from_city} → ${trip.to_city}\n` +
+    formatSegmentText(trip, booking) +
+    `Выезд: ${trip.departure_time}\n` +
+    `Мест: ${booking.seats_booked}\n` +
+    `Сумма: ${booking.amount_total || 0} ₽\n\n` +
+    `Места удерживаются для вас до ${booking.hold_expires_at}. ` +
+    'Если не ответить, они перейдут следующему в очереди.';
+
+  queueMessage(passenger.telegram_id, textForPassenger, {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '✅ Забронировать', callback_data: `waitlist_accept:${booking.id}` },
+          { text: '❌ Не нужно', callback_data: `waitlist_decline:${booking.id}` },
+        ],
+      ],
+    },
+  }).catch((err) => console.error('Ошибка отправки предложения из листа ожидания:', err));
+}
 
-    let trips = (rawTrips || []).filter((t) => {
-      // базовая логика (как было)
-      if (t.seats_available <= 0) return false;
+// Ответ пассажира на предложение (из бота или из мини-приложения)
+async function handleWaitlistResponse(passenger, bookingId, accept) {
+  const booking = await respondWaitlistOffer({
+    bookingId,
+    passengerId: passenger.id,
+    accept,
+  });
 
-      const ts = Date.parse(t.departure_time);
-      if (Number.isFinite(ts) && ts < cutoff) return false;
+  if (accept) {
+    const tripFull = await getTripWithDriver(booking.trip_id);
+    notifyNewBooking(tripFull, booking, passenger).catch((err) =>
+      console.error('Ошибка уведомлений о новой брони:', err)
+    );
+  } else {
+    offerFreedSeats(booking.trip_id);
+  }
 
-      // from/to
-      if (qFrom && String(t.from_city || '').trim().toLowerCase() !== qFrom) return false;
-      if (qTo && String(t.to_city || '').trim().toLowerCase() !== qTo) return false;
+  return booking;
+}
 
-      // day
-      if (qDay && qDay !== 'any' && Number.isFinite(ts)) {
-        if (qDay === 'today') {
-          if (!(ts >= startOfToday && ts < startOfTomorrow)) return false;
-        } else if (qDay === 'tomorrow') {
-          if (!(ts >= startOfTomorrow && ts < startOfDayAfterTomorrow)) return false;
-        } else if (qDay === 'weekend') {
-          const dow = new Date(ts).getDay(); // 0=вс, 6=сб
-          if (!(dow === 0 || dow === 6)) return false;
-        }
-      }
+function waitlistErrorText(err) {
+  if (err.code === 'TRIP_NOT_FOUND') return 'Поездка не найдена';
+  if (err.code === 'TRIP_NOT_ACTIVE') return 'Поездка отменена водителем';
+  if (err.code === 'PASSENGER_NOT_FOUND') return 'Пассажир не найден';
+  if (err.code === 'FORBIDDEN') return 'Нельзя встать в очередь на свою поездку';
+  if (err.code === 'BAD_SEATS') return 'Некорректное количество мест';
+  if (err.code === 'BAD_STOPS') return 'Некорректный участок маршрута';
+  if (err.code === 'SEATS_AVAILABLE') return 'Места есть — можно бронировать сразу';
+  if (err.code === 'ALREADY_WAITING') return 'Вы уже в листе ожидания этой поездки';
+  if (err.code === 'BOOKING_NOT_FOUND') return 'Предложение не найдено';
+  if (err.code === 'BAD_STATUS') return 'Предложение уже истекло или обработано';
+  return null;
+}
 
-      return true;
-    });
+function bookingDecisionErrorText(err) {
+  if (err.code === 'BOOKING_NOT_FOUND') return 'Бронирование не найдено';
+  if (err.code === 'FORBIDDEN') return 'Нет прав на изменение этого бронирования';
+  if (err.code === 'BAD_STATUS') return 'Заявка уже обработана или истекла';
+  return null;
+}
 
-    // сортировка
-    const timeValue = (t) => {
-      const ts = Date.parse(t.departure_time);
-      return Number.isFinite(ts) ? ts : 0;
-    };
-    const priceValue = (t) => Number(t.price_per_seat || 0);
+// ---------------- ПОДБОР ПОПУТЧИКОВ ----------------
 
-    if (qSort === 'time_desc') {
-      trips.sort((a, b) => timeValue(b) - timeValue(a));
-    } else if (qSort === 'price_asc') {
-      trips.sort((a, b) => priceValue(a) - priceValue(b));
-    } else if (qSort === 'price_desc') {
-      trips.sort((a, b) => priceValue(b) - priceValue(a));
-    } else {
-      // time_asc по умолчанию
-      trips.sort((a, b) => timeValue(a) - timeValue(b));
-    }
+// Параметр ссылки на карточку: trip_123, trip_123_0_2 (участок по индексам остановок), plan_45.
+// Один и тот же параметр понимают /start в боте и мини-приложение (start_param или ?start=)
+function tripStartParam(tripId, segment) {
+  return segment ? `trip_${tripId}_${segment.from_index}_${segment.to_index}` : `trip_${tripId}`;
+}
 
-    return res.json({ trips });
-  } catch (err) {
-    console.error('Ошибка /api/trips (GET):', err);
-    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+function planStartParam(planId) {
+  return `plan_${planId}`;
+}
+
+function parseStartParam(param) {
+  const m = /^(trip|plan)_(\d+)(?:_(\d+)_(\d+))?$/.exec(String(param || '').trim());
+  if (!m) return null;
+  if (m[1] === 'plan') {
+    return m[3] === undefined ? { type: 'plan', id: Number(m[2]) } : null;
   }
-});
+  return {
+    type: 'trip',
+    id: Number(m[2]),
+    fromStop: m[3] === undefined ? null : Number(m[3]),
+    toStop: m[4] === undefined ? null : Number(m[4]),
+  };
+}
 
-// Удаление поездки водителем
-app.post('/api/driver/delete-trip', async (req, res) => {
-  try {
-    const { telegram_id, trip_id } = req.body;
-    if (!telegram_id || !trip_id) {
-      return res.status(400).json({ error: 'Не указаны telegram_id или trip_id' });
-    }
+function webAppUrlWithStart(startParam) {
+  return `${WEBAPP_URL}${WEBAPP_URL.includes('?') ? '&' : '?'}start=${startParam}`;
+}
+
+// Ссылка, открывающая мини-приложение сразу на карточке поездки (и нужном участке)
+function tripWebAppUrl(tripId, segment) {
+  return webAppUrlWithStart(tripStartParam(tripId, segment));
+}
+
+function planWebAppUrl(planId) {
+  return webAppUrlWithStart(planStartParam(planId));
+}
+
+// Ссылка для пересылки в любой чат (кнопки web_app работают только в личке с ботом).
+// С WEBAPP_SHORT_NAME сразу открывает мини-приложение, без него — чат с ботом,
+// который по /start ответит кнопкой на нужную карточку. null, если имя бота неизвестно.
+function shareLink(startParam) {
+  const username = BOT_USERNAME || (bot.botInfo && bot.botInfo.username);
+  if (!username) return null;
+  if (WEBAPP_SHORT_NAME) {
+    return `https://t.me/${username}/${WEBAPP_SHORT_NAME}?startapp=${startParam}`;
+  }
+  return `https://t.me/${username}?start=${startParam}`;
+}
+
+// Кнопка мини-приложения; при локальном запуске (не https) Telegram её не примет,
+// поэтому тогда ссылку добавляем прямо в текст
+function webAppMessage(text, buttonText, url) {
+  if (!WEBAPP_URL.startsWith('https://')) {
+    return { text: `${text}\n\n${url}`, extra: {} };
+  }
+  return {
+    text,
+    extra: {
+      reply_markup: {
+        inline_keyboard: [[{ text: buttonText, web_app: { url } }]],
+      },
+    },
+  };
+}
+
+// Подходит ли поездка под план пассажира: маршрут (любая пара остановок),
+// время в пределах MATCH_WINDOW_MINUTES и достаточно мест на участке.
+// Возвращает участок поездки или null.
+function matchPlanToTrip(plan, trip) {
+  if (trip.status !== 'active') return null;
+  if (plan.passenger_id === trip.driver_id) return null;
+
+  const norm = (city) => String(city || '').trim().toLowerCase();
+  const pair = findStopPair(trip.stops, norm(plan.from_city), norm(plan.to_city));
+  if (!pair) return null;
+
+  const segment = buildTripSegment(trip, pair[0], pair[1]);
+  if (segment.seats_available < Number(plan.seats_needed)) return null;
+
+  const planTs = Date.parse(plan.desired_time);
+  const tripTs = Date.parse(segment.departure_time);
+  if (!Number.isFinite(planTs) || !Number.isFinite(tripTs)) return null;
+  if (tripTs < Date.now()) return null;
+  if (Math.abs(tripTs - planTs) > MATCH_WINDOW_MINUTES * 60 * 1000) return null;
+
+  return segment;
+}
+
+// true, если это совпадение новое (ещё не отправляли)
+async function recordPlanTripMatch(planId, tripId) {
+  const ins = await dbRun(
+    `INSERT OR IGNORE INTO plan_trip_matches (plan_id, trip_id) VALUES (?, ?)`,
+    [planId, tripId]
+  );
+  return ins.changes > 0;
+}
+
+// Сколько активных планов пассажиров подходит под поездку
+function countWaitingPassengers(tripId) {
+  return dbGet(
+    `
+      SELECT COUNT(*) AS plans_count, COALESCE(SUM(p.seats_needed), 0) AS seats_count
+      FROM plan_trip_matches m
+      JOIN passenger_plans p ON p.id = m.plan_id
+      WHERE m.trip_id = ? AND p.status = 'active'
+    `,
+    [tripId]
+  );
+}
+
+function sendMatchToPassenger(plan, trip, segment) {
+  const { text, extra } = webAppMessage(
+    'Нашлась поездка под ваш запрос в "попутчики":\n\n' +
+      `Маршрут: ${segment.from_city} → ${segment.to_city}\n` +
+      `Выезд: ${segment.departure_time}\n` +
+      `Свободно мест: ${segment.seats_available}\n` +
+      `Цена за место: ${segment.price_per_seat} ₽\n\n` +
+      `Вы искали: ${plan.from_city} → ${plan.to_city}, ${plan.desired_time}, мест: ${plan.seats_needed}.`,
+    'Забронировать',
+    tripWebAppUrl(trip.id, segment)
+  );
+
+  queueMessage(plan.passenger_telegram_id, text, extra)
+    .catch((err) => console.error('Ошибка отправки пассажиру подходящей поездки:', err));
+}
+
+async function sendWaitingCountToDriver(trip) {
+  const waiting = await countWaitingPassengers(trip.id);
+  if (!waiting || !waiting.plans_count) return;
+
+  queueMessage(
+    trip.driver_telegram_id,
+    `Под вашу поездку ${trip.from_city} → ${trip.to_city} (${trip.departure_time}) ` +
+      `подходят ожидающие пассажиры: ${waiting.plans_count} (мест: ${waiting.seats_count}).\n\n` +
+      'Мы отправили им ссылку на бронирование. Запросы видны в мини-приложении, раздел «Запросы пассажиров».'
+  ).catch((err) => console.error('Ошибка отправки водителю числа ожидающих:', err));
+}
+
+// Новая поездка опубликована: ищем подходящие активные планы пассажиров
+async function onTripPublished(tripId) {
+  const trip = await getTripWithDriver(tripId);
+  if (!trip || trip.status !== 'active') return 0;
+
+  const plans = await dbAll(
+    `
+      SELECT p.*, u.telegram_id AS passenger_telegram_id
+      FROM passenger_plans p
+      JOIN users u ON u.id = p.passenger_id
+      WHERE p.status = 'active'
+        AND datetime(p.desired_time) >= datetime('now','localtime')
+    `
+  );
+
+  let matched = 0;
+  for (const plan of plans) {
+    const segment = matchPlanToTrip(plan, trip);
+    if (!segment) continue;
+    if (!(await recordPlanTripMatch(plan.id, trip.id))) continue;
+
+    matched += 1;
+    sendMatchToPassenger(plan, trip, segment);
+  }
+
+  if (matched > 0) {
+    await sendWaitingCountToDriver(trip);
+  }
+
+  await notifySubscribersAboutTrip(trip);
+  return matched;
+}
+
+// Несколько поездок сразу (например, созданных по расписанию) — по очереди
+async function onTripsPublished(trips) {
+  for (const trip of trips) {
+    await onTripPublished(trip.id);
+  }
+}
+
+// Новый план пассажира: ищем подходящие опубликованные поездки
+async function onPlanCreated(plan) {
+  const trips = await getLatestTrips(200);
+
+  let matched = 0;
+  for (const candidate of trips) {
+    const segment = matchPlanToTrip(plan, candidate);
+    if (!segment) continue;
+    if (!(await recordPlanTripMatch(plan.id, candidate.id))) continue;
+
+    const trip = await getTripWithDriver(candidate.id);
+    matched += 1;
+    sendMatchToPassenger(plan, trip, segment);
+    await sendWaitingCountToDriver(trip);
+  }
+
+  await notifySubscribersAboutPlan(plan);
+  return matched;
+}
+
+// ---------------- ДЕЙСТВИЯ С ПОЕЗДКАМИ И БРОНЯМИ ----------------
+// Общие для мини-приложения и команд бота: изменение в базе + все уведомления.
+
+// Новая поездка опубликована: подбор пассажиров, подписки и автопостинг
+function announceNewTrip(tripId) {
+  onTripPublished(tripId).catch((err) =>
+    console.error('Ошибка подбора пассажиров для новой поездки:', err)
+  );
+  publishTripToChannels(tripId).catch((err) =>
+    console.error('Ошибка автопостинга новой поездки:', err)
+  );
+}
+
+function bookingErrorText(err) {
+  if (err.code === 'TRIP_NOT_FOUND') return 'Поездка не найдена';
+  if (err.code === 'TRIP_NOT_ACTIVE') return 'Поездка отменена водителем';
+  if (err.code === 'BAD_SEATS') return 'Некорректное количество мест';
+  if (err.code === 'BAD_STOPS') return 'Некорректный участок маршрута';
+  if (err.code === 'NOT_ENOUGH_SEATS') return 'Недостаточно свободных мест';
+  if (err.code === 'PASSENGER_NOT_FOUND') return 'Пассажир не найден';
+  return null;
+}
+
+// Бронь пассажира + уведомления сторонам и обновление автопостов
+async function bookTripSeats({ passenger, tripId, seats, fromStopIndex, toStopIndex }) {
+  const tripIdNum = Number(tripId);
+
+  const { booking, trip, passenger: bookingPassenger } = await createBooking({
+    tripId: tripIdNum,
+    passengerTelegramId: passenger.telegram_id,
+    seatsBooked: Number(seats),
+    fromStopIndex,
+    toStopIndex,
+  });
+
+  const tripFull = await getTripWithDriver(tripIdNum);
+  notifyNewBooking(tripFull, booking, bookingPassenger || passenger).catch((err) =>
+    console.error('Ошибка уведомлений о новой брони:', err)
+  );
+  syncTripAutoposts(tripIdNum).catch((err) =>
+    console.error('Ошибка обновления автопостов:', err)
+  );
+
+  return { booking, trip };
+}
+
+// Активные брони пассажира (до 10 минут после начала), включая заявки и предложения мест
+async function getActivePassengerBookings(telegramId) {
+  const all = await getPassengerBookingsByTelegramId(telegramId);
+  const cutoff = Date.now() - 10 * 60 * 1000;
+
+  return (all || []).filter((b) => {
+    if (!['booked', 'pending', 'offered'].includes(b.status)) return false;
+    const ts = Date.parse(b.departure_time);
+    if (!Number.isFinite(ts)) return true;
+    return ts >= cutoff;
+  });
+}
+
+function cancelBookingErrorText(err) {
+  if (err.code === 'BOOKING_NOT_FOUND') return 'Бронирование не найдено';
+  if (err.code === 'FORBIDDEN') return 'Нет прав на отмену этого бронирования';
+  if (err.code === 'BAD_STATUS') return 'Эту бронь уже нельзя отменить';
+  if (err.code === 'TOO_LATE') return 'Нельзя отменить бронь после начала поездки.';
+  return null;
+}
+
+// Отмена брони пассажиром: уведомление водителю, места — листу ожидания
+async function cancelPassengerBooking(passenger, bookingId) {
+  const row = await cancelBookingByPassenger({
+    bookingId: Number(bookingId),
+    passengerId: passenger.id,
+  });
+
+  // Уведомление водителю
+  const tripFull = await getTripWithDriver(row.trip_id);
+  if (tripFull && tripFull.driver_telegram_id) {
+    const passengerName = `${passenger.first_name || ''} ${passenger.last_name || ''}`.trim();
+    const passengerUsername = passenger.username ? `@${passenger.username}` : '';
+
+    const textForDriver =
+      (row.status === 'pending'
+        ? 'Пассажир отозвал заявку в "попутчики":\n\n'
+        : 'Отмена брони в "попутчики":\n\n') +
+      `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
+      `Выезд: ${tripFull.departure_time}\n\n` +
+      `Пассажир: ${passengerName || 'без имени'} ${passengerUsername}\n` +
+      `Отменено мест: ${row.seats_booked}\n\n` +
+      'Места возвращены в свободные.';
+
+    queueMessage(tripFull.driver_telegram_id, textForDriver)
+      .catch((err) =>
+        console.error(
+          'Ошибка отправки уведомления водителю об отмене:',
+          err
+        )
+      );
+  }
+
+  offerFreedSeats(row.trip_id);
+  syncTripAutoposts(row.trip_id).catch((err) =>
+    console.error('Ошибка обновления автопостов:', err)
+  );
+
+  return row;
+}
+
+function cancelTripErrorText(err) {
+  if (err.code === 'TRIP_NOT_FOUND') return 'Поездка не найдена';
+  if (err.code === 'FORBIDDEN') return 'Нет прав на отмену этой поездки';
+  if (err.code === 'BAD_STATUS') return 'Поездка уже отменена или завершена';
+  if (err.code === 'TOO_LATE') return 'Нельзя отменить поездку после её начала.';
+  return null;
+}
+
+// Отмена поездки водителем: каждому пассажиру — причина, автопосты — «отменена»
+async function cancelDriverTrip(driver, tripId, reason) {
+  const { trip, bookings } = await cancelTripByDriver({
+    tripId,
+    driverId: driver.id,
+    reason,
+  });
+
+  const driverName = `${driver.first_name || ''} ${driver.last_name || ''}`.trim();
+
+  for (const b of bookings) {
+    const textForPassenger =
+      'Водитель отменил поездку в "попутчики":\n\n' +
+      `Маршрут: ${trip.from_city} → ${trip.to_city}\n` +
+      `Выезд: ${trip.departure_time}\n` +
+      `Водитель: ${driverName || 'без имени'}\n\n` +
+      `Причина: ${reason}\n\n` +
+      (b.status === 'pending' ? 'Ваша заявка на бронь аннулирована.' : 'Ваша бронь аннулирована.') +
+      ' Откройте мини-приложение, чтобы найти другую поездку.';
+
+    queueMessage(b.passenger_telegram_id, textForPassenger)
+      .catch((err) =>
+        console.error('Ошибка уведомления пассажира об отмене поездки:', err)
+      );
+  }
+
+  syncTripAutoposts(trip.id).catch((err) =>
+    console.error('Ошибка обновления автопостов:', err)
+  );
+
+  return { trip, bookings };
+}
+
+// ---------------- БОТ ----------------
+
+// Кто пишет боту, тот его не блокирует: снова разрешаем отправку уведомлений
+bot.use((ctx, next) => {
+  if (ctx.from) {
+    clearUserBotBlocked(ctx.from.id).catch((err) =>
+      console.error('Ошибка снятия отметки о блокировке бота:', err)
+    );
+  }
+  return next();
+});
+
+// Пошаговые диалоги (/newtrip, /find, отмена поездки). Сцены регистрируются в разделе
+// «КОМАНДЫ БОТА БЕЗ МИНИ-ПРИЛОЖЕНИЯ»; сессии живут в памяти процесса.
+// Собственные обработчики stage добавляем до stage.middleware(): он их запоминает при вызове.
+const stage = new Scenes.Stage();
+
+// /cancel — выйти из диалога; любая другая команда посреди диалога прерывает его
+stage.command('cancel', async (ctx) => {
+  if (!ctx.scene.current) {
+    return ctx.reply('Сейчас нечего отменять.');
+  }
+  await ctx.scene.leave();
+  return ctx.reply('Хорошо, отменили.');
+});
+
+stage.use(async (ctx, next) => {
+  const text = ctx.message && ctx.message.text;
+  if (ctx.scene.current && text && text.startsWith('/')) {
+    await ctx.scene.leave();
+  }
+  return next();
+});
+
+bot.use(session());
+bot.use(stage.middleware());
+
+// Текст карточки поездки для /start и инлайн-режима: участок, время, места, цена
+function buildTripCardText(trip, segment) {
+  const fullRoute = trip.stops.length > 2 ? trip.stops.map((st) => st.city).join(' → ') : null;
+
+  return (
+    'Поездка в "попутчики":\n\n' +
+    `Маршрут: ${segment.from_city} → ${segment.to_city}\n` +
+    (fullRoute ? `Весь маршрут: ${fullRoute}\n` : '') +
+    `Выезд: ${segment.departure_time}\n` +
+    `Свободно мест: ${segment.seats_available}\n` +
+    `Цена за место: ${segment.price_per_seat} ₽\n` +
+    `Водитель: ${formatRating(trip.driver_rating_avg, trip.driver_rating_count)}` +
+    (trip.note ? `\nКомментарий: ${trip.note}` : '')
+  );
+}
+
+// Карточка поездки или плана по параметру /start с кнопкой мини-приложения.
+// null, если поездка / план уже недоступны.
+async function buildStartLinkMessage(link) {
+  if (link.type === 'trip') {
+    const trip = await getTripWithDriver(link.id);
+    if (!trip || trip.status !== 'active' || Date.parse(trip.departure_time) < Date.now()) {
+      return null;
+    }
+
+    const segment = resolveTripSegment(trip, link.fromStop, link.toStop);
+    if (segment.seats_available <= 0) return null;
+
+    return webAppMessage(buildTripCardText(trip, segment), 'Забронировать', tripWebAppUrl(trip.id, segment));
+  }
+
+  const plan = await dbGet(`SELECT * FROM passenger_plans WHERE id = ?`, [link.id]);
+  if (!plan || plan.status !== 'active') return null;
+
+  return webAppMessage(
+    'Запрос пассажира в "попутчики":\n\n' +
+      `Маршрут: ${plan.from_city} → ${plan.to_city}\n` +
+      `Когда: ${plan.desired_time}\n` +
+      `Мест: ${plan.seats_needed}\n` +
+      `Цена за место: ${plan.price_per_seat} ₽`,
+    'Открыть запрос',
+    planWebAppUrl(plan.id)
+  );
+}
+
+bot.start(async (ctx) => {
+  // Ссылка вида t.me/<бот>?start=trip_123 — сразу показываем нужную карточку
+  const link = parseStartParam(ctx.payload);
+  if (link) {
+    try {
+      const message = await buildStartLinkMessage(link);
+      if (message) {
+        return ctx.reply(message.text, message.extra);
+      }
+      await ctx.reply(
+        link.type === 'trip'
+          ? 'Эта поездка уже недоступна для бронирования.'
+          : 'Этот запрос пассажира уже неактуален.'
+      );
+    } catch (err) {
+      console.error('Ошибка /start по ссылке:', err);
+    }
+  }
+
+  if (WEBAPP_URL.startsWith('http://localhost')) {
+    return ctx.reply(
+      'Привет! Это бот "попутчики".\n' +
+        'Сейчас бот запущен локально.\n\n' +
+        'Мини-приложение можно открыть в браузере по адресу:\n' +
+        WEBAPP_URL
+    );
+  }
+
+  return ctx.reply(
+    'Привет! Это бот "попутчики". Нажмите кнопку ниже, чтобы открыть мини-приложение.',
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: 'Открыть попутчики',
+              web_app: { url: WEBAPP_URL },
+            },
+          ],
+        ],
+      },
+    }
+  );
+});
+
+bot.help((ctx) => {
+  return ctx.reply(
+    'Здесь водители создают поездки, а пассажиры бронируют места.\n' +
+      'Нажмите /start и откройте мини-приложение по кнопке.\n\n' +
+      'Если мини-приложение не открывается, всё можно сделать командами:\n' +
+      '/newtrip — опубликовать поездку\n' +
+      '/find — найти и забронировать поездку\n' +
+      '/mytrips — мои поездки (отмена, отметка неявки)\n' +
+      '/mybookings — мои брони\n' +
+      '/pay — оплатить долг по комиссии сервиса\n\n' +
+      `Чтобы поделиться поездкой в любом чате, напишите там @${ctx.botInfo.username} Откуда Куда.`
+  );
+});
+
+// Кнопки «Подтвердить / Отклонить» под заявкой на бронь
+bot.action(/^booking_(approve|decline):(\d+)$/, async (ctx) => {
+  const approve = ctx.match[1] === 'approve';
+  const bookingId = Number(ctx.match[2]);
+
+  try {
+    const driver = await getUserByTelegramId(ctx.from.id);
+    if (!driver) {
+      return ctx.answerCbQuery('Пользователь не найден. Откройте Mini App через /start.', {
+        show_alert: true,
+      });
+    }
+
+    await handleBookingDecision(driver, bookingId, approve);
+    await ctx.answerCbQuery(approve ? 'Бронь подтверждена' : 'Заявка отклонена');
+
+    const originalText = (ctx.callbackQuery.message && ctx.callbackQuery.message.text) || '';
+    return ctx.editMessageText(
+      originalText + '\n\n' + (approve ? '✅ Вы подтвердили бронь.' : '❌ Вы отклонили заявку.')
+    );
+  } catch (err) {
+    const known = bookingDecisionErrorText(err);
+    if (!known) console.error('Ошибка обработки заявки из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+bot.action(/^waitlist_(accept|decline):(\d+)$/, async (ctx) => {
+  const accept = ctx.match[1] === 'accept';
+  const bookingId = Number(ctx.match[2]);
+
+  try {
+    const passenger = await getUserByTelegramId(ctx.from.id);
+    if (!passenger) {
+      return ctx.answerCbQuery('Пользователь не найден. Откройте Mini App через /start.', {
+        show_alert: true,
+      });
+    }
+
+    const booking = await handleWaitlistResponse(passenger, bookingId, accept);
+    await ctx.answerCbQuery(accept ? 'Места ваши' : 'Отказ принят');
+
+    let resultText = '❌ Вы отказались от мест.';
+    if (accept) {
+      resultText =
+        booking.status === 'pending'
+          ? '✅ Заявка отправлена водителю на подтверждение.'
+          : '✅ Бронь оформлена.';
+    }
+
+    const originalText = (ctx.callbackQuery.message && ctx.callbackQuery.message.text) || '';
+    return ctx.editMessageText(originalText + '\n\n' + resultText);
+  } catch (err) {
+    const known = waitlistErrorText(err);
+    if (!known) console.error('Ошибка ответа на предложение из листа ожидания:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+// ---------------- ОТЗЫВЫ ----------------
+
+function reviewKeyboard(bookingId) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [1, 2, 3, 4, 5].map((n) => ({
+          text: `${n}★`,
+          callback_data: `review:${bookingId}:${n}`,
+        })),
+      ],
+    },
+  };
+}
+
+function reviewErrorText(err) {
+  if (err.code === 'BAD_RATING') return 'Оценка должна быть от 1 до 5';
+  if (err.code === 'BOOKING_NOT_FOUND') return 'Бронирование не найдено';
+  if (err.code === 'FORBIDDEN') return 'Нет прав оставлять отзыв по этой брони';
+  if (err.code === 'BAD_STATUS') return 'Поездка по этой брони не состоялась';
+  if (err.code === 'TOO_EARLY') return 'Оценить поездку можно после выезда';
+  return null;
+}
+
+// Просьба оценить друг друга после поездки: пассажиру — про водителя, водителю — про пассажира
+function sendReviewPrompts(b) {
+  const route = `${b.from_city} → ${b.to_city} (${b.departure_time})`;
+  const driverName = `${b.driver_first_name || ''} ${b.driver_last_name || ''}`.trim();
+  const passengerName = `${b.passenger_first_name || ''} ${b.passenger_last_name || ''}`.trim();
+
+  queueMessage(
+    b.passenger_telegram_id,
+    `Как прошла поездка ${route}?\n\n` +
+      `Оцените водителя ${driverName || 'без имени'} — это поможет другим пассажирам.`,
+    reviewKeyboard(b.id)
+  ).catch((err) => console.error('Ошибка отправки пассажиру просьбы об оценке:', err));
+
+  queueMessage(
+    b.driver_telegram_id,
+    `Поездка ${route} состоялась.\n\n` +
+      `Оцените пассажира ${passengerName || 'без имени'} (мест: ${b.seats_booked}).`,
+    reviewKeyboard(b.id)
+  ).catch((err) => console.error('Ошибка отправки водителю просьбы об оценке:', err));
+}
+
+bot.action(/^review:(\d+):([1-5])$/, async (ctx) => {
+  const bookingId = Number(ctx.match[1]);
+  const rating = Number(ctx.match[2]);
+
+  try {
+    const review = await saveReview({
+      bookingId,
+      authorTelegramId: ctx.from.id,
+      rating,
+    });
+    await ctx.answerCbQuery('Спасибо за оценку!');
+
+    const originalText = (ctx.callbackQuery.message && ctx.callbackQuery.message.text) || '';
+    await ctx.editMessageText(originalText + `\n\nВаша оценка: ${'★'.repeat(rating)}`);
+
+    // Короткий отзыв — ответом на это сообщение
+    const prompt = await ctx.reply(
+      'Хотите добавить пару слов? Ответьте на это сообщение коротким отзывом (до 500 символов).',
+      { reply_markup: { force_reply: true } }
+    );
+    await saveBotReplyLink({
+      chatId: ctx.chat.id,
+      messageId: prompt.message_id,
+      kind: 'review',
+      refId: review.id,
+    });
+  } catch (err) {
+    const known = reviewErrorText(err);
+    if (!known) console.error('Ошибка сохранения оценки из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+// ---------------- НЕЯВКИ И СПОРЫ ----------------
+
+function noShowErrorText(err) {
+  if (err.code === 'BOOKING_NOT_FOUND') return 'Бронирование не найдено';
+  if (err.code === 'FORBIDDEN') return 'Нет прав на это бронирование';
+  if (err.code === 'BAD_REASON') return 'Опишите, что произошло';
+  if (err.code === 'BAD_STATUS') return err.message;
+  if (err.code === 'TOO_EARLY') return 'Отметить неявку можно только после времени выезда';
+  if (err.code === 'DISPUTE_WINDOW_CLOSED') return 'Срок, чтобы оспорить отметку, истёк';
+  if (err.code === 'ALREADY_DISPUTED') return 'Эта отметка уже оспорена';
+  if (err.code === 'DISPUTE_NOT_FOUND') return 'Спор не найден';
+  if (err.code === 'ALREADY_RESOLVED') return 'Спор уже рассмотрен';
+  if (err.code === 'BAD_DECISION') return 'Неизвестное решение';
+  return null;
+}
+
+// Пассажиру: водитель отметил, что он не приехал; можно оспорить до dispute_until
+function notifyPassengerNoShow(booking) {
+  const text =
+    `Водитель отметил, что вы не приехали на поездку ` +
+    `${booking.from_city} → ${booking.to_city} (${booking.departure_time}).\n\n` +
+    `Если это ошибка, оспорьте отметку до ${booking.dispute_until}. ` +
+    'Спор рассмотрит администратор сервиса.';
+
+  queueMessage(booking.passenger_telegram_id, text, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: 'Оспорить', callback_data: `noshow_dispute:${booking.id}` }],
+      ],
+    },
+  }).catch((err) => console.error('Ошибка отправки пассажиру отметки о неявке:', err));
+}
+
+// Админу: новый спор с кнопками решения
+function notifyAdminNoShowDispute(dispute) {
+  queueMessage(
+    ADMIN_TELEGRAM_ID,
+    `Новый спор по неявке #${dispute.id}\n\n` +
+      `Поездка: ${dispute.from_city} → ${dispute.to_city} (${dispute.departure_time})\n` +
+      `Пассажир: ${dispute.passenger_first_name || 'без имени'} ` +
+      `(неявок: ${dispute.passenger_no_show_count || 0})\n` +
+      `Водитель: ${dispute.driver_first_name || 'без имени'}\n\n` +
+      `Объяснение пассажира: ${dispute.reason}`,
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: 'Снять отметку', callback_data: `noshow_resolve:${dispute.id}:reverse` },
+            { text: 'Оставить', callback_data: `noshow_resolve:${dispute.id}:uphold` },
+          ],
+        ],
+      },
+    }
+  ).catch((err) => console.error('Ошибка отправки админу спора по неявке:', err));
+}
+
+// Обеим сторонам: решение по спору
+function notifyNoShowDisputeResolved(dispute) {
+  const route = `${dispute.from_city} → ${dispute.to_city} (${dispute.departure_time})`;
+  const reversed = dispute.status === 'reversed';
+  const comment = dispute.admin_comment ? `\nКомментарий: ${dispute.admin_comment}` : '';
+
+  queueMessage(
+    dispute.passenger_telegram_id,
+    (reversed
+      ? `Отметка "не приехал" по поездке ${route} снята после рассмотрения спора.`
+      : `Спор по поездке ${route} рассмотрен: отметка "не приехал" остаётся.`) + comment
+  ).catch((err) => console.error('Ошибка отправки пассажиру решения по спору:', err));
+
+  if (reversed) {
+    queueMessage(
+      dispute.driver_telegram_id,
+      `Пассажир оспорил отметку "не приехал" по поездке ${route}, ` +
+        'и администратор её снял.' +
+        comment
+    ).catch((err) => console.error('Ошибка отправки водителю решения по спору:', err));
+  }
+}
+
+async function openNoShowDispute({ bookingId, passengerTelegramId, reason }) {
+  const dispute = await createNoShowDispute({ bookingId, passengerTelegramId, reason });
+  const full = (await getNoShowDisputes('open')).find((d) => d.id === dispute.id);
+  if (full) notifyAdminNoShowDispute(full);
+  return dispute;
+}
+
+bot.action(/^noshow_dispute:(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const prompt = await ctx.reply(
+      'Опишите ответом на это сообщение, что произошло: почему отметка "не приехал" ошибочна.',
+      { reply_markup: { force_reply: true } }
+    );
+    await saveBotReplyLink({
+      chatId: ctx.chat.id,
+      messageId: prompt.message_id,
+      kind: 'no_show_dispute',
+      refId: Number(ctx.match[1]),
+    });
+  } catch (err) {
+    console.error('Ошибка запроса объяснения по неявке:', err);
+  }
+});
+
+bot.action(/^noshow_resolve:(\d+):(uphold|reverse)$/, async (ctx) => {
+  if (String(ctx.from.id) !== String(ADMIN_TELEGRAM_ID)) {
+    return ctx.answerCbQuery('Нет доступа', { show_alert: true }).catch(() => {});
+  }
+
+  try {
+    const dispute = await resolveNoShowDispute({
+      disputeId: Number(ctx.match[1]),
+      decision: ctx.match[2],
+    });
+    notifyNoShowDisputeResolved(dispute);
+    await ctx.answerCbQuery('Решение сохранено');
+
+    const originalText = (ctx.callbackQuery.message && ctx.callbackQuery.message.text) || '';
+    await ctx.editMessageText(
+      originalText +
+        (dispute.status === 'reversed' ? '\n\nРешение: отметка снята.' : '\n\nРешение: отметка оставлена.')
+    );
+  } catch (err) {
+    const known = noShowErrorText(err);
+    if (!known) console.error('Ошибка решения по спору из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+// ---------------- ПЕРЕПИСКА ----------------
+
+function chatErrorText(err) {
+  if (err.code === 'THREAD_NOT_FOUND') return err.message;
+  if (err.code === 'FORBIDDEN') return 'Нет доступа к этой переписке';
+  if (err.code === 'THREAD_CLOSED') return 'Переписка по этой поездке закрыта';
+  if (err.code === 'BAD_TEXT') return 'Пустое сообщение';
+  return null;
+}
+
+// Ветка переписки по брони; null, если создать не удалось (уведомление всё равно уйдёт)
+function openBookingThread(bookingId) {
+  return getOrCreateChatThread({ bookingId })
+    .then((thread) => thread.id)
+    .catch((err) => {
+      console.error('Ошибка создания переписки по брони:', err);
+      return null;
+    });
+}
+
+// Отправить сообщение, ответ на которое бот перешлёт второй стороне ветки threadId.
+// Без ветки — обычная отправка.
+function sendThreadMessage(chatId, text, threadId, extra = {}) {
+  return queueMessage(chatId, text, extra, threadId ? { kind: 'chat', refId: threadId } : null);
+}
+
+// Сохранить сообщение и переслать его собеседнику от имени бота.
+// Если Telegram не доставил, сообщение всё равно останется в мини-приложении.
+async function relayChatMessage({ threadId, senderTelegramId, text }) {
+  const { message, thread, recipientTelegramId } = await addChatMessage({
+    threadId,
+    senderTelegramId,
+    text,
+  });
+
+  const fromLabel = thread.role === 'driver' ? 'водителя' : 'пассажира';
+  sendThreadMessage(
+    recipientTelegramId,
+    `Сообщение от ${fromLabel} (${thread.from_city} → ${thread.to_city}, ${thread.trip_time}):\n\n` +
+      `${message.text}\n\n` +
+      'Ответьте на это сообщение, чтобы написать в ответ.',
+    thread.id
+  ).catch((err) => console.error('Ошибка пересылки сообщения переписки:', err));
+
+  return message;
+}
+
+// ---------------- НАПОМИНАНИЯ О ПОЕЗДКАХ ----------------
+
+const REMINDERS_OFF_KEYBOARD = {
+  reply_markup: {
+    inline_keyboard: [[{ text: 'Отключить напоминания', callback_data: 'reminders_off' }]],
+  },
+};
+
+function reminderTitle(kind) {
+  return kind === 'evening' ? 'Напоминание: завтра поездка' : 'Скоро выезд';
+}
+
+// Напоминание пассажиру: маршрут, его участок, водитель и машина
+function buildPassengerReminderText(tripFull, booking, kind) {
+  const driverName = `${tripFull.driver_first_name || ''} ${tripFull.driver_last_name || ''}`.trim();
+  const carText = formatCarText(tripFull.car_make, tripFull.car_color, tripFull.car_plate);
+
+  return (
+    `${reminderTitle(kind)} в "попутчики":\n\n` +
+    `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
+    formatSegmentText(tripFull, booking) +
+    `Выезд: ${tripFull.departure_time}\n` +
+    `Мест: ${booking.seats_booked}\n\n` +
+    `Водитель: ${driverName || 'без имени'}\n` +
+    (carText ? carText + '\n\n' : '\n') +
+    'Если планы изменились, отмените бронь в мини-приложении. ' +
+    'Написать водителю можно ответом на это сообщение.'
+  );
+}
+
+// Напоминание водителю: список пассажиров и точки посадки
+function buildDriverReminderText(tripFull, passengers, kind) {
+  const lines = passengers.map((b) => {
+    const name = `${b.passenger_first_name || ''} ${b.passenger_last_name || ''}`.trim();
+    const pickup =
+      b.pickup_city && b.pickup_city !== tripFull.from_city ? `, посадка: ${b.pickup_city}` : '';
+    return `— ${name || 'без имени'}, мест: ${b.seats_booked}${pickup}`;
+  });
+
+  return (
+    `${reminderTitle(kind)} в "попутчики":\n\n` +
+    `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
+    `Выезд: ${tripFull.departure_time}\n\n` +
+    `Пассажиры:\n${lines.join('\n')}\n\n` +
+    'Если поездка не состоится, отмените её в мини-приложении — пассажиры получат уведомление.'
+  );
+}
+
+// Напоминания по одной поездке. Поездки без пассажиров пропускаем.
+// Каждое напоминание отмечается в trip_reminders до отправки, поэтому не дублируется.
+async function sendTripReminders(trip) {
+  const passengers = await getTripBookedPassengers(trip.id);
+  if (!passengers.length) return 0;
+
+  const tripFull = await getTripWithDriver(trip.id);
+  if (!tripFull) return 0;
+
+  let sent = 0;
+  for (const b of passengers) {
+    if (!b.passenger_reminders_enabled) continue;
+    if (!(await markTripReminderSent({ tripId: trip.id, userId: b.passenger_id, kind: trip.kind }))) {
+      continue;
+    }
+
+    const threadId = await openBookingThread(b.id);
+    sendThreadMessage(
+      b.passenger_telegram_id,
+      buildPassengerReminderText(tripFull, b, trip.kind),
+      threadId,
+      REMINDERS_OFF_KEYBOARD
+    ).catch((err) => console.error('Ошибка отправки напоминания пассажиру:', err));
+    sent += 1;
+  }
+
+  if (
+    tripFull.driver_reminders_enabled &&
+    (await markTripReminderSent({ tripId: trip.id, userId: trip.driver_id, kind: trip.kind }))
+  ) {
+    queueMessage(
+      tripFull.driver_telegram_id,
+      buildDriverReminderText(tripFull, passengers, trip.kind),
+      REMINDERS_OFF_KEYBOARD
+    ).catch((err) => console.error('Ошибка отправки напоминания водителю:', err));
+    sent += 1;
+  }
+
+  return sent;
+}
+
+bot.action('reminders_off', async (ctx) => {
+  try {
+    await setUserRemindersByTelegramId(ctx.from.id, false);
+    await ctx.answerCbQuery('Напоминания отключены');
+    return ctx.reply(
+      'Напоминания о поездках отключены. Включить их снова можно командой /reminders ' +
+        'или в мини-приложении.'
+    );
+  } catch (err) {
+    console.error('Ошибка отключения напоминаний:', err);
+    return ctx.answerCbQuery('Внутренняя ошибка сервера').catch(() => {});
+  }
+});
+
+// /reminders — включить или выключить напоминания (переключатель)
+bot.command('reminders', async (ctx) => {
+  try {
+    const user = await getUserByTelegramId(ctx.from.id);
+    if (!user) {
+      return ctx.reply('Сначала откройте мини-приложение через /start.');
+    }
+
+    const updated = await setUserRemindersByTelegramId(ctx.from.id, !user.reminders_enabled);
+    return ctx.reply(
+      updated.reminders_enabled
+        ? 'Напоминания о поездках включены: вечером накануне и перед выездом.'
+        : 'Напоминания о поездках отключены.'
+    );
+  } catch (err) {
+    console.error('Ошибка /reminders:', err);
+    return ctx.reply('Внутренняя ошибка сервера');
+  }
+});
+
+// ---------------- ПОДПИСКИ НА МАРШРУТЫ ----------------
+
+const WEEKDAY_SHORT = ['Вс', 'Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб'];
+
+// "Сочи → Адлер, Пн Ср, 08:00–10:00, до 500 ₽" — чтобы было понятно, от какой подписки сообщение
+function formatSubscription(sub) {
+  const parts = [`${sub.from_city} → ${sub.to_city}`];
+  if (sub.days_of_week) {
+    parts.push(String(sub.days_of_week).split(',').map((d) => WEEKDAY_SHORT[Number(d)]).join(' '));
+  }
+  if (sub.time_from || sub.time_to) {
+    parts.push(`${sub.time_from || '00:00'}–${sub.time_to || '23:59'}`);
+  }
+  if (sub.max_price !== null && sub.max_price !== undefined) parts.push(`до ${sub.max_price} ₽`);
+  if (sub.min_price !== null && sub.min_price !== undefined) parts.push(`от ${sub.min_price} ₽`);
+  return parts.join(', ');
+}
+
+// Время ещё не прошло и попадает в дни недели и интервал подписки
+function subscriptionTimeMatches(sub, timeStr) {
+  const ts = Date.parse(timeStr);
+  if (!Number.isFinite(ts) || ts < Date.now()) return false;
+
+  const d = new Date(ts);
+  if (sub.days_of_week) {
+    const days = String(sub.days_of_week).split(',').map(Number);
+    if (!days.includes(d.getDay())) return false;
+  }
+
+  const clock = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  if (sub.time_from && clock < sub.time_from) return false;
+  if (sub.time_to && clock > sub.time_to) return false;
+  return true;
+}
+
+// Поездка под подписку пассажира: участок маршрута или null
+function matchSubscriptionToTrip(sub, trip) {
+  if (trip.status !== 'active') return null;
+  if (sub.user_id === trip.driver_id) return null;
+
+  const norm = (city) => String(city || '').trim().toLowerCase();
+  const pair = findStopPair(trip.stops, norm(sub.from_city), norm(sub.to_city));
+  if (!pair) return null;
+
+  const segment = buildTripSegment(trip, pair[0], pair[1]);
+  if (segment.seats_available <= 0) return null;
+  if (sub.max_price !== null && Number(segment.price_per_seat) > Number(sub.max_price)) return null;
+  if (!subscriptionTimeMatches(sub, segment.departure_time)) return null;
+
+  return segment;
+}
+
+// План пассажира под подписку водителя
+function matchSubscriptionToPlan(sub, plan) {
+  if (plan.status !== 'active') return false;
+  if (sub.user_id === plan.passenger_id) return false;
+
+  const norm = (city) => String(city || '').trim().toLowerCase();
+  if (norm(sub.from_city) !== norm(plan.from_city)) return false;
+  if (norm(sub.to_city) !== norm(plan.to_city)) return false;
+  if (sub.min_price !== null && Number(plan.price_per_seat) < Number(sub.min_price)) return false;
+
+  return subscriptionTimeMatches(sub, plan.desired_time);
+}
+
+// К кнопке мини-приложения добавляем кнопку отписки
+function withUnsubscribeButton(extra, subscriptionId) {
+  const keyboard = (extra.reply_markup && extra.reply_markup.inline_keyboard) || [];
+  return {
+    ...extra,
+    reply_markup: {
+      inline_keyboard: [
+        ...keyboard,
+        [{ text: 'Отписаться от маршрута', callback_data: `sub_off:${subscriptionId}` }],
+      ],
+    },
+  };
+}
+
+function sendTripToSubscriber(sub, trip, segment) {
+  const { text, extra } = webAppMessage(
+    'Новая поездка по вашей подписке в "попутчики":\n\n' +
+      `Маршрут: ${segment.from_city} → ${segment.to_city}\n` +
+      `Выезд: ${segment.departure_time}\n` +
+      `Свободно мест: ${segment.seats_available}\n` +
+      `Цена за место: ${segment.price_per_seat} ₽\n` +
+      `Водитель: ${formatRating(trip.driver_rating_avg, trip.driver_rating_count)}\n\n` +
+      `Подписка: ${formatSubscription(sub)}`,
+    'Забронировать',
+    tripWebAppUrl(trip.id, segment)
+  );
+
+  queueMessage(sub.subscriber_telegram_id, text, withUnsubscribeButton(extra, sub.id))
+    .catch((err) => console.error('Ошибка отправки поездки по подписке:', err));
+}
+
+function sendPlanToSubscriber(sub, plan) {
+  const { text, extra } = webAppMessage(
+    'Новый запрос пассажира по вашей подписке в "попутчики":\n\n' +
+      `Маршрут: ${plan.from_city} → ${plan.to_city}\n` +
+      `Когда: ${plan.desired_time}\n` +
+      `Мест: ${plan.seats_needed}\n` +
+      `Цена за место: ${plan.price_per_seat} ₽\n\n` +
+      `Подписка: ${formatSubscription(sub)}`,
+    'Открыть запрос',
+    planWebAppUrl(plan.id)
+  );
+
+  queueMessage(sub.subscriber_telegram_id, text, withUnsubscribeButton(extra, sub.id))
+    .catch((err) => console.error('Ошибка отправки запроса пассажира по подписке:', err));
+}
+
+// Новая поездка: оповещаем подписчиков маршрута. Тем, кому уже ушло
+// совпадение по их плану, второе сообщение о той же поездке не шлём.
+async function notifySubscribersAboutTrip(trip) {
+  const subs = await getRouteSubscriptionsByKind('trips');
+  if (!subs.length) return 0;
+
+  const planMatched = await dbAll(
+    `
+      SELECT DISTINCT p.passenger_id
+      FROM plan_trip_matches m
+      JOIN passenger_plans p ON p.id = m.plan_id
+      WHERE m.trip_id = ?
+    `,
+    [trip.id]
+  );
+  const alreadyNotified = new Set(planMatched.map((r) => r.passenger_id));
+
+  let sent = 0;
+  for (const sub of subs) {
+    if (alreadyNotified.has(sub.user_id)) continue;
+    const segment = matchSubscriptionToTrip(sub, trip);
+    if (!segment) continue;
+    if (
+      !(await recordSubscriptionAlert({
+        userId: sub.user_id,
+        kind: 'trips',
+        refId: trip.id,
+        subscriptionId: sub.id,
+      }))
+    ) {
+      continue;
+    }
+
+    sent += 1;
+    sendTripToSubscriber(sub, trip, segment);
+  }
+  return sent;
+}
+
+// Новый план пассажира: оповещаем водителей, подписанных на маршрут
+async function notifySubscribersAboutPlan(plan) {
+  const subs = await getRouteSubscriptionsByKind('plans');
+
+  let sent = 0;
+  for (const sub of subs) {
+    if (!matchSubscriptionToPlan(sub, plan)) continue;
+    if (
+      !(await recordSubscriptionAlert({
+        userId: sub.user_id,
+        kind: 'plans',
+        refId: plan.id,
+        subscriptionId: sub.id,
+      }))
+    ) {
+      continue;
+    }
+
+    sent += 1;
+    sendPlanToSubscriber(sub, plan);
+  }
+  return sent;
+}
+
+bot.action(/^sub_off:(\d+)$/, async (ctx) => {
+  try {
+    await deleteRouteSubscription({ subscriptionId: Number(ctx.match[1]), telegramId: ctx.from.id });
+    return ctx.answerCbQuery('Подписка удалена');
+  } catch (err) {
+    if (err.code === 'SUBSCRIPTION_NOT_FOUND' || err.code === 'FORBIDDEN') {
+      return ctx.answerCbQuery(err.message);
+    }
+    console.error('Ошибка отписки от маршрута:', err);
+    return ctx.answerCbQuery('Внутренняя ошибка сервера').catch(() => {});
+  }
+});
+
+// ---------------- ИНЛАЙН-РЕЖИМ ----------------
+// «@бот Москва Тверь» в любом чате — список ближайших поездок с кнопкой бронирования.
+// Инлайн-режим должен быть включён у бота в BotFather (/setinline).
+
+const INLINE_PAGE_SIZE = 20;
+
+// Варианты «откуда / куда» из запроса. С разделителем («Москва - Тверь», «Москва → Тверь»)
+// вариант один; без него пробуем все разбиения по словам («Нижний Новгород Москва»).
+// Одно слово ищем и как начало, и как конец участка.
+function inlineRouteCandidates(query) {
+  const q = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!q) return [['', '']];
+
+  const parts = q.split(/\s*(?:→|->)\s*|\s+[-–—]\s+/).filter(Boolean);
+  if (parts.length >= 2) return [[parts[0], parts[1]]];
+
+  const words = q.split(' ');
+  if (words.length === 1) return [[q, ''], ['', q]];
+
+  const candidates = [];
+  for (let k = 1; k < words.length; k++) {
+    candidates.push([words.slice(0, k).join(' '), words.slice(k).join(' ')]);
+  }
+  return candidates;
+}
+
+// Поездки под запрос: свои поездки водителя первыми, дальше по времени выезда
+async function findInlineTrips(query, userId) {
+  const candidates = inlineRouteCandidates(query);
+  const now = Date.now();
+
+  const found = [];
+  for (const t of await getLatestTrips(200)) {
+    if (Date.parse(t.departure_time) < now) continue;
+
+    for (const [qFrom, qTo] of candidates) {
+      const pair = findStopPair(t.stops, qFrom, qTo);
+      if (!pair) continue;
+
+      const segment = buildTripSegment(t, pair[0], pair[1]);
+      if (segment.seats_available > 0) found.push({ trip: t, segment });
+      break;
+    }
+  }
+
+  const isOwn = (item) => (userId && item.trip.driver_id === userId ? 0 : 1);
+  found.sort(
+    (a, b) =>
+      isOwn(a) - isOwn(b) ||
+      Date.parse(a.segment.departure_time) - Date.parse(b.segment.departure_time)
+  );
+  return found;
+}
+
+function buildInlineTripResult({ trip, segment }, userId) {
+  const bookUrl = shareLink(tripStartParam(trip.id, segment));
+
+  return {
+    type: 'article',
+    id: tripStartParam(trip.id, segment),
+    title: `${segment.from_city} → ${segment.to_city}`,
+    description:
+      `${segment.departure_time} · мест: ${segment.seats_available} · ${segment.price_per_seat} ₽` +
+      (userId && trip.driver_id === userId ? ' · ваша поездка' : ''),
+    input_message_content: { message_text: buildTripCardText(trip, segment) },
+    ...(bookUrl
+      ? { reply_markup: { inline_keyboard: [[{ text: 'Забронировать', url: bookUrl }]] } }
+      : {}),
+  };
+}
+
+bot.on('inline_query', async (ctx) => {
+  try {
+    const user = await getUserByTelegramId(ctx.inlineQuery.from.id);
+    const userId = user ? user.id : null;
+    const offset = Number(ctx.inlineQuery.offset) || 0;
+
+    const found = await findInlineTrips(ctx.inlineQuery.query, userId);
+    const page = found.slice(offset, offset + INLINE_PAGE_SIZE);
+
+    return ctx.answerInlineQuery(
+      page.map((item) => buildInlineTripResult(item, userId)),
+      {
+        // порядок зависит от того, кто спрашивает (свои поездки первыми)
+        is_personal: true,
+        cache_time: 10,
+        next_offset:
+          offset + INLINE_PAGE_SIZE < found.length ? String(offset + INLINE_PAGE_SIZE) : '',
+      }
+    );
+  } catch (err) {
+    console.error('Ошибка инлайн-запроса:', err);
+    return ctx.answerInlineQuery([], { cache_time: 5 }).catch(() => {});
+  }
+});
+
+// ---------------- АВТОПОСТИНГ В ГРУППЫ И КАНАЛЫ ----------------
+// Бот должен быть администратором канала (или участником группы) с правом писать.
+// Посты уходят через очередь уведомлений, правки — напрямую: при ошибке
+// состояние поста не меняется, и фоновая задача попробует снова.
+
+// Пустые фильтры — любые поездки; иначе как в поиске: любая пара остановок по ходу маршрута
+function autopostChannelMatches(channel, trip) {
+  if (!channel.from_city && !channel.to_city) return true;
+  const norm = (city) => String(city || '').trim().toLowerCase();
+  return !!findStopPair(trip.stops, norm(channel.from_city), norm(channel.to_city));
+}
+
+// Есть ли свободное место хотя бы на одном перегоне маршрута
+function tripHasFreeSeats(trip) {
+  for (let k = 0; k < trip.stops.length - 1; k++) {
+    if (segmentSeatsAvailable(trip, k, k + 1) > 0) return true;
+  }
+  return false;
+}
+
+// open / full / cancelled; done — поездка завершена или уехала, пост больше не трогаем.
+// Поездки нет — водитель удалил её (это можно только до выезда): пост отменяем.
+function autopostState(trip) {
+  if (!trip) return 'cancelled';
+  if (trip.status === 'cancelled') return 'cancelled';
+  if (trip.status !== 'active' || Date.parse(trip.departure_time) < Date.now()) return 'done';
+  return tripHasFreeSeats(trip) ? 'open' : 'full';
+}
+
+// Пост удалённой поездки: маршрут берём из сохранённого текста поста
+function buildDeletedTripAutopostMessage(post) {
+  return {
+    text: `ПОЕЗДКА ОТМЕНЕНА\n\n${post.text || 'Водитель удалил эту поездку.'}`,
+    extra: {},
+  };
+}
+
+// cardText — текст поездки без пометки состояния (сохраняется в посте)
+function buildAutopostMessage(trip, state) {
+  const text = buildTripCardText(trip, buildTripSegment(trip, 0, trip.stops.length - 1));
+  if (state === 'cancelled') {
+    return { text: `ПОЕЗДКА ОТМЕНЕНА\n\n${text}`, extra: {}, cardText: text };
+  }
+  if (state === 'full') return { text: `МЕСТ НЕТ\n\n${text}`, extra: {}, cardText: text };
+
+  const bookUrl = shareLink(tripStartParam(trip.id));
+  return {
+    text,
+    cardText: text,
+    extra: bookUrl
+      ? { reply_markup: { inline_keyboard: [[{ text: 'Забронировать', url: bookUrl }]] } }
+      : {},
+  };
+}
+
+// Новая поездка: пост в каждый подходящий чат (в один чат — не больше одного раза)
+async function publishTripToChannels(tripId) {
+  const trip = await getTripWithDriver(tripId);
+  if (!trip || autopostState(trip) !== 'open') return 0;
+
+  const { text, extra } = buildAutopostMessage(trip, 'open');
+
+  let posted = 0;
+  for (const channel of await getAutopostChannels()) {
+    if (channel.disabled_at || !autopostChannelMatches(channel, trip)) continue;
+
+    const postId = await createAutopostPost({
+      channelId: channel.id,
+      chatId: channel.chat_id,
+      tripId: trip.id,
+      text,
+    });
+    if (!postId) continue;
+
+    const notificationId = await queueMessage(channel.chat_id, text, extra);
+    await setAutopostNotification(postId, notificationId);
+    posted += 1;
+  }
+  return posted;
+}
+
+// Приводим посты в соответствие с поездкой: «мест нет», «отменена» или снова открыта.
+// Без tripId — все посты (фоновая задача). force — переписать пост, даже если состояние
+// не изменилось (водитель поменял время или цену). Возвращает число исправленных постов.
+async function syncTripAutoposts(tripId, { force = false } = {}) {
+  const posts = await getAutopostsToSync(tripId);
+  const trips = new Map();
+
+  let synced = 0;
+  for (const post of posts) {
+    if (!trips.has(post.trip_id)) {
+      trips.set(post.trip_id, await getTripWithDriver(post.trip_id));
+    }
+    const trip = trips.get(post.trip_id);
+    const state = autopostState(trip);
+    if (state === post.state && !force) continue;
+
+    let cardText = null;
+    if (state !== 'done') {
+      const message = trip
+        ? buildAutopostMessage(trip, state)
+        : buildDeletedTripAutopostMessage(post);
+      cardText = message.cardText || null;
+      try {
+        await bot.telegram.editMessageText(
+          post.chat_id,
+          post.message_id,
+          undefined,
+          message.text,
+          message.extra
+        );
+      } catch (err) {
+        // 403 — бот потерял доступ к чату: отключаем его, как при отправке
+        if (err && err.code === 403) {
+          await disableAutopostChannels(post.chat_id, err.description);
+        }
+        // 400 и 403 — пост удалён, уже такой или недоступен: повтор не поможет
+        if (!err || (err.code !== 400 && err.code !== 403)) {
+          console.error(`Не удалось обновить автопост #${post.id}:`, err.description || err);
+          if (err && err.code === 429) break;
+          continue;
+        }
+      }
+    }
+
+    await setAutopostState(post.id, state, cardText);
+    synced += 1;
+  }
+  return synced;
+}
+
+// ---------------- КОМАНДЫ БОТА БЕЗ МИНИ-ПРИЛОЖЕНИЯ ----------------
+// Для старых клиентов, где WebApp не открывается: те же действия пошаговыми диалогами.
+
+const BOT_COMMANDS = [
+  { command: 'start', description: 'Открыть мини-приложение' },
+  { command: 'newtrip', description: 'Опубликовать поездку' },
+  { command: 'find', description: 'Найти и забронировать поездку' },
+  { command: 'mytrips', description: 'Мои поездки (водитель)' },
+  { command: 'mybookings', description: 'Мои брони (пассажир)' },
+  { command: 'pay', description: 'Оплатить долг по комиссии' },
+  { command: 'reminders', description: 'Включить / выключить напоминания' },
+  { command: 'help', description: 'Помощь' },
+];
+
+// Сколько поездок / броней показываем в одном ответе
+const BOT_LIST_LIMIT = 5;
+// Ограничение мест — как в форме мини-приложения
+const BOT_MAX_SEATS = 8;
+// Сколько после выезда поездка остаётся в /mytrips, чтобы отметить неявку
+const BOT_NO_SHOW_LOOKBACK_MS = 48 * 60 * 60 * 1000;
+
+// Списки броней и поездок — личные данные, в группах их не показываем
+function requirePrivateChat(ctx, next) {
+  if (ctx.chat && ctx.chat.type !== 'private') {
+    return ctx.reply('Эта команда работает только в личном чате с ботом.');
+  }
+  return next();
+}
+
+// Текст ответа на шаге диалога; null — пришло что-то другое (кнопка, фото)
+function wizardText(ctx) {
+  return ctx.message && typeof ctx.message.text === 'string' ? ctx.message.text.trim() : null;
+}
+
+// «25.05 08:30», «25.05.2031 8:30», «сегодня 18:00», «завтра 7:15» → 'YYYY-MM-DDTHH:MM'
+// в локальном времени сервера (как поле datetime-local в мини-приложении). null — не разобрали.
+function parseBotDateTime(text) {
+  const m = /^(?:(сегодня|завтра)|(\d{1,2})\.(\d{1,2})(?:\.(\d{4}|\d{2}))?)\s+(\d{1,2})[:.](\d{2})$/.exec(
+    String(text || '').trim().toLowerCase()
+  );
+  if (!m) return null;
+
+  const hours = Number(m[5]);
+  const minutes = Number(m[6]);
+  if (hours > 23 || minutes > 59) return null;
+
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let date;
+
+  if (m[1]) {
+    date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + (m[1] === 'завтра' ? 1 : 0));
+  } else {
+    const day = Number(m[2]);
+    const month = Number(m[3]) - 1;
+    const year = m[4] ? Number(m[4].length === 2 ? `20${m[4]}` : m[4]) : today.getFullYear();
+
+    date = new Date(year, month, day);
+    if (date.getDate() !== day || date.getMonth() !== month) return null;
+    // год не указан и дата уже прошла — значит, следующий год
+    if (!m[4] && date < today) date.setFullYear(year + 1);
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(hours)}:${pad(minutes)}`
+  );
+}
+
+// Целое число в границах или null
+function parseBotInteger(text, min, max) {
+  const n = Number(String(text || '').replace(/\s|₽|руб\.?/gi, ''));
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+// /newtrip: откуда → куда → когда → мест → цена → подтверждение
+const newTripScene = new Scenes.WizardScene(
+  'newtrip',
+  async (ctx) => {
+    await ctx.reply('Новая поездка. Откуда выезжаете? Напишите город.\n\nПередумали — /cancel');
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+    if (!text || text.length > 100) return ctx.reply('Напишите название города.');
+
+    ctx.wizard.state.fromCity = text;
+    await ctx.reply('Куда едете?');
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+    if (!text || text.length > 100) return ctx.reply('Напишите название города.');
+    if (text.toLowerCase() === ctx.wizard.state.fromCity.toLowerCase()) {
+      return ctx.reply('Город назначения совпадает с городом отправления. Куда едете?');
+    }
+
+    ctx.wizard.state.toCity = text;
+    await ctx.reply('Когда выезд? Например: 25.05 08:30, «сегодня 18:00» или «завтра 7:15».');
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+
+    const departureTime = parseBotDateTime(text);
+    if (!departureTime) {
+      return ctx.reply('Не получилось разобрать дату. Напишите, например: 25.05 08:30');
+    }
+    if (Date.parse(departureTime) <= Date.now()) {
+      return ctx.reply('Это время уже прошло. Укажите время выезда в будущем.');
+    }
+
+    ctx.wizard.state.departureTime = departureTime;
+    await ctx.reply(`Сколько свободных мест? (от 1 до ${BOT_MAX_SEATS})`);
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+
+    const seats = parseBotInteger(text, 1, BOT_MAX_SEATS);
+    if (!seats) return ctx.reply(`Напишите число от 1 до ${BOT_MAX_SEATS}.`);
+
+    ctx.wizard.state.seats = seats;
+    await ctx.reply('Цена за место, ₽?');
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+
+    const price = parseBotInteger(text, 0, 1000000);
+    if (price === null) return ctx.reply('Напишите цену числом, например 500.');
+
+    const st = ctx.wizard.state;
+    st.price = price;
+    await ctx.reply(
+      'Проверьте поездку:\n\n' +
+        `Маршрут: ${st.fromCity} → ${st.toCity}\n` +
+        `Выезд: ${st.departureTime}\n` +
+        `Мест: ${st.seats}\n` +
+        `Цена за место: ${st.price} ₽`,
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✅ Опубликовать', callback_data: 'newtrip:publish' },
+              { text: '❌ Отменить', callback_data: 'newtrip:cancel' },
+            ],
+          ],
+        },
+      }
+    );
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    if (wizardText(ctx) === null) return next();
+    return ctx.reply('Нажмите «Опубликовать» или «Отменить» под сообщением выше.');
+  }
+);
+
+newTripScene.action('newtrip:publish', async (ctx) => {
+  const st = ctx.wizard.state;
+  await ctx.answerCbQuery().catch(() => {});
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+  try {
+    const user = await upsertUserFromTelegram(ctx.from);
+
+    const publishError = await getDriverPublishError(user);
+    if (publishError) {
+      await ctx.reply(publishError);
+      return ctx.scene.leave();
+    }
+
+    const trip = await createTrip({
+      driverId: user.id,
+      fromCity: st.fromCity,
+      toCity: st.toCity,
+      departureTime: st.departureTime,
+      seatsTotal: st.seats,
+      pricePerSeat: st.price,
+    });
+
+    announceNewTrip(trip.id);
+
+    const link = shareLink(tripStartParam(trip.id));
+    await ctx.reply(
+      'Поездка опубликована. Мы сообщим, когда пассажиры забронируют места.\n' +
+        (link ? `\nСсылка для пассажиров: ${link}\n` : '') +
+        '\nВаши поездки — /mytrips'
+    );
+  } catch (err) {
+    if (err.code === 'BAD_STOPS') {
+      await ctx.reply(err.message);
+    } else {
+      console.error('Ошибка /newtrip:', err);
+      await ctx.reply('Внутренняя ошибка сервера');
+    }
+  }
+  return ctx.scene.leave();
+});
+
+newTripScene.action('newtrip:cancel', async (ctx) => {
+  await ctx.answerCbQuery().catch(() => {});
+  await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  await ctx.scene.leave();
+  return ctx.reply('Хорошо, поездку не публикуем.');
+});
+
+// /find: «Откуда Куда» → список поездок с кнопками брони
+const findScene = new Scenes.WizardScene(
+  'find',
+  async (ctx) => {
+    await ctx.reply(
+      'Куда едете? Напишите «Откуда Куда», например: Москва Тверь.\n' +
+        'Можно только один город.\n\nПередумали — /cancel'
+    );
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+    if (!text) return ctx.reply('Напишите города, например: Москва Тверь.');
+
+    await ctx.scene.leave();
+
+    try {
+      const user = await getUserByTelegramId(ctx.from.id);
+      const found = (await findInlineTrips(text, null)).filter(
+        (item) => !user || item.trip.driver_id !== user.id
+      );
+
+      if (!found.length) {
+        return ctx.reply(
+          'Подходящих поездок пока нет. Попробуйте другой запрос: /find\n' +
+            'Или подпишитесь на маршрут в мини-приложении — бот сообщит о новой поездке.'
+        );
+      }
+
+      for (const { trip, segment } of found.slice(0, BOT_LIST_LIMIT)) {
+        await ctx.reply(buildTripCardText(trip, segment), {
+          reply_markup: {
+            inline_keyboard: [
+              [
+                {
+                  text: 'Забронировать',
+                  callback_data: `find_book:${trip.id}:${segment.from_index}:${segment.to_index}`,
+                },
+              ],
+            ],
+          },
+        });
+      }
+
+      if (found.length > BOT_LIST_LIMIT) {
+        return ctx.reply(
+          `Показаны ближайшие ${BOT_LIST_LIMIT} из ${found.length}. Уточните запрос: /find`
+        );
+      }
+    } catch (err) {
+      console.error('Ошибка /find:', err);
+      return ctx.reply('Внутренняя ошибка сервера');
+    }
+  }
+);
+
+// Отмена поездки из /mytrips: спрашиваем причину — её увидят пассажиры
+const cancelTripScene = new Scenes.WizardScene(
+  'canceltrip',
+  async (ctx) => {
+    await ctx.reply(
+      'Почему отменяете поездку? Причину увидят пассажиры.\n\nПередумали — /cancel'
+    );
+    return ctx.wizard.next();
+  },
+  async (ctx, next) => {
+    const text = wizardText(ctx);
+    if (text === null) return next();
+    if (!text) return ctx.reply('Напишите причину отмены.');
+
+    const { tripId } = ctx.wizard.state;
+    await ctx.scene.leave();
+
+    try {
+      const driver = await getUserByTelegramId(ctx.from.id);
+      if (!driver) {
+        return ctx.reply('Водитель не найден');
+      }
+
+      const { trip, bookings } = await cancelDriverTrip(driver, tripId, text.slice(0, 500));
+      return ctx.reply(
+        `Поездка ${trip.from_city} → ${trip.to_city} (${trip.departure_time}) отменена.` +
+          (bookings.length ? ` Пассажиров предупредили: ${bookings.length}.` : '')
+      );
+    } catch (err) {
+      const known = cancelTripErrorText(err);
+      if (!known) console.error('Ошибка отмены поездки из бота:', err);
+      return ctx.reply(known || 'Внутренняя ошибка сервера');
+    }
+  }
+);
+
+stage.register(newTripScene, findScene, cancelTripScene);
+
+bot.command('newtrip', requirePrivateChat, (ctx) => ctx.scene.enter('newtrip'));
+bot.command('find', requirePrivateChat, (ctx) => ctx.scene.enter('find'));
+
+// Кнопка осталась от диалога, который уже завершён (или бот перезапускался)
+bot.action(/^newtrip:/, (ctx) =>
+  ctx.answerCbQuery('Этот диалог уже завершён. Начните заново: /newtrip', { show_alert: true })
+);
+
+// «Забронировать» под найденной поездкой → выбор числа мест
+bot.action(/^find_book:(\d+):(\d+):(\d+)$/, async (ctx) => {
+  const [, tripId, fromIndex, toIndex] = ctx.match;
+
+  try {
+    const trip = await getTripWithDriver(tripId);
+    if (!trip || trip.status !== 'active' || Date.parse(trip.departure_time) < Date.now()) {
+      return ctx.answerCbQuery('Эта поездка уже недоступна для бронирования.', {
+        show_alert: true,
+      });
+    }
+
+    const segment = resolveTripSegment(trip, fromIndex, toIndex);
+    if (segment.seats_available <= 0) {
+      return ctx.answerCbQuery('Свободных мест уже нет.', { show_alert: true });
+    }
+
+    const maxSeats = Math.min(segment.seats_available, 4);
+    await ctx.answerCbQuery('Сколько мест бронируем?');
+    return ctx.editMessageReplyMarkup({
+      inline_keyboard: [
+        Array.from({ length: maxSeats }, (_, k) => ({
+          text: `${k + 1} ${k === 0 ? 'место' : 'места'}`,
+          callback_data: `find_seats:${trip.id}:${segment.from_index}:${segment.to_index}:${k + 1}`,
+        })),
+      ],
+    });
+  } catch (err) {
+    console.error('Ошибка выбора поездки из бота:', err);
+    return ctx.answerCbQuery('Внутренняя ошибка сервера', { show_alert: true }).catch(() => {});
+  }
+});
+
+bot.action(/^find_seats:(\d+):(\d+):(\d+):(\d+)$/, async (ctx) => {
+  const [, tripId, fromIndex, toIndex, seats] = ctx.match;
+
+  try {
+    const passenger = await upsertUserFromTelegram(ctx.from);
+    const { booking } = await bookTripSeats({
+      passenger,
+      tripId,
+      seats,
+      fromStopIndex: Number(fromIndex),
+      toStopIndex: Number(toIndex),
+    });
+
+    const isPending = booking.status === 'pending';
+    await ctx.answerCbQuery(isPending ? 'Заявка отправлена' : 'Бронь оформлена');
+
+    const originalText = (ctx.callbackQuery.message && ctx.callbackQuery.message.text) || '';
+    return ctx.editMessageText(
+      originalText +
+        '\n\n' +
+        (isPending
+          ? '✅ Заявка отправлена водителю на подтверждение.'
+          : `✅ Забронировано мест: ${booking.seats_booked}. Подробности — в следующем сообщении.`)
+    );
+  } catch (err) {
+    const known = bookingErrorText(err);
+    if (!known) console.error('Ошибка бронирования из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+const BOOKING_STATUS_TEXT = {
+  booked: 'забронировано',
+  pending: 'ждёт подтверждения водителя',
+  offered: 'места предложены из листа ожидания',
+};
+
+// /mybookings: активные брони с кнопкой отмены
+bot.command('mybookings', requirePrivateChat, async (ctx) => {
+  try {
+    const bookings = await getActivePassengerBookings(ctx.from.id);
+    if (!bookings.length) {
+      return ctx.reply('Активных броней нет. Найти поездку — /find');
+    }
+
+    for (const b of bookings.slice(0, BOT_LIST_LIMIT)) {
+      const driverName = `${b.driver_first_name || ''} ${b.driver_last_name || ''}`.trim();
+      const text =
+        `Бронь: ${b.from_city} → ${b.to_city}\n` +
+        formatSegmentText(b, b) +
+        `Выезд: ${b.departure_time}\n` +
+        `Мест: ${b.seats_booked}, сумма: ${b.amount_total || 0} ₽\n` +
+        `Водитель: ${driverName || 'без имени'}\n` +
+        `Статус: ${BOOKING_STATUS_TEXT[b.status] || b.status}` +
+        (b.status === 'offered' ? ` (до ${b.hold_expires_at})` : '');
+
+      const buttons =
+        b.status === 'offered'
+          ? [
+              { text: '✅ Забронировать', callback_data: `waitlist_accept:${b.id}` },
+              { text: '❌ Не нужно', callback_data: `waitlist_decline:${b.id}` },
+            ]
+          : [{ text: 'Отменить бронь', callback_data: `my_booking_cancel:${b.id}` }];
+
+      await ctx.reply(text, { reply_markup: { inline_keyboard: [buttons] } });
+    }
+
+    if (bookings.length > BOT_LIST_LIMIT) {
+      return ctx.reply(
+        `Показаны ближайшие ${BOT_LIST_LIMIT} из ${bookings.length}. Остальные — в мини-приложении.`
+      );
+    }
+  } catch (err) {
+    console.error('Ошибка /mybookings:', err);
+    return ctx.reply('Внутренняя ошибка сервера');
+  }
+});
+
+// /mytrips: ближайшие поездки водителя и недавние — чтобы отметить неявку
+bot.command('mytrips', requirePrivateChat, async (ctx) => {
+  try {
+    const now = Date.now();
+    const trips = (await getDriverTripsByTelegramId(ctx.from.id))
+      .filter(
+        (t) =>
+          t.status !== 'cancelled' && Date.parse(t.departure_time) >= now - BOT_NO_SHOW_LOOKBACK_MS
+      )
+      .reverse();
+
+    if (!trips.length) {
+      return ctx.reply('Ближайших поездок нет. Опубликовать — /newtrip');
+    }
+
+    for (const t of trips.slice(0, BOT_LIST_LIMIT)) {
+      const departed = Date.parse(t.departure_time) <= now;
+      const passengers = await getTripBookedPassengers(t.id);
+
+      const lines = passengers.map((p) => {
+        const name = `${p.passenger_first_name || ''} ${p.passenger_last_name || ''}`.trim();
+        return `• ${name || 'без имени'} — мест: ${p.seats_booked}`;
+      });
+
+      const text =
+        `Поездка: ${t.from_city} → ${t.to_city}\n` +
+        `Выезд: ${t.departure_time}${departed ? ' (уже выехали)' : ''}\n` +
+        `Мест всего: ${t.seats_total}, свободно: ${t.seats_available}\n` +
+        (lines.length ? `Пассажиры:\n${lines.join('\n')}` : 'Броней пока нет.');
+
+      // До выезда можно отменить поездку, после — отметить, кто не приехал
+      const keyboard = departed
+        ? passengers.map((p) => [
+            {
+              text: `Не приехал: ${p.passenger_first_name || 'пассажир'}`,
+              callback_data: `my_noshow:${p.id}`,
+            },
+          ])
+        : [[{ text: 'Отменить поездку', callback_data: `my_trip_cancel:${t.id}` }]];
+
+      await ctx.reply(text, keyboard.length ? { reply_markup: { inline_keyboard: keyboard } } : {});
+    }
+
+    if (trips.length > BOT_LIST_LIMIT) {
+      return ctx.reply(
+        `Показаны ближайшие ${BOT_LIST_LIMIT} из ${trips.length}. Остальные — в мини-приложении.`
+      );
+    }
+  } catch (err) {
+    console.error('Ошибка /mytrips:', err);
+    return ctx.reply('Внутренняя ошибка сервера');
+  }
+});
+
+// Подтверждение необратимого действия отдельным сообщением (как confirm() в мини-приложении)
+function confirmKeyboard(yesText, yesData) {
+  return {
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: yesText, callback_data: yesData },
+          { text: 'Нет', callback_data: 'bot_confirm_no' },
+        ],
+      ],
+    },
+  };
+}
+
+bot.action('bot_confirm_no', async (ctx) => {
+  await ctx.answerCbQuery().catch(() => {});
+  return ctx.editMessageText('Хорошо, ничего не меняем.').catch(() => {});
+});
+
+bot.action(/^my_booking_cancel:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery().catch(() => {});
+  return ctx.reply(
+    'Отменить эту бронь?',
+    confirmKeyboard('Да, отменить', `my_booking_cancel_yes:${ctx.match[1]}`)
+  );
+});
+
+bot.action(/^my_booking_cancel_yes:(\d+)$/, async (ctx) => {
+  try {
+    const passenger = await getUserByTelegramId(ctx.from.id);
+    if (!passenger) {
+      return ctx.answerCbQuery('Пассажир не найден', { show_alert: true });
+    }
+
+    const row = await cancelPassengerBooking(passenger, Number(ctx.match[1]));
+    await ctx.answerCbQuery('Бронь отменена');
+    return ctx.editMessageText(
+      row.status === 'pending' ? 'Заявка на бронь отозвана.' : 'Бронь отменена. Водителя предупредили.'
+    );
+  } catch (err) {
+    const known = cancelBookingErrorText(err);
+    if (!known) console.error('Ошибка отмены брони из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+bot.action(/^my_trip_cancel:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery().catch(() => {});
+  return ctx.scene.enter('canceltrip', { tripId: Number(ctx.match[1]) });
+});
+
+bot.action(/^my_noshow:(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery().catch(() => {});
+  return ctx.reply(
+    'Отметить пассажира как не приехавшего?',
+    confirmKeyboard('Да, не приехал', `my_noshow_yes:${ctx.match[1]}`)
+  );
+});
+
+bot.action(/^my_noshow_yes:(\d+)$/, async (ctx) => {
+  try {
+    const driver = await getUserByTelegramId(ctx.from.id);
+    if (!driver) {
+      return ctx.answerCbQuery('Водитель не найден', { show_alert: true });
+    }
+
+    const booking = await markBookingNoShow({ bookingId: Number(ctx.match[1]), driverId: driver.id });
+    notifyPassengerNoShow(booking);
+
+    await ctx.answerCbQuery('Отмечено');
+    return ctx.editMessageText('Пассажир отмечен как не приехавший. Он сможет оспорить отметку.');
+  } catch (err) {
+    const known = noShowErrorText(err);
+    if (!known) console.error('Ошибка отметки неявки из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+// ---------------- ОПЛАТА КОМИССИИ ЧЕРЕЗ TELEGRAM ----------------
+// Счёт выставляется на весь текущий долг по леджеру комиссии.
+// Payload счёта: fee:<id водителя>:<день счёта>:<сумма в копейках> — по нему сверяем оплату.
+
+function commissionPayload(driverId, payDate, amount) {
+  return `fee:${driverId}:${payDate}:${amount}`;
+}
+
+function parseCommissionPayload(payload) {
+  const m = /^fee:(\d+):(\d{4}-\d{2}-\d{2}):(\d+)$/.exec(String(payload || ''));
+  if (!m) return null;
+  return { driverId: Number(m[1]), payDate: m[2], amount: Number(m[3]) };
+}
+
+// Счёт в личный чат водителя. Отправляем сразу, а не через очередь уведомлений:
+// сумма меняется с каждой бронью. Возвращает текст ошибки или null.
+async function sendCommissionInvoice(user) {
+  if (!PAYMENT_PROVIDER_TOKEN) {
+    return 'Оплата через Telegram пока не подключена. Оплатите по реквизитам и прикрепите чек.';
+  }
+
+  const settings = await getAppSettings();
+  if (!settings || !settings.monetization_enabled) {
+    return 'Комиссия сейчас не взимается.';
+  }
+
+  const balance = await getDriverBalance(user.id);
+  if (balance.balance <= 0) {
+    return 'Долга по комиссии нет, оплачивать нечего.';
+  }
+
+  const amount = Math.round(balance.balance * 100);
+
+  try {
+    await bot.telegram.sendInvoice(user.telegram_id, {
+      title: 'Комиссия сервиса "попутчики"',
+      description:
+        `Долг по комиссии на ${balance.today}: ${balance.balance} ₽. ` +
+        `Начислено всего — ${balance.debit_total} ₽, оплачено — ${balance.credit_total} ₽.`,
+      payload: commissionPayload(user.id, balance.today, amount),
+      provider_token: PAYMENT_PROVIDER_TOKEN,
+      currency: PAYMENT_CURRENCY,
+      prices: [{ label: 'Комиссия сервиса', amount }],
+    });
+  } catch (err) {
+    const code = err.response && err.response.error_code;
+    if (code === 403) {
+      return 'Бот не может написать вам. Откройте чат с ботом, нажмите /start и попробуйте снова.';
+    }
+    // например, сумма меньше минимальной для валюты
+    if (code === 400) {
+      console.error('Telegram не принял счёт на комиссию:', err.response.description);
+      return 'Telegram не принял счёт на эту сумму. Оплатите по реквизитам и прикрепите чек.';
+    }
+    throw err;
+  }
+
+  return null;
+}
+
+// Проверка перед списанием денег: счёт этого водителя и не больше текущего долга.
+// Возвращает текст ошибки (его увидит плательщик) или null.
+async function checkCommissionPayment(telegramId, payload, currency, totalAmount) {
+  const invoice = parseCommissionPayload(payload);
+  if (!invoice) return 'Неизвестный счёт.';
+
+  const user = await getUserByTelegramId(telegramId);
+  if (!user || user.id !== invoice.driverId) {
+    return 'Этот счёт выставлен другому водителю.';
+  }
+  if (currency !== PAYMENT_CURRENCY || totalAmount !== invoice.amount) {
+    return 'Сумма счёта не совпадает. Запросите новый счёт: /pay';
+  }
+
+  const balance = await getDriverBalance(user.id);
+  if (Math.round(balance.balance * 100) < invoice.amount) {
+    return 'Комиссия уже оплачена или уменьшилась. Запросите новый счёт: /pay';
+  }
+
+  return null;
+}
+
+bot.command('pay', requirePrivateChat, async (ctx) => {
+  try {
+    const user = await getUserByTelegramId(ctx.from.id);
+    if (!user) {
+      return ctx.reply('Сначала откройте мини-приложение через /start.');
+    }
+
+    const invoiceError = await sendCommissionInvoice(user);
+    if (invoiceError) {
+      return ctx.reply(invoiceError);
+    }
+  } catch (err) {
+    console.error('Ошибка /pay:', err);
+    return ctx.reply('Внутренняя ошибка сервера');
+  }
+});
+
+bot.on('pre_checkout_query', async (ctx) => {
+  const query = ctx.preCheckoutQuery;
+
+  try {
+    const error = await checkCommissionPayment(
+      query.from.id,
+      query.invoice_payload,
+      query.currency,
+      query.total_amount
+    );
+    if (error) {
+      return ctx.answerPreCheckoutQuery(false, error);
+    }
+    return ctx.answerPreCheckoutQuery(true);
+  } catch (err) {
+    console.error('Ошибка проверки платежа:', err);
+    return ctx
+      .answerPreCheckoutQuery(false, 'Не получилось проверить платёж. Попробуйте позже.')
+      .catch(() => {});
+  }
+});
+
+// Деньги списаны: записываем оплату — она попадёт в леджер, и запрет на поездки снимется сам
+bot.on('successful_payment', async (ctx) => {
+  const payment = ctx.message.successful_payment;
+
+  try {
+    const invoice = parseCommissionPayload(payment.invoice_payload);
+    if (!invoice) {
+      console.error('Оплата с неизвестным payload:', payment);
+      return ctx.reply('Оплата получена, но счёт не распознан. Напишите администратору.');
+    }
+
+    const amount = payment.total_amount / 100;
+    await recordDriverPayment({
+      driverId: invoice.driverId,
+      payDate: invoice.payDate,
+      amount,
+      currency: payment.currency,
+      invoicePayload: payment.invoice_payload,
+      telegramChargeId: payment.telegram_payment_charge_id,
+      providerChargeId: payment.provider_payment_charge_id,
+    });
+
+    const balance = await getDriverBalance(invoice.driverId);
+    return ctx.reply(
+      `Оплата ${amount} ₽ получена, спасибо!\n` +
+        (balance.balance > 0
+          ? `Осталось оплатить ${balance.balance} ₽ — /pay`
+          : 'Долга по комиссии нет.')
+    );
+  } catch (err) {
+    console.error('Ошибка записи оплаты комиссии:', err, payment);
+    return ctx.reply('Оплата получена, но не записалась. Напишите администратору.');
+  }
+});
+
+// ---------------- ПРОВЕРКА ЧЕКОВ ОБ ОПЛАТЕ ----------------
+// Чек, загруженный водителем, становится оплатой только после решения админа:
+// в мини-приложении или кнопками прямо в сообщении бота.
+
+function proofErrorText(err) {
+  if (err.code === 'PROOF_NOT_FOUND') return 'Чек не найден';
+  if (err.code === 'ALREADY_REVIEWED') return 'Чек уже проверен';
+  if (err.code === 'BAD_DECISION') return 'Неизвестное решение';
+  if (err.code === 'BAD_AMOUNT' || err.code === 'BAD_REASON') return err.message;
+  return null;
+}
+
+// Админу: новый чек с кнопками решения
+function notifyAdminPaymentProof(proof) {
+  const driverName = `${proof.driver_first_name || ''} ${proof.driver_last_name || ''}`.trim();
+  const driverUsername = proof.driver_username ? ` @${proof.driver_username}` : '';
+
+  queueMessage(
+    ADMIN_TELEGRAM_ID,
+    `Новый чек об оплате комиссии #${proof.id}\n\n` +
+      `Водитель: ${driverName || 'без имени'}${driverUsername} (ID: ${proof.driver_telegram_id})\n` +
+      `Сумма по словам водителя: ${proof.amount_claimed} ₽\n` +
+      `Долг по комиссии: ${proof.driver_balance} ₽`,
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Показать чек', callback_data: `proof_file:${proof.id}` }],
+          [
+            { text: `Принять ${proof.amount_claimed} ₽`, callback_data: `proof_approve:${proof.id}` },
+            { text: 'Отклонить', callback_data: `proof_reject:${proof.id}` },
+          ],
+        ],
+      },
+    }
+  ).catch((err) => console.error('Ошибка отправки админу нового чека:', err));
+}
+
+// Водителю: решение по чеку
+function notifyDriverProofReviewed(proof) {
+  const text =
+    proof.status === 'approved'
+      ? `Чек от ${proof.created_at} проверен: оплата ${proof.amount_approved} ₽ зачтена. ` +
+        `Долг по комиссии: ${Math.max(proof.driver_balance, 0)} ₽.` +
+        (proof.review_comment ? `\nКомментарий: ${proof.review_comment}` : '')
+      : `Чек от ${proof.created_at} не принят.\nПричина: ${proof.review_comment}\n\n` +
+        'Загрузите другой чек в мини-приложении или оплатите комиссию командой /pay.';
+
+  queueMessage(proof.driver_telegram_id, text).catch((err) =>
+    console.error('Ошибка отправки водителю решения по чеку:', err)
+  );
+}
+
+bot.action(/^proof_file:(\d+)$/, async (ctx) => {
+  if (String(ctx.from.id) !== String(ADMIN_TELEGRAM_ID)) {
+    return ctx.answerCbQuery('Нет доступа', { show_alert: true }).catch(() => {});
+  }
+
+  try {
+    const proof = await getPaymentProofById(Number(ctx.match[1]));
+    if (!proof || !proof.file_stored_name) {
+      return ctx.answerCbQuery('Чек не найден', { show_alert: true });
+    }
+    if (proof.file_deleted_at) {
+      return ctx.answerCbQuery('Файл чека удалён по сроку хранения', { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    return await ctx.replyWithDocument({
+      source: path.join(uploadDir, path.basename(proof.file_stored_name)),
+      filename: proof.file_original_name || proof.file_stored_name,
+    });
+  } catch (err) {
+    console.error('Ошибка отправки файла чека админу:', err);
+    return ctx.reply('Не удалось отправить файл чека.').catch(() => {});
+  }
+});
+
+bot.action(/^proof_approve:(\d+)$/, async (ctx) => {
+  if (String(ctx.from.id) !== String(ADMIN_TELEGRAM_ID)) {
+    return ctx.answerCbQuery('Нет доступа', { show_alert: true }).catch(() => {});
+  }
+
+  try {
+    const proof = await reviewPaymentProof({ proofId: Number(ctx.match[1]), decision: 'approve' });
+    notifyDriverProofReviewed(proof);
+    await ctx.answerCbQuery('Оплата зачтена');
+
+    const originalText = (ctx.callbackQuery.message && ctx.callbackQuery.message.text) || '';
+    await ctx.editMessageText(originalText + `\n\nРешение: принят, зачтено ${proof.amount_approved} ₽.`);
+  } catch (err) {
+    const known = proofErrorText(err);
+    if (!known) console.error('Ошибка принятия чека из бота:', err);
+    return ctx
+      .answerCbQuery(known || 'Внутренняя ошибка сервера', { show_alert: true })
+      .catch(() => {});
+  }
+});
+
+// Отказ без причины не сохраняем: просим ответить на сообщение текстом причины
+bot.action(/^proof_reject:(\d+)$/, async (ctx) => {
+  if (String(ctx.from.id) !== String(ADMIN_TELEGRAM_ID)) {
+    return ctx.answerCbQuery('Нет доступа', { show_alert: true }).catch(() => {});
+  }
+
+  try {
+    await ctx.answerCbQuery();
+    const prompt = await ctx.reply(
+      `Напишите ответом на это сообщение причину отказа по чеку #${ctx.match[1]}. Её увидит водитель.`,
+      { reply_markup: { force_reply: true } }
+    );
+    await saveBotReplyLink({
+      chatId: ctx.chat.id,
+      messageId: prompt.message_id,
+      kind: 'proof_reject',
+      refId: Number(ctx.match[1]),
+    });
+  } catch (err) {
+    console.error('Ошибка запроса причины отказа по чеку:', err);
+  }
+});
+
+// ---------------- ОТВЕТЫ НА СООБЩЕНИЯ БОТА ----------------
+
+// Обработчики ответов на сообщения бота (по kind из bot_reply_links)
+const botReplyHandlers = {
+  chat: async (ctx, link) => {
+    try {
+      await relayChatMessage({
+        threadId: link.ref_id,
+        senderTelegramId: ctx.from.id,
+        text: ctx.message.text,
+      });
+    } catch (err) {
+      const known = chatErrorText(err);
+      if (!known) throw err;
+      return ctx.reply(known);
+    }
+    return ctx.reply('Сообщение переслано.');
+  },
+  review: async (ctx, link) => {
+    await setReviewText({
+      reviewId: link.ref_id,
+      authorTelegramId: ctx.from.id,
+      text: ctx.message.text,
+    });
+    return ctx.reply('Отзыв сохранён. Спасибо!');
+  },
+  no_show_dispute: async (ctx, link) => {
+    try {
+      await openNoShowDispute({
+        bookingId: link.ref_id,
+        passengerTelegramId: ctx.from.id,
+        reason: ctx.message.text,
+      });
+    } catch (err) {
+      const known = noShowErrorText(err);
+      if (!known) throw err;
+      return ctx.reply(known);
+    }
+    return ctx.reply('Спор отправлен администратору. Мы сообщим о решении.');
+  },
+  proof_reject: async (ctx, link) => {
+    if (String(ctx.from.id) !== String(ADMIN_TELEGRAM_ID)) return ctx.reply('Нет доступа');
+
+    try {
+      const proof = await reviewPaymentProof({
+        proofId: link.ref_id,
+        decision: 'reject',
+        comment: ctx.message.text,
+      });
+      notifyDriverProofReviewed(proof);
+    } catch (err) {
+      const known = proofErrorText(err);
+      if (!known) throw err;
+      return ctx.reply(known);
+    }
+    return ctx.reply('Чек отклонён, водитель получит причину.');
+  },
+};
+
+bot.on('text', async (ctx, next) => {
+  const replyTo = ctx.message.reply_to_message;
+  if (!replyTo) return next();
+
+  try {
+    const link = await getBotReplyLink(ctx.chat.id, replyTo.message_id);
+    const handler = link && botReplyHandlers[link.kind];
+    if (!handler) return next();
+    return await handler(ctx, link);
+  } catch (err) {
+    console.error('Ошибка обработки ответа на сообщение бота:', err);
+    return ctx.reply('Не получилось обработать ответ. Попробуйте ещё раз позже.');
+  }
+});
+
+bot.on('text', (ctx) => {
+  return ctx.reply(
+    'Основной функционал доступен в мини-приложении.\n' +
+      'Нажмите /start и откройте "попутчики" по кнопке.\n\n' +
+      'Если мини-приложение не открывается: /newtrip, /find, /mytrips, /mybookings.'
+  );
+});
+
+// ---------------- API: ОБЩЕЕ ----------------
+
+// Инициализация пользователя
+app.post('/api/init-user', async (req, res) => {
+  try {
+    const dbUser = await upsertUserFromTelegram(req.user);
+    const settings = await getAppSettings();
+
+    return res.json({ user: dbUser, settings });
+  } catch (err) {
+    console.error('Ошибка /api/init-user:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// ---------------- API: ПОЕЗДКИ ----------------
+
+// Может ли водитель публиковать новые поездки (блокировка и долг по комиссии сверх лимита).
+// Возвращает текст ошибки или null.
+async function getDriverPublishError(user) {
+  if (user.is_blocked) {
+    return 'Ваш аккаунт заблокирован администратором. Создание новых поездок временно недоступно.';
+  }
+
+  const settings = await getAppSettings();
+
+  if (settings && settings.monetization_enabled) {
+    const { balance } = await getDriverBalance(user.id);
+    const debtLimit = settings.debt_limit || 0;
+
+    if (balance > debtLimit) {
+      return (
+        'Сервис стал частично платным для водителей.\n' +
+        `Ваш долг по комиссии — ${balance} ₽` +
+        (debtLimit > 0 ? ` (можно не больше ${debtLimit} ₽). ` : '. ') +
+        (PAYMENT_PROVIDER_TOKEN
+          ? 'Оплатите его в Telegram (команда /pay в боте) или по реквизитам с чеком — '
+          : 'Оплатите его по реквизитам и прикрепите чек — ') +
+        'после подтверждения оплаты сможете создавать новые поездки.'
+      );
+    }
+  }
+
+  return null;
+}
+
+// Создание поездки (с учётом платного режима и блокировок)
+app.post('/api/trips', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const {
+      from_city,
+      to_city,
+      departure_time,
+      seats_total,
+      price_per_seat,
+      note,
+      requires_approval,
+      stops,
+    } = req.body;
+
+    if (stops !== undefined && !Array.isArray(stops)) {
+      return res.status(400).json({ error: 'Некорректный список остановок' });
+    }
+    if (Array.isArray(stops) && stops.length > MAX_TRIP_STOPS) {
+      return res
+        .status(400)
+        .json({ error: `Не больше ${MAX_TRIP_STOPS} промежуточных остановок` });
+    }
+
+    const user = await getUserByTelegramId(telegram_id);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Пользователь не найден. Сначала откройте Mini App через /start.',
+      });
+    }
+
+    const publishError = await getDriverPublishError(user);
+    if (publishError) {
+      return res.status(403).json({ error: publishError });
+    }
+
+    const trip = await createTrip({
+      driverId: user.id,
+      fromCity: from_city,
+      toCity: to_city,
+      departureTime: departure_time,
+      seatsTotal: seats_total,
+      pricePerSeat: price_per_seat,
+      note,
+      requiresApproval: !!requires_approval,
+      stops,
+    });
+
+    announceNewTrip(trip.id);
+
+    return res.json({ trip });
+  } catch (err) {
+    if (err.code === 'BAD_STOPS') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Ошибка /api/trips (POST):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Участок маршрута для поиска: первая остановка с городом from и следующая за ней
+// с городом to. Пустой фильтр — начало/конец маршрута. null, если не подходит.
+function findStopPair(stops, qFrom, qTo) {
+  const norm = (city) => String(city || '').trim().toLowerCase();
+  const last = stops.length - 1;
+
+  for (let i = 0; i < last; i++) {
+    if (qFrom ? norm(stops[i].city) !== qFrom : i !== 0) continue;
+
+    for (let j = last; j > i; j--) {
+      if (qTo ? norm(stops[j].city) === qTo : j === last) return [i, j];
+    }
+  }
+  return null;
+}
+
+// Участок поездки между остановками i и j: города, время посадки, цена и свободные места
+function buildTripSegment(t, i, j) {
+  return {
+    from_index: i,
+    to_index: j,
+    from_city: t.stops[i].city,
+    to_city: t.stops[j].city,
+    departure_time: t.stops[i].departure_time || t.departure_time,
+    price_per_seat: t.stops[j].price_from_start - t.stops[i].price_from_start,
+    seats_available: segmentSeatsAvailable(t, i, j),
+  };
+}
+
+// Участок по индексам остановок из ссылки; некорректные индексы — весь маршрут
+function resolveTripSegment(t, fromStop, toStop) {
+  const last = t.stops.length - 1;
+  let i = fromStop !== undefined && fromStop !== null ? Number(fromStop) : 0;
+  let j = toStop !== undefined && toStop !== null ? Number(toStop) : last;
+  if (!Number.isInteger(i) || !Number.isInteger(j) || i < 0 || j > last || i >= j) {
+    i = 0;
+    j = last;
+  }
+  return buildTripSegment(t, i, j);
+}
+
+// Список поездок (пассажир) — только не полные и не устаревшие + фильтры
+app.get('/api/trips', async (req, res) => {
+  try {
+    const rawTrips = await getLatestTrips(50);
+
+    const now = Date.now();
+    const cutoff = now - 10 * 60 * 1000; // показываем до 10 минут после старта
+
+    const qFrom = (req.query.from || '').toString().trim().toLowerCase();
+    const qTo = (req.query.to || '').toString().trim().toLowerCase();
+    const qDay = (req.query.day || 'any').toString().trim().toLowerCase();
+    const qSort = (req.query.sort || 'time_asc').toString().trim().toLowerCase();
+    // include_full=1 — показывать и полные поездки (чтобы встать в лист ожидания)
+    const includeFull = req.query.include_full === '1';
+
+    // границы "сегодня/завтра" в локальном времени сервера
+    const dNow = new Date();
+    const startOfToday = new Date(dNow.getFullYear(), dNow.getMonth(), dNow.getDate()).getTime();
+    const startOfTomorrow = new Date(dNow.getFullYear(), dNow.getMonth(), dNow.getDate() + 1).getTime();
+    const startOfDayAfterTomorrow = new Date(dNow.getFullYear(), dNow.getMonth(), dNow.getDate() + 2).getTime();
+
+    // для каждой поездки подбираем участок маршрута под фильтр from/to
+    const withSegments = (rawTrips || []).map((t) => {
+      const pair = findStopPair(t.stops, qFrom, qTo);
+      if (!pair) return { ...t, segment: null };
+
+      return { ...t, segment: buildTripSegment(t, pair[0], pair[1]) };
+    });
+
+    let trips = withSegments.filter((t) => {
+      // from/to: подходит любая пара остановок по ходу маршрута
+      if (!t.segment) return false;
+
+      // базовая логика (как было), но по выбранному участку
+      if (t.segment.seats_available <= 0 && !includeFull) return false;
+
+      const startTs = Date.parse(t.departure_time);
+      if (Number.isFinite(startTs) && startTs < cutoff) return false;
+
+      const ts = Date.parse(t.segment.departure_time);
+
+      // day
+      if (qDay && qDay !== 'any' && Number.isFinite(ts)) {
+        if (qDay === 'today') {
+          if (!(ts >= startOfToday && ts < startOfTomorrow)) return false;
+        } else if (qDay === 'tomorrow') {
+          if (!(ts >= startOfTomorrow && ts < startOfDayAfterTomorrow)) return false;
+        } else if (qDay === 'weekend') {
+          const dow = new Date(ts).getDay(); // 0=вс, 6=сб
+          if (!(dow === 0 || dow === 6)) return false;
+        }
+      }
+
+      return true;
+    });
+
+    // сортировка
+    const timeValue = (t) => {
+      const ts = Date.parse(t.segment.departure_time);
+      return Number.isFinite(ts) ? ts : 0;
+    };
+    const priceValue = (t) => Number(t.segment.price_per_seat || 0);
+
+    if (qSort === 'time_desc') {
+      trips.sort((a, b) => timeValue(b) - timeValue(a));
+    } else if (qSort === 'price_asc') {
+      trips.sort((a, b) => priceValue(a) - priceValue(b));
+    } else if (qSort === 'price_desc') {
+      trips.sort((a, b) => priceValue(b) - priceValue(a));
+    } else {
+      // time_asc по умолчанию
+      trips.sort((a, b) => timeValue(a) - timeValue(b));
+    }
+
+    return res.json({ trips });
+  } catch (err) {
+    console.error('Ошибка /api/trips (GET):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Одна поездка — для открытия по ссылке из уведомления.
+// from_stop / to_stop — индексы остановок участка (по умолчанию весь маршрут).
+app.get('/api/trips/:id', async (req, res) => {
+  try {
+    const trip = await getTripWithDriver(req.params.id);
+    if (!trip) {
+      return res.status(404).json({ error: 'Поездка не найдена' });
+    }
+
+    const segment = resolveTripSegment(trip, req.query.from_stop, req.query.to_stop);
+
+    // telegram_id водителя пассажиру не отдаём, как и в общем списке
+    const { driver_telegram_id: _driverTelegramId, ...publicTrip } = trip;
+
+    return res.json({
+      trip: {
+        ...publicTrip,
+        first_name: trip.driver_first_name,
+        last_name: trip.driver_last_name,
+        username: trip.driver_username,
+        segment,
+        share_url: shareLink(tripStartParam(trip.id)),
+      },
+    });
+  } catch (err) {
+    console.error('Ошибка /api/trips/:id:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Удаление поездки водителем
+app.post('/api/driver/delete-trip', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { trip_id } = req.body;
+    if (!trip_id) {
+      return res.status(400).json({ error: 'Не указан trip_id' });
+    }
 
     const driver = await getUserByTelegramId(telegram_id);
     if (!driver) {
@@ -384,6 +3392,9 @@ app.post('/api/driver/delete-trip', async (req, res) => {
     }
 
     const trip = await deleteTripByDriver(trip_id, driver.id);
+    syncTripAutoposts(trip.id).catch((err) =>
+      console.error('Ошибка обновления автопостов удалённой поездки:', err)
+    );
     return res.json({ success: true, trip });
   } catch (err) {
     console.error('Ошибка /api/driver/delete-trip:', err);
@@ -409,13 +3420,155 @@ app.post('/api/driver/delete-trip', async (req, res) => {
   }
 });
 
+// Подписи полей поездки для уведомлений об изменениях
+const TRIP_FIELD_LABELS = {
+  departure_time: 'Время выезда',
+  price_per_seat: 'Цена за место',
+  seats_total: 'Всего мест',
+  note: 'Комментарий',
+};
+
+function formatTripFieldValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'price_per_seat') return `${value} ₽`;
+  return String(value);
+}
+
+// Редактирование поездки водителем (время, цена, места, комментарий)
+app.post('/api/driver/trips/:id/edit', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { departure_time, price_per_seat, seats_total, note } = req.body;
+
+    const driver = await getUserByTelegramId(telegram_id);
+    if (!driver) {
+      return res.status(400).json({ error: 'Водитель не найден' });
+    }
+
+    const { trip, changes, passengers } = await updateTripByDriver({
+      tripId: req.params.id,
+      driverId: driver.id,
+      departureTime: departure_time,
+      pricePerSeat: price_per_seat,
+      seatsTotal: seats_total,
+      note: typeof note === 'string' ? note.trim() : undefined,
+    });
+
+    if (changes.length > 0) {
+      const changesText = changes
+        .map(
+          (c) =>
+            `${TRIP_FIELD_LABELS[c.field]}: ${formatTripFieldValue(c.field, c.from)} → ` +
+            formatTripFieldValue(c.field, c.to)
+        )
+        .join('\n');
+      const priceChanged = changes.some((c) => c.field === 'price_per_seat');
+
+      for (const p of passengers) {
+        const textForPassenger =
+          'Водитель изменил поездку в "попутчики":\n\n' +
+          `Маршрут: ${trip.from_city} → ${trip.to_city}\n` +
+          `Выезд: ${trip.departure_time}\n\n` +
+          'Что изменилось:\n' +
+          changesText +
+          '\n\n' +
+          (priceChanged
+            ? `Для вашей брони цена не меняется: ${p.amount_total || 0} ₽ за ${p.seats_booked} мест.\n`
+            : '') +
+          'Если новые условия не подходят, бронь можно отменить в мини-приложении.';
+
+        queueMessage(p.passenger_telegram_id, textForPassenger)
+          .catch((err) =>
+            console.error('Ошибка уведомления пассажира об изменении поездки:', err)
+          );
+      }
+    }
+
+    if (changes.some((c) => c.field === 'seats_total' && Number(c.to) > Number(c.from))) {
+      offerFreedSeats(trip.id);
+    }
+    if (changes.length > 0) {
+      syncTripAutoposts(trip.id, { force: true }).catch((err) =>
+        console.error('Ошибка обновления автопостов после изменения поездки:', err)
+      );
+    }
+
+    return res.json({ trip, changes, notified: changes.length ? passengers.length : 0 });
+  } catch (err) {
+    console.error('Ошибка /api/driver/trips/:id/edit:', err);
+
+    if (err.code === 'TRIP_NOT_FOUND') {
+      return res.status(400).json({ error: 'Поездка не найдена' });
+    }
+    if (err.code === 'FORBIDDEN') {
+      return res.status(403).json({ error: 'Нет прав на изменение этой поездки' });
+    }
+    if (err.code === 'BAD_STATUS') {
+      return res.status(400).json({ error: 'Поездка отменена или завершена' });
+    }
+    if (err.code === 'TOO_LATE') {
+      return res.status(400).json({ error: 'Нельзя изменить поездку после её начала.' });
+    }
+    if (err.code === 'BAD_TIME') {
+      return res.status(400).json({ error: 'Некорректное время выезда' });
+    }
+    if (err.code === 'PAST_TIME') {
+      return res.status(400).json({ error: 'Время выезда уже прошло' });
+    }
+    if (err.code === 'BAD_PRICE') {
+      return res.status(400).json({ error: 'Некорректная цена за место' });
+    }
+    if (err.code === 'BAD_SEATS') {
+      return res.status(400).json({ error: 'Некорректное число мест' });
+    }
+    if (err.code === 'SEATS_BELOW_BOOKED') {
+      return res.status(400).json({
+        error: `Нельзя сделать мест меньше, чем уже забронировано (${err.seatsTaken}).`,
+      });
+    }
+
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Отмена поездки водителем: брони аннулируются, пассажиры получают причину в боте
+app.post('/api/driver/cancel-trip', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { trip_id } = req.body;
+    const reason = String(req.body.reason || '').trim().slice(0, 500);
+
+    if (!trip_id) {
+      return res.status(400).json({ error: 'Не указан trip_id' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'Укажите причину отмены — её увидят пассажиры' });
+    }
+
+    const driver = await getUserByTelegramId(telegram_id);
+    if (!driver) {
+      return res.status(400).json({ error: 'Водитель не найден' });
+    }
+
+    const { trip, bookings } = await cancelDriverTrip(driver, trip_id, reason);
+
+    return res.json({ success: true, trip, cancelled_bookings: bookings.length });
+  } catch (err) {
+    console.error('Ошибка /api/driver/cancel-trip:', err);
+
+    const known = cancelTripErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
+    }
+
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
 // История поездок водителя
 app.get('/api/driver/trips', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const driver = await getUserByTelegramId(telegram_id);
     if (!driver) {
@@ -423,20 +3576,122 @@ app.get('/api/driver/trips', async (req, res) => {
     }
 
     const trips = await getDriverTripsByTelegramId(telegram_id);
-    return res.json({ trips });
+    const series = await getDriverSeriesByTelegramId(telegram_id);
+    return res.json({ trips, series });
   } catch (err) {
     console.error('Ошибка /api/driver/trips:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
+// Регулярная поездка: расписание по дням недели, поездки создаются автоматически
+app.post('/api/driver/series', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const {
+      from_city,
+      to_city,
+      days_of_week,
+      departure_clock,
+      seats_total,
+      price_per_seat,
+      note,
+      requires_approval,
+    } = req.body;
+
+    const user = await getUserByTelegramId(telegram_id);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Пользователь не найден. Сначала откройте Mini App через /start.',
+      });
+    }
+
+    const publishError = await getDriverPublishError(user);
+    if (publishError) {
+      return res.status(403).json({ error: publishError });
+    }
+
+    const series = await createTripSeries({
+      driverId: user.id,
+      fromCity: from_city,
+      toCity: to_city,
+      daysOfWeek: days_of_week,
+      departureClock: departure_clock,
+      seatsTotal: seats_total,
+      pricePerSeat: price_per_seat,
+      note,
+      requiresApproval: !!requires_approval,
+    });
+
+    const trips = await generateSeriesTrips({ seriesId: series.id });
+    onTripsPublished(trips).catch((err) =>
+      console.error('Ошибка подбора пассажиров для поездок расписания:', err)
+    );
+
+    return res.json({ series, trips_created: trips.length });
+  } catch (err) {
+    if (err.code === 'BAD_SERIES') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Ошибка /api/driver/series:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Пауза / возобновление / завершение расписания
+app.post('/api/driver/series/:id/status', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { status } = req.body;
+
+    const driver = await getUserByTelegramId(telegram_id);
+    if (!driver) {
+      return res.status(400).json({ error: 'Водитель не найден' });
+    }
+
+    const result = await setTripSeriesStatus({
+      seriesId: req.params.id,
+      driverId: driver.id,
+      status,
+    });
+
+    // Удалённые поездки завершённого расписания могли уже уйти в каналы
+    if (result.removedTripIds.length > 0) {
+      syncTripAutoposts().catch((err) =>
+        console.error('Ошибка обновления автопостов удалённых поездок:', err)
+      );
+    }
+
+    // После возобновления сразу досоздаём поездки на ближайшие дни
+    if (status === 'active') {
+      const trips = await generateSeriesTrips({ seriesId: result.series.id });
+      onTripsPublished(trips).catch((err) =>
+        console.error('Ошибка подбора пассажиров для поездок расписания:', err)
+      );
+    }
+
+    return res.json({ success: true, series: result.series, removed_trips: result.removedTrips });
+  } catch (err) {
+    console.error('Ошибка /api/driver/series/:id/status:', err);
+
+    if (err.code === 'SERIES_NOT_FOUND') {
+      return res.status(404).json({ error: 'Расписание не найдено' });
+    }
+    if (err.code === 'FORBIDDEN') {
+      return res.status(403).json({ error: 'Нет прав на изменение этого расписания' });
+    }
+    if (err.code === 'BAD_STATUS') {
+      return res.status(400).json({ error: err.message });
+    }
+
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
 // Активная поездка водителя (до 10 минут после начала)
 app.get('/api/driver/active-trip', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const driver = await getUserByTelegramId(telegram_id);
     if (!driver) {
@@ -448,6 +3703,7 @@ app.get('/api/driver/active-trip', async (req, res) => {
     const cutoff = now - 10 * 60 * 1000;
 
     const futureTrips = (trips || []).filter((t) => {
+      if (t.status === 'cancelled') return false;
       const ts = Date.parse(t.departure_time);
       return Number.isFinite(ts) && ts >= cutoff;
     });
@@ -459,7 +3715,9 @@ app.get('/api/driver/active-trip', async (req, res) => {
     futureTrips.sort((a, b) => Date.parse(a.departure_time) - Date.parse(b.departure_time));
     const activeTrip = futureTrips[0];
 
-    return res.json({ trip: activeTrip });
+    return res.json({
+      trip: { ...activeTrip, share_url: shareLink(tripStartParam(activeTrip.id)) },
+    });
   } catch (err) {
     console.error('Ошибка /api/driver/active-trip:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
@@ -469,11 +3727,11 @@ app.get('/api/driver/active-trip', async (req, res) => {
 // Пассажиры конкретной поездки (для водителя)
 app.get('/api/driver/trip-bookings', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
+    const telegram_id = req.user.telegram_id;
     const trip_id = req.query.trip_id;
 
-    if (!telegram_id || !trip_id) {
-      return res.status(400).json({ error: 'Не указаны telegram_id или trip_id' });
+    if (!trip_id) {
+      return res.status(400).json({ error: 'Не указан trip_id' });
     }
 
     const driver = await getUserByTelegramId(telegram_id);
@@ -496,10 +3754,7 @@ app.get('/api/driver/trip-bookings', async (req, res) => {
 // Профиль водителя (машина)
 app.get('/api/driver/profile', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const profile = await getDriverProfileByTelegramId(telegram_id);
     if (!profile) {
@@ -515,11 +3770,8 @@ app.get('/api/driver/profile', async (req, res) => {
 
 app.post('/api/driver/profile', async (req, res) => {
   try {
-    const { telegram_id, car_make, car_color, car_plate } = req.body;
-
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
+    const { car_make, car_color, car_plate } = req.body;
 
     const updated = await updateDriverCarProfile(telegram_id, {
       carMake: car_make,
@@ -534,32 +3786,35 @@ app.post('/api/driver/profile', async (req, res) => {
   }
 });
 
-// Дневная статистика водителя (для блока оплаты)
+// Дневная статистика и долг по комиссии водителя (для блока оплаты)
 app.get('/api/driver/daily-stats', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const user = await getUserByTelegramId(telegram_id);
     if (!user) {
       return res.status(400).json({ error: 'Водитель не найден' });
     }
 
-    const [settings, stats, hasProof] = await Promise.all([
+    const [settings, stats, balance, lastProof] = await Promise.all([
       getAppSettings(),
       getDriverDailyStats(user.id),
-      hasDriverPaymentProofToday(user.id),
+      getDriverBalance(user.id),
+      getDriverLatestPaymentProof(user.id),
     ]);
+    const ledger = await getDriverLedger(user.id, 20);
 
     return res.json({
       settings: {
         monetization_enabled: settings.monetization_enabled || 0,
         payment_details: settings.payment_details || '',
+        online_payment_enabled: PAYMENT_PROVIDER_TOKEN ? 1 : 0,
+        debt_limit: settings.debt_limit || 0,
       },
-      stats: stats,
-      has_proof_today: !!hasProof,
+      stats,
+      balance: balance.balance,
+      ledger,
+      last_proof: lastProof,
       is_blocked: user.is_blocked || 0,
     });
   } catch (err) {
@@ -568,48 +3823,121 @@ app.get('/api/driver/daily-stats', async (req, res) => {
   }
 });
 
-// Загрузка чека водителем
+// Загрузка чека водителем (multipart: file + amount). Оплатой станет после проверки админом.
 app.post(
   '/api/driver/payment-proof',
-  upload.single('file'),
+  receiptUpload,
   async (req, res) => {
+    let storedName = null;
+
     try {
-      const telegram_id = req.body.telegram_id;
-      if (!telegram_id) {
-        return res.status(400).json({ error: 'Не указан telegram_id' });
-      }
+      const telegram_id = req.user.telegram_id;
 
       const user = await getUserByTelegramId(telegram_id);
       if (!user) {
+        if (req.file) fs.unlink(req.file.path, () => {});
         return res.status(400).json({ error: 'Водитель не найден' });
       }
 
       if (!req.file) {
-        return res.status(400).json({ error: 'Файл не получен' });
+        return res.status(400).json({
+          error: req.receiptRejected
+            ? 'Прикрепите фото (JPEG, PNG, WebP) или PDF'
+            : 'Файл не получен',
+        });
       }
 
-      await saveDriverPaymentProof(
+      storedName = await sanitizeReceiptFile(req.file);
+      if (!storedName) {
+        return res.status(400).json({ error: 'Файл не похож на фото или PDF' });
+      }
+
+      const proof = await saveDriverPaymentProof(
         user.id,
         req.file.originalname,
-        req.file.filename
+        storedName,
+        req.body.amount
       );
+      notifyAdminPaymentProof(proof);
 
-      return res.json({ success: true });
+      return res.json({ success: true, proof });
     } catch (err) {
+      if (storedName) {
+        fs.unlink(path.join(uploadDir, storedName), () => {});
+      } else if (req.file) {
+        fs.unlink(req.file.path, () => {});
+      }
+      const known = proofErrorText(err);
+      if (known) {
+        return res.status(400).json({ error: known });
+      }
       console.error('Ошибка /api/driver/payment-proof:', err);
       return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
     }
   }
 );
 
+// Файл чека: только водителю, который его загрузил, и админу
+app.get('/api/payment-proofs/:id/file', async (req, res) => {
+  try {
+    const proof = await getPaymentProofById(Number(req.params.id));
+    if (!proof || !proof.file_stored_name) {
+      return res.status(404).json({ error: 'Чек не найден' });
+    }
+
+    const telegram_id = req.user.telegram_id;
+    if (telegram_id !== proof.driver_telegram_id && telegram_id !== String(ADMIN_TELEGRAM_ID)) {
+      return res.status(403).json({ error: 'Нет доступа' });
+    }
+    if (proof.file_deleted_at) {
+      return res.status(410).json({ error: 'Файл чека удалён по сроку хранения' });
+    }
+
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'",
+    });
+    return res.sendFile(path.join(uploadDir, path.basename(proof.file_stored_name)), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Файл чека не найден' });
+      }
+    });
+  } catch (err) {
+    console.error('Ошибка /api/payment-proofs/:id/file:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Счёт на долг по комиссии: бот присылает его водителю в личный чат
+app.post('/api/driver/payment-invoice', async (req, res) => {
+  try {
+    const user = await getUserByTelegramId(req.user.telegram_id);
+    if (!user) {
+      return res.status(400).json({ error: 'Водитель не найден' });
+    }
+
+    const invoiceError = await sendCommissionInvoice(user);
+    if (invoiceError) {
+      return res.status(400).json({ error: invoiceError });
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Ошибка /api/driver/payment-invoice:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
 // ---------------- API: БРОНИРОВАНИЯ ----------------
 
 // Создание брони
 app.post('/api/bookings', async (req, res) => {
   try {
-    const { telegram_id, trip_id, seats } = req.body;
+    const telegram_id = req.user.telegram_id;
+    const { trip_id, seats, from_stop_index, to_stop_index } = req.body;
 
-    if (!telegram_id || !trip_id || !seats) {
+    if (!trip_id || !seats) {
       return res.status(400).json({ error: 'Не все данные для бронирования переданы' });
     }
 
@@ -620,94 +3948,123 @@ app.post('/api/bookings', async (req, res) => {
         .json({ error: 'Пассажир не найден. Откройте Mini App через /start.' });
     }
 
-    const tripIdNum = Number(trip_id);
-    const seatsNum = Number(seats);
-
-    const { booking, trip, passenger: bookingPassenger } = await createBooking({
-      tripId: tripIdNum,
-      passengerTelegramId: telegram_id,
-      seatsBooked: seatsNum,
+    const { booking, trip } = await bookTripSeats({
+      passenger,
+      tripId: trip_id,
+      seats,
+      fromStopIndex: from_stop_index,
+      toStopIndex: to_stop_index,
     });
 
-    const tripFull = await getTripWithDriver(tripIdNum);
-
-    // Уведомление водителю о новой брони
-    if (tripFull && tripFull.driver_telegram_id) {
-      const passengerName = `${passenger.first_name || ''} ${passenger.last_name || ''}`.trim();
-      const passengerUsername = passenger.username ? `@${passenger.username}` : '';
-      const noShowCount = passenger.no_show_count || 0;
+    return res.json({ booking, trip });
+  } catch (err) {
+    console.error('Ошибка /api/bookings:', err);
 
-      const textForDriver =
-        'Новая бронь в "попутчики":\n\n' +
-        `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
-        `Выезд: ${tripFull.departure_time}\n\n` +
-        `Пассажир: ${passengerName || 'без имени'} ${passengerUsername}\n` +
-        `Забронировано мест: ${seatsNum}\n` +
-        `Надёжность пассажира: ${noShowCount} неявок.\n\n` +
-        `Сумма брони: ${booking.amount_total || 0} ₽\n` +
-        `Ваш доход: ${booking.driver_amount || 0} ₽\n` +
-        `Комиссия сервиса: ${booking.app_fee || 0} ₽\n\n` +
-        'Свяжитесь с пассажиром в Telegram для подтверждения деталей.';
-
-      bot.telegram
-        .sendMessage(tripFull.driver_telegram_id, textForDriver)
-        .catch((err) =>
-          console.error('Ошибка отправки уведомления водителю:', err)
-        );
+    const known = bookingErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
     }
 
-    // Уведомление пассажиру
-    if (bookingPassenger && bookingPassenger.telegram_id && tripFull) {
-      const driverName = `${tripFull.driver_first_name || ''} ${tripFull.driver_last_name || ''}`.trim();
-      const driverUsername = tripFull.driver_username ? `@${tripFull.driver_username}` : '';
-
-      let carText = '';
-      if (tripFull.car_make || tripFull.car_color || tripFull.car_plate) {
-        const parts = [];
-        if (tripFull.car_color) parts.push(tripFull.car_color);
-        if (tripFull.car_make) parts.push(tripFull.car_make);
-        const main = parts.join(' ');
-        if (tripFull.car_plate) {
-          carText = `Авто: ${main} (${tripFull.car_plate})`;
-        } else if (main) {
-          carText = `Авто: ${main}`;
-        }
-      }
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
 
-      const textForPassenger =
-        'Ваша бронь в "попутчики":\n\n' +
-        `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
-        `Выезд: ${tripFull.departure_time}\n\n` +
-        `Водитель: ${driverName || 'без имени'} ${driverUsername}\n` +
-        `Забронировано мест: ${booking.seats_booked}\n` +
-        `К оплате водителю: ${booking.amount_total || 0} ₽\n` +
-        (carText ? carText + '\n\n' : '\n') +
-        'Свяжитесь с водителем в Telegram для уточнения деталей.';
+// Встать в лист ожидания на полную поездку
+app.post('/api/waitlist', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { trip_id, seats, from_stop_index, to_stop_index } = req.body;
 
-      bot.telegram
-        .sendMessage(bookingPassenger.telegram_id, textForPassenger)
-        .catch((err) =>
-          console.error('Ошибка отправки уведомления пассажиру:', err)
-        );
+    if (!trip_id || !seats) {
+      return res.status(400).json({ error: 'Не все данные переданы' });
     }
 
-    return res.json({ booking, trip });
-  } catch (err) {
-    console.error('Ошибка /api/bookings:', err);
+    const entry = await joinWaitlist({
+      tripId: trip_id,
+      passengerTelegramId: telegram_id,
+      seatsNeeded: seats,
+      fromStopIndex: from_stop_index,
+      toStopIndex: to_stop_index,
+    });
 
-    if (err.code === 'TRIP_NOT_FOUND') {
-      return res.status(400).json({ error: 'Поездка не найдена' });
+    return res.json({ entry });
+  } catch (err) {
+    const known = waitlistErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
     }
-    if (err.code === 'BAD_SEATS') {
-      return res.status(400).json({ error: 'Некорректное количество мест' });
+    console.error('Ошибка /api/waitlist:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Выйти из листа ожидания
+app.post('/api/waitlist/leave', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { entry_id } = req.body;
+
+    const passenger = await getUserByTelegramId(telegram_id);
+    if (!passenger) {
+      return res.status(400).json({ error: 'Пассажир не найден' });
     }
-    if (err.code === 'NOT_ENOUGH_SEATS') {
-      return res.status(400).json({ error: 'Недостаточно свободных мест' });
+
+    await leaveWaitlist({ entryId: entry_id, passengerId: passenger.id });
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.code === 'BAD_STATUS') {
+      return res.status(400).json({ error: err.message });
     }
-    if (err.code === 'PASSENGER_NOT_FOUND') {
+    console.error('Ошибка /api/waitlist/leave:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Ответ на предложение места из листа ожидания: { booking_id, accept }
+app.post('/api/waitlist/respond', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { booking_id, accept } = req.body;
+
+    const passenger = await getUserByTelegramId(telegram_id);
+    if (!passenger) {
       return res.status(400).json({ error: 'Пассажир не найден' });
     }
 
+    const booking = await handleWaitlistResponse(passenger, Number(booking_id), !!accept);
+    return res.json({ booking });
+  } catch (err) {
+    const known = waitlistErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
+    }
+    console.error('Ошибка /api/waitlist/respond:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Оценка поездки из мини-приложения: { booking_id, rating, text }
+app.post('/api/reviews', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { booking_id, rating, text } = req.body;
+
+    let review = await saveReview({
+      bookingId: booking_id,
+      authorTelegramId: telegram_id,
+      rating,
+    });
+    if (typeof text === 'string' && text.trim()) {
+      review = await setReviewText({ reviewId: review.id, authorTelegramId: telegram_id, text });
+    }
+
+    return res.json({ review });
+  } catch (err) {
+    const known = reviewErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
+    }
+    console.error('Ошибка /api/reviews:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
@@ -715,12 +4072,11 @@ app.post('/api/bookings', async (req, res) => {
 // Отмена бронирования пассажиром
 app.post('/api/bookings/cancel', async (req, res) => {
   try {
-    const { telegram_id, booking_id } = req.body;
+    const telegram_id = req.user.telegram_id;
+    const { booking_id } = req.body;
 
-    if (!telegram_id || !booking_id) {
-      return res
-        .status(400)
-        .json({ error: 'Не указаны telegram_id или booking_id' });
+    if (!booking_id) {
+      return res.status(400).json({ error: 'Не указан booking_id' });
     }
 
     const passenger = await getUserByTelegramId(telegram_id);
@@ -728,57 +4084,15 @@ app.post('/api/bookings/cancel', async (req, res) => {
       return res.status(400).json({ error: 'Пассажир не найден' });
     }
 
-    const bookingIdNum = Number(booking_id);
-    const row = await cancelBookingByPassenger({
-      bookingId: bookingIdNum,
-      passengerId: passenger.id,
-    });
-
-    // Уведомление водителю
-    const tripFull = await getTripWithDriver(row.trip_id);
-    if (tripFull && tripFull.driver_telegram_id) {
-      const passengerName = `${passenger.first_name || ''} ${passenger.last_name || ''}`.trim();
-      const passengerUsername = passenger.username ? `@${passenger.username}` : '';
-
-      const textForDriver =
-        'Отмена брони в "попутчики":\n\n' +
-        `Маршрут: ${tripFull.from_city} → ${tripFull.to_city}\n` +
-        `Выезд: ${tripFull.departure_time}\n\n` +
-        `Пассажир: ${passengerName || 'без имени'} ${passengerUsername}\n` +
-        `Отменено мест: ${row.seats_booked}\n\n` +
-        'Места возвращены в свободные.';
-
-      bot.telegram
-        .sendMessage(tripFull.driver_telegram_id, textForDriver)
-        .catch((err) =>
-          console.error(
-            'Ошибка отправки уведомления водителю об отмене:',
-            err
-          )
-        );
-    }
+    const row = await cancelPassengerBooking(passenger, booking_id);
 
     return res.json({ success: true, booking: row });
   } catch (err) {
     console.error('Ошибка /api/bookings/cancel:', err);
 
-    if (err.code === 'BOOKING_NOT_FOUND') {
-      return res.status(400).json({ error: 'Бронирование не найдено' });
-    }
-    if (err.code === 'FORBIDDEN') {
-      return res
-        .status(403)
-        .json({ error: 'Нет прав на отмену этого бронирования' });
-    }
-    if (err.code === 'BAD_STATUS') {
-      return res
-        .status(400)
-        .json({ error: 'Эту бронь уже нельзя отменить' });
-    }
-    if (err.code === 'TOO_LATE') {
-      return res
-        .status(400)
-        .json({ error: 'Нельзя отменить бронь после начала поездки.' });
+    const known = cancelBookingErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
     }
 
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
@@ -788,28 +4102,18 @@ app.post('/api/bookings/cancel', async (req, res) => {
 // Активные брони пассажира (до 10 минут после начала)
 app.get('/api/passenger/active-bookings', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const passenger = await getUserByTelegramId(telegram_id);
     if (!passenger) {
       return res.status(400).json({ error: 'Пассажир не найден' });
     }
 
-    const all = await getPassengerBookingsByTelegramId(telegram_id);
-    const now = Date.now();
-    const cutoff = now - 10 * 60 * 1000;
-
-    const active = (all || []).filter((b) => {
-      if (b.status !== 'booked') return false;
-      const ts = Date.parse(b.departure_time);
-      if (!Number.isFinite(ts)) return true;
-      return ts >= cutoff;
-    });
+    const active = await getActivePassengerBookings(telegram_id);
+    const waitlist = await getPassengerWaitlistByTelegramId(telegram_id);
+    const noShows = await getPassengerNoShowsByTelegramId(telegram_id);
 
-    return res.json({ bookings: active });
+    return res.json({ bookings: active, waitlist, no_shows: noShows });
   } catch (err) {
     console.error('Ошибка /api/passenger/active-bookings:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
@@ -819,12 +4123,11 @@ app.get('/api/passenger/active-bookings', async (req, res) => {
 // Отметка "не приехал"
 app.post('/api/bookings/no-show', async (req, res) => {
   try {
-    const { telegram_id, booking_id } = req.body;
+    const telegram_id = req.user.telegram_id;
+    const { booking_id } = req.body;
 
-    if (!telegram_id || !booking_id) {
-      return res
-        .status(400)
-        .json({ error: 'Не указаны telegram_id или booking_id' });
+    if (!booking_id) {
+      return res.status(400).json({ error: 'Не указан booking_id' });
     }
 
     const driver = await getUserByTelegramId(telegram_id);
@@ -833,12 +4136,16 @@ app.post('/api/bookings/no-show', async (req, res) => {
     }
 
     const bookingIdNum = Number(booking_id);
-    await markBookingNoShow({ bookingId: bookingIdNum, driverId: driver.id });
+    const booking = await markBookingNoShow({ bookingId: bookingIdNum, driverId: driver.id });
+    notifyPassengerNoShow(booking);
 
     return res.json({ success: true });
   } catch (err) {
     console.error('Ошибка /api/bookings/no-show:', err);
 
+    if (err.code === 'BAD_STATUS' || err.code === 'TOO_EARLY') {
+      return res.status(400).json({ error: noShowErrorText(err) });
+    }
     if (err.code === 'BOOKING_NOT_FOUND') {
       return res.status(400).json({ error: 'Бронирование не найдено' });
     }
@@ -852,13 +4159,74 @@ app.post('/api/bookings/no-show', async (req, res) => {
   }
 });
 
+// Пассажир оспаривает отметку "не приехал": { booking_id, reason }
+app.post('/api/bookings/no-show/dispute', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { booking_id, reason } = req.body;
+
+    if (!booking_id) {
+      return res.status(400).json({ error: 'Не указан booking_id' });
+    }
+
+    const dispute = await openNoShowDispute({
+      bookingId: Number(booking_id),
+      passengerTelegramId: telegram_id,
+      reason,
+    });
+
+    return res.json({ dispute });
+  } catch (err) {
+    const known = noShowErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
+    }
+    console.error('Ошибка /api/bookings/no-show/dispute:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Решение водителя по заявке на бронь (режим ручного подтверждения)
+app.post('/api/driver/bookings/decision', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { booking_id, decision } = req.body;
+
+    if (!booking_id || (decision !== 'approve' && decision !== 'decline')) {
+      return res.status(400).json({ error: 'Не указаны booking_id или решение' });
+    }
+
+    const driver = await getUserByTelegramId(telegram_id);
+    if (!driver) {
+      return res.status(400).json({ error: 'Водитель не найден' });
+    }
+
+    const booking = await handleBookingDecision(
+      driver,
+      Number(booking_id),
+      decision === 'approve'
+    );
+
+    return res.json({ success: true, booking });
+  } catch (err) {
+    console.error('Ошибка /api/driver/bookings/decision:', err);
+
+    const known = bookingDecisionErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
+    }
+
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
 // ---------------- API: ПЛАНЫ ПОЕЗДОК ПАССАЖИРОВ ----------------
 
 // Создание плана поездки пассажиром
 app.post('/api/passenger/plans', async (req, res) => {
   try {
+    const telegram_id = req.user.telegram_id;
     const {
-      telegram_id,
       from_city,
       to_city,
       desired_time,
@@ -867,10 +4235,6 @@ app.post('/api/passenger/plans', async (req, res) => {
       note,
     } = req.body;
 
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
-
     if (!from_city || !to_city || !desired_time || !seats_needed) {
       return res
         .status(400)
@@ -892,11 +4256,17 @@ app.post('/api/passenger/plans', async (req, res) => {
       return res.status(400).json({ error: 'Некорректная цена за место' });
     }
 
+    // Водитель плана ещё неизвестен: предварительная комиссия без правил для водителей,
+    // окончательная считается, когда план берёт водитель
     const amountTotal = priceNum * seatsNum;
-    const appFee = Math.round(amountTotal * APP_FEE_PERCENT);
-    const driverAmount = amountTotal - appFee;
+    const { appFee, driverAmount, feeRuleId } = await calcAppFee({
+      amountTotal,
+      driverId: null,
+      fromCity: from_city,
+      toCity: to_city,
+    });
 
-    await dbRun(
+    const ins = await dbRun(
       `
       INSERT INTO passenger_plans (
         passenger_id,
@@ -908,10 +4278,11 @@ app.post('/api/passenger/plans', async (req, res) => {
         amount_total,
         driver_amount,
         app_fee,
+        fee_rule_id,
         note,
         status,
         created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', datetime('now','localtime'))
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', datetime('now','localtime'))
     `,
       [
         passenger.id,
@@ -923,6 +4294,7 @@ app.post('/api/passenger/plans', async (req, res) => {
         amountTotal,
         driverAmount,
         appFee,
+        feeRuleId,
         note || null,
       ]
     );
@@ -937,8 +4309,13 @@ app.post('/api/passenger/plans', async (req, res) => {
         u.username AS passenger_username
       FROM passenger_plans p
       JOIN users u ON u.id = p.passenger_id
-      WHERE p.rowid = last_insert_rowid()
-    `
+      WHERE p.id = ?
+    `,
+      [ins.lastID]
+    );
+
+    onPlanCreated(plan).catch((err) =>
+      console.error('Ошибка подбора поездок для нового плана:', err)
     );
 
     return res.json({ plan });
@@ -951,10 +4328,7 @@ app.post('/api/passenger/plans', async (req, res) => {
 // Список планов пассажира
 app.get('/api/passenger/plans', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const passenger = await getUserByTelegramId(telegram_id);
     if (!passenger) {
@@ -992,12 +4366,11 @@ app.get('/api/passenger/plans', async (req, res) => {
 // Отмена плана пассажиром
 app.post('/api/passenger/plans/cancel', async (req, res) => {
   try {
-    const { telegram_id, plan_id } = req.body;
+    const telegram_id = req.user.telegram_id;
+    const { plan_id } = req.body;
 
-    if (!telegram_id || !plan_id) {
-      return res
-        .status(400)
-        .json({ error: 'Не указаны telegram_id или plan_id' });
+    if (!plan_id) {
+      return res.status(400).json({ error: 'Не указан plan_id' });
     }
 
     const passenger = await getUserByTelegramId(telegram_id);
@@ -1055,18 +4428,13 @@ app.post('/api/passenger/plans/cancel', async (req, res) => {
 // Список активных планов для водителей (свернутый блок)
 app.get('/api/driver/passenger-plans', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
     const driver = await getUserByTelegramId(telegram_id);
     if (!driver) {
       return res.status(400).json({ error: 'Водитель не найден' });
     }
 
-    const now = Date.now();
-
     const plans = await dbAll(
       `
       SELECT
@@ -1075,7 +4443,8 @@ app.get('/api/driver/passenger-plans', async (req, res) => {
         u.first_name AS passenger_first_name,
         u.last_name AS passenger_last_name,
         u.username AS passenger_username,
-        u.no_show_count AS passenger_no_show_count
+        u.no_show_count AS passenger_no_show_count,
+        ${ratingColumnsSql('u.id', 'passenger')}
       FROM passenger_plans p
       JOIN users u ON u.id = p.passenger_id
       WHERE p.status = 'active'
@@ -1083,31 +4452,60 @@ app.get('/api/driver/passenger-plans', async (req, res) => {
     `
     );
 
-    // Можно отфильтровать откровенно "просроченные" планы, если надо
-    const filtered = plans.filter((p) => {
-      const ts = Date.parse(p.desired_time);
-      if (!Number.isFinite(ts)) return true;
-      // показываем планы, которые ещё не начались или начались не более 1 часа назад
-      const cutoff = now - 60 * 60 * 1000;
-      return ts >= cutoff;
-    });
-
-    return res.json({ plans: filtered });
+    // Прошедшие планы переводит в expired фоновая задача runPassengerPlansExpiry
+    return res.json({ plans });
   } catch (err) {
     console.error('Ошибка /api/driver/passenger-plans:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
+// Один план по ссылке (plan_45). is_mine — план самого пользователя
+app.get('/api/plans/:id', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+
+    const plan = await dbGet(
+      `
+      SELECT
+        p.*,
+        u.telegram_id AS passenger_telegram_id,
+        u.first_name AS passenger_first_name,
+        u.last_name AS passenger_last_name,
+        u.username AS passenger_username,
+        u.no_show_count AS passenger_no_show_count,
+        ${ratingColumnsSql('u.id', 'passenger')}
+      FROM passenger_plans p
+      JOIN users u ON u.id = p.passenger_id
+      WHERE p.id = ?
+    `,
+      [Number(req.params.id)]
+    );
+    if (!plan) {
+      return res.status(404).json({ error: 'План не найден' });
+    }
+
+    const { passenger_telegram_id: passengerTelegramId, ...publicPlan } = plan;
+    return res.json({
+      plan: {
+        ...publicPlan,
+        is_mine: String(passengerTelegramId) === String(telegram_id),
+      },
+    });
+  } catch (err) {
+    console.error('Ошибка /api/plans/:id:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
 // Выбор плана водителем («вас заберёт водитель»)
 app.post('/api/driver/passenger-plans/take', async (req, res) => {
   try {
-    const { telegram_id, plan_id } = req.body;
+    const telegram_id = req.user.telegram_id;
+    const { plan_id } = req.body;
 
-    if (!telegram_id || !plan_id) {
-      return res
-        .status(400)
-         .json({ error: 'Не указаны telegram_id или plan_id' });
+    if (!plan_id) {
+      return res.status(400).json({ error: 'Не указан plan_id' });
     }
 
     const driver = await getUserByTelegramId(telegram_id);
@@ -1146,17 +4544,28 @@ app.post('/api/driver/passenger-plans/take', async (req, res) => {
         .json({ error: 'Слишком поздно брать эту поездку' });
     }
 
+    // Комиссия с учётом правил для этого водителя
+    const { appFee, driverAmount, feeRuleId } = await calcAppFee({
+      amountTotal: plan.amount_total,
+      driverId: driver.id,
+      fromCity: plan.from_city,
+      toCity: plan.to_city,
+    });
+
     // Пытаемся взять план
     const upd = await dbRun(
       `
       UPDATE passenger_plans
       SET status = 'taken',
           driver_id = ?,
-          taken_at = datetime('now','localtime')
+          taken_at = datetime('now','localtime'),
+          app_fee = ?,
+          driver_amount = ?,
+          fee_rule_id = ?
       WHERE id = ?
         AND status = 'active'
     `,
-      [driver.id, plan.id]
+      [driver.id, appFee, driverAmount, feeRuleId, plan.id]
     );
 
     if (!upd || upd.changes === 0) {
@@ -1189,22 +4598,23 @@ app.post('/api/driver/passenger-plans/take', async (req, res) => {
       [plan.id]
     );
 
+    // Ветка переписки по взятому плану
+    const planThreadId = await getOrCreateChatThread({ planId: plan.id })
+      .then((thread) => thread.id)
+      .catch((err) => {
+        console.error('Ошибка создания переписки по плану:', err);
+        return null;
+      });
+
     if (full && full.passenger_telegram_id) {
       const driverName = `${full.driver_first_name || ''} ${full.driver_last_name || ''}`.trim();
       const driverUsername = full.driver_username ? `@${full.driver_username}` : '';
 
-      let carText = '';
-      if (full.driver_car_make || full.driver_car_color || full.driver_car_plate) {
-        const parts = [];
-        if (full.driver_car_color) parts.push(full.driver_car_color);
-        if (full.driver_car_make) parts.push(full.driver_car_make);
-        const main = parts.join(' ');
-        if (full.driver_car_plate) {
-          carText = `Авто: ${main} (${full.driver_car_plate})`;
-        } else if (main) {
-          carText = `Авто: ${main}`;
-        }
-      }
+      const carText = formatCarText(
+        full.driver_car_make,
+        full.driver_car_color,
+        full.driver_car_plate
+      );
 
       const textForPassenger =
         'Вас заберёт водитель в "попутчики":\n\n' +
@@ -1212,13 +4622,12 @@ app.post('/api/driver/passenger-plans/take', async (req, res) => {
         `Желаемое время: ${full.desired_time}\n\n` +
         `Водитель: ${driverName || 'без имени'} ${driverUsername}\n` +
         (carText ? carText + '\n\n' : '\n') +
-        'Откройте мини-приложение "попутчики", чтобы договориться о деталях.';
+        'Чтобы договориться о деталях, ответьте на это сообщение — бот перешлёт его водителю, ' +
+        'не раскрывая ваш аккаунт.';
 
-      bot.telegram
-        .sendMessage(full.passenger_telegram_id, textForPassenger)
-        .catch((err) =>
-          console.error('Ошибка отправки уведомления пассажиру о плане:', err)
-        );
+      sendThreadMessage(full.passenger_telegram_id, textForPassenger, planThreadId).catch((err) =>
+        console.error('Ошибка отправки уведомления пассажиру о плане:', err)
+      );
     }
 
     // Можно дополнительно уведомить водителя, что план успешно взят
@@ -1232,13 +4641,11 @@ app.post('/api/driver/passenger-plans/take', async (req, res) => {
           `Маршрут: ${full.from_city} → ${full.to_city}\n` +
           `Желаемое время: ${full.desired_time}\n\n` +
           `Пассажир: ${passengerName || 'без имени'} ${passengerUsername}\n\n` +
-          'Свяжитесь с пассажиром в Telegram для уточнения деталей.';
+          'Чтобы написать пассажиру, ответьте на это сообщение — бот перешлёт его анонимно.';
 
-        bot.telegram
-          .sendMessage(full.driver_telegram_id, textForDriver)
-          .catch((err) =>
-            console.error('Ошибка отправки уведомления водителю о плане:', err)
-          );
+        sendThreadMessage(full.driver_telegram_id, textForDriver, planThreadId).catch((err) =>
+          console.error('Ошибка отправки уведомления водителю о плане:', err)
+        );
       }
     } catch (err) {
       console.error('Ошибка уведомления водителя о взятом плане:', err);
@@ -1246,25 +4653,225 @@ app.post('/api/driver/passenger-plans/take', async (req, res) => {
 
     return res.json({ success: true });
   } catch (err) {
-    console.error('Ошибка /api/driver/passenger-plans/take:', err);
+    console.error('Ошибка /api/driver/passenger-plans/take:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// ---------------- API: ПЕРЕПИСКА ----------------
+
+// Ветка в ответе API: без telegram-данных собеседника
+function publicChatThread(thread, telegramId) {
+  const role =
+    thread.role ||
+    (thread.driver_telegram_id === String(telegramId) ? 'driver' : 'passenger');
+  return {
+    id: thread.id,
+    booking_id: thread.booking_id,
+    plan_id: thread.plan_id,
+    role,
+    counterpart_name:
+      role === 'driver' ? thread.passenger_first_name : thread.driver_first_name,
+    from_city: thread.from_city,
+    to_city: thread.to_city,
+    trip_time: thread.trip_time,
+    closes_at: thread.closes_at,
+    is_open: !!thread.is_open,
+  };
+}
+
+// Мои переписки
+app.get('/api/chats', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+
+    const threads = await getUserChatThreadsByTelegramId(telegram_id);
+    return res.json({ threads: threads.map((t) => publicChatThread(t, telegram_id)) });
+  } catch (err) {
+    console.error('Ошибка /api/chats:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Открыть переписку по брони или взятому плану: { booking_id } или { plan_id }
+app.post('/api/chats/open', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { booking_id, plan_id } = req.body;
+
+    if (!booking_id && !plan_id) {
+      return res.status(400).json({ error: 'Не указан booking_id или plan_id' });
+    }
+
+    const created = await getOrCreateChatThread({
+      bookingId: booking_id ? Number(booking_id) : null,
+      planId: booking_id ? null : Number(plan_id),
+      telegramId: telegram_id,
+    });
+    const thread = await getChatThreadForUser(created.id, telegram_id);
+
+    return res.json({ thread: publicChatThread(thread, telegram_id) });
+  } catch (err) {
+    const known = chatErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
+    }
+    console.error('Ошибка /api/chats/open:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Сообщения переписки
+app.get('/api/chats/:id/messages', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+
+    const thread = await getChatThreadForUser(Number(req.params.id), telegram_id);
+    const myId = thread.role === 'driver' ? thread.driver_id : thread.passenger_id;
+    const messages = await getChatMessages(thread.id);
+
+    return res.json({
+      thread: publicChatThread(thread, telegram_id),
+      messages: messages.map((m) => ({
+        id: m.id,
+        text: m.text,
+        created_at: m.created_at,
+        mine: m.sender_id === myId,
+      })),
+    });
+  } catch (err) {
+    const known = chatErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
+    }
+    console.error('Ошибка /api/chats/:id/messages (GET):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Написать в переписку из мини-приложения: { text }
+app.post('/api/chats/:id/messages', async (req, res) => {
+  try {
+    const message = await relayChatMessage({
+      threadId: Number(req.params.id),
+      senderTelegramId: req.user.telegram_id,
+      text: req.body.text,
+    });
+
+    return res.json({
+      message: { id: message.id, text: message.text, created_at: message.created_at, mine: true },
+    });
+  } catch (err) {
+    const known = chatErrorText(err);
+    if (known) {
+      return res.status(err.code === 'FORBIDDEN' ? 403 : 400).json({ error: known });
+    }
+    console.error('Ошибка /api/chats/:id/messages (POST):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// ---------------- API: ПОДПИСКИ НА МАРШРУТЫ ----------------
+
+// Подписки пользователя (обоих типов)
+app.get('/api/subscriptions', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+
+    const subscriptions = await getUserRouteSubscriptionsByTelegramId(telegram_id);
+    return res.json({ subscriptions });
+  } catch (err) {
+    console.error('Ошибка /api/subscriptions (GET):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Новая подписка: { kind: 'trips' | 'plans', from_city, to_city,
+// days_of_week, time_from, time_to, max_price, min_price }
+app.post('/api/subscriptions', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const {
+      kind,
+      from_city,
+      to_city,
+      days_of_week,
+      time_from,
+      time_to,
+      max_price,
+      min_price,
+    } = req.body;
+
+    const subscription = await createRouteSubscription({
+      telegramId: telegram_id,
+      kind,
+      fromCity: from_city,
+      toCity: to_city,
+      daysOfWeek: days_of_week,
+      timeFrom: time_from,
+      timeTo: time_to,
+      maxPrice: max_price,
+      minPrice: min_price,
+    });
+
+    return res.json({ subscription });
+  } catch (err) {
+    if (
+      err.code === 'BAD_SUBSCRIPTION' ||
+      err.code === 'TOO_MANY_SUBSCRIPTIONS' ||
+      err.code === 'USER_NOT_FOUND'
+    ) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Ошибка /api/subscriptions (POST):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Удаление подписки: { subscription_id }
+app.post('/api/subscriptions/delete', async (req, res) => {
+  try {
+    const telegram_id = req.user.telegram_id;
+    const { subscription_id } = req.body;
+
+    await deleteRouteSubscription({ subscriptionId: subscription_id, telegramId: telegram_id });
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.code === 'SUBSCRIPTION_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === 'FORBIDDEN') {
+      return res.status(403).json({ error: err.message });
+    }
+    console.error('Ошибка /api/subscriptions/delete:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
-// ---------------- API: АДМИН ----------------
+// ---------------- API: НАСТРОЙКИ ПОЛЬЗОВАТЕЛЯ ----------------
 
-// Настройки для админа (платный режим, реквизиты)
-app.get('/api/admin/settings', async (req, res) => {
+// Напоминания о поездках: { enabled }
+app.post('/api/profile/reminders', async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const telegram_id = req.user.telegram_id;
 
-    if (String(telegram_id) !== String(ADMIN_TELEGRAM_ID)) {
-      return res.status(403).json({ error: 'Нет доступа' });
+    const user = await setUserRemindersByTelegramId(telegram_id, !!req.body.enabled);
+    if (!user) {
+      return res.status(400).json({ error: 'Пользователь не найден' });
     }
 
+    return res.json({ reminders_enabled: !!user.reminders_enabled });
+  } catch (err) {
+    console.error('Ошибка /api/profile/reminders:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// ---------------- API: АДМИН ----------------
+
+// Настройки для админа (платный режим, реквизиты, лимит долга)
+app.get('/api/admin/settings', requireAdmin, async (req, res) => {
+  try {
     const settings = await getAppSettings();
     return res.json({ settings });
   } catch (err) {
@@ -1273,22 +4880,24 @@ app.get('/api/admin/settings', async (req, res) => {
   }
 });
 
-app.post('/api/admin/settings', async (req, res) => {
+app.post('/api/admin/settings', requireAdmin, async (req, res) => {
   try {
-    const { telegram_id, monetization_enabled, payment_details } = req.body;
-
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
-
-    if (String(telegram_id) !== String(ADMIN_TELEGRAM_ID)) {
-      return res.status(403).json({ error: 'Нет доступа' });
+    const { monetization_enabled, payment_details, debt_limit } = req.body;
+
+    if (
+      debt_limit !== undefined &&
+      debt_limit !== null &&
+      debt_limit !== '' &&
+      !(Number(debt_limit) >= 0)
+    ) {
+      return res.status(400).json({ error: 'Некорректный лимит долга' });
     }
 
     const updated = await updateAppSettings({
       monetizationEnabled:
         monetization_enabled === null ? undefined : !!monetization_enabled,
       paymentDetails: payment_details || '',
+      debtLimit: debt_limit,
     });
 
     return res.json({ settings: updated });
@@ -1299,17 +4908,8 @@ app.post('/api/admin/settings', async (req, res) => {
 });
 
 // Статистика сервиса
-app.get('/api/admin/stats', async (req, res) => {
+app.get('/api/admin/stats', requireAdmin, async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
-
-    if (String(telegram_id) !== String(ADMIN_TELEGRAM_ID)) {
-      return res.status(403).json({ error: 'Нет доступа' });
-    }
-
     const stats = await getAdminStats();
     return res.json({ stats });
   } catch (err) {
@@ -1318,41 +4918,187 @@ app.get('/api/admin/stats', async (req, res) => {
   }
 });
 
-// Водители за день + чеки
-app.get('/api/admin/daily-drivers', async (req, res) => {
+// Водители за день + последний чек
+app.get('/api/admin/daily-drivers', requireAdmin, async (req, res) => {
   try {
-    const telegram_id = req.query.telegram_id;
     const date = req.query.date; // 'YYYY-MM-DD' или undefined
 
-    if (!telegram_id) {
-      return res.status(400).json({ error: 'Не указан telegram_id' });
-    }
+    const drivers = await getAdminDailyDrivers(date);
+    return res.json({ drivers });
+  } catch (err) {
+    console.error('Ошибка /api/admin/daily-drivers:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
 
-    if (String(telegram_id) !== String(ADMIN_TELEGRAM_ID)) {
-      return res.status(403).json({ error: 'Нет доступа' });
+// Очередь чеков об оплате: ?status=pending (по умолчанию) | approved | rejected | all
+app.get('/api/admin/payment-proofs', requireAdmin, async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'rejected', 'all'].includes(req.query.status)
+      ? req.query.status
+      : 'pending';
+
+    const proofs = await getPaymentProofs(status);
+    return res.json({ proofs });
+  } catch (err) {
+    console.error('Ошибка /api/admin/payment-proofs:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Решение по чеку: { decision: 'approve' | 'reject', amount, comment }
+app.post('/api/admin/payment-proofs/:id/review', requireAdmin, async (req, res) => {
+  try {
+    const { decision, amount, comment } = req.body;
+
+    const proof = await reviewPaymentProof({
+      proofId: Number(req.params.id),
+      decision,
+      amount,
+      comment,
+    });
+    notifyDriverProofReviewed(proof);
+
+    return res.json({ proof });
+  } catch (err) {
+    const known = proofErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
     }
+    console.error('Ошибка /api/admin/payment-proofs/:id/review:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
 
-    const drivers = await getAdminDailyDrivers(date);
+// Долги водителей по комиссии (леджер)
+app.get('/api/admin/driver-balances', requireAdmin, async (req, res) => {
+  try {
+    const drivers = await getDriverBalances();
     return res.json({ drivers });
   } catch (err) {
-    console.error('Ошибка /api/admin/daily-drivers:', err);
+    console.error('Ошибка /api/admin/driver-balances:', err);
     return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
   }
 });
 
-// Блокировка / разблокировка водителя админом
-app.post('/api/admin/block-driver', async (req, res) => {
+// Оплата, подтверждённая админом вручную: { amount, note }
+app.post('/api/admin/driver-balances/:telegramId/credit', requireAdmin, async (req, res) => {
   try {
-    const { telegram_id, driver_telegram_id, block } = req.body;
+    const { amount, note } = req.body;
 
-    if (!telegram_id || !driver_telegram_id) {
-      return res
-        .status(400)
-        .json({ error: 'Не указаны telegram_id или driver_telegram_id' });
+    const entry = await addDriverLedgerCredit({
+      driverTelegramId: req.params.telegramId,
+      amount,
+      note,
+    });
+
+    return res.json({ entry });
+  } catch (err) {
+    if (err.code === 'BAD_AMOUNT' || err.code === 'USER_NOT_FOUND') {
+      return res.status(400).json({ error: err.message });
     }
+    console.error('Ошибка /api/admin/driver-balances/:telegramId/credit:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
 
-    if (String(telegram_id) !== String(ADMIN_TELEGRAM_ID)) {
-      return res.status(403).json({ error: 'Нет доступа' });
+function feeRuleErrorText(err) {
+  if (err.code === 'FEE_RULE_NOT_FOUND') return 'Правило не найдено';
+  if (err.code === 'USER_NOT_FOUND') return 'Водитель не найден';
+  if (
+    ['BAD_PERCENT', 'BAD_MIN_FEE', 'BAD_PERIOD', 'EMPTY_RULE', 'DEFAULT_RULE'].includes(err.code)
+  ) {
+    return err.message;
+  }
+  return null;
+}
+
+// Правила комиссии: базовая + исключения по маршруту, водителю и периоду
+app.get('/api/admin/fee-rules', requireAdmin, async (req, res) => {
+  try {
+    const rules = await getFeeRules();
+    return res.json({ rules });
+  } catch (err) {
+    console.error('Ошибка /api/admin/fee-rules (GET):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Базовая комиссия: { fee_percent, min_fee }
+app.post('/api/admin/fee-rules/default', requireAdmin, async (req, res) => {
+  try {
+    const { fee_percent, min_fee } = req.body;
+
+    const rule = await setDefaultFeeRule({ percent: fee_percent, minFee: min_fee });
+    return res.json({ rule });
+  } catch (err) {
+    const known = feeRuleErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
+    }
+    console.error('Ошибка /api/admin/fee-rules/default:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Исключение: { name, fee_percent, min_fee, from_city, to_city, driver_telegram_id, starts_at, ends_at }
+app.post('/api/admin/fee-rules', requireAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      fee_percent,
+      min_fee,
+      from_city,
+      to_city,
+      driver_telegram_id,
+      starts_at,
+      ends_at,
+    } = req.body;
+
+    const rule = await createFeeRule({
+      name,
+      percent: fee_percent,
+      minFee: min_fee,
+      fromCity: from_city,
+      toCity: to_city,
+      driverTelegramId: driver_telegram_id,
+      startsAt: starts_at,
+      endsAt: ends_at,
+    });
+
+    return res.json({ rule });
+  } catch (err) {
+    const known = feeRuleErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
+    }
+    console.error('Ошибка /api/admin/fee-rules (POST):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Выключение правила (уже посчитанные брони сохраняют ссылку на него)
+app.post('/api/admin/fee-rules/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await deactivateFeeRule(Number(req.params.id));
+    return res.json({ success: true });
+  } catch (err) {
+    const known = feeRuleErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
+    }
+    console.error('Ошибка /api/admin/fee-rules/:id/delete:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Блокировка / разблокировка водителя админом
+app.post('/api/admin/block-driver', requireAdmin, async (req, res) => {
+  try {
+    const { driver_telegram_id, block } = req.body;
+
+    if (!driver_telegram_id) {
+      return res.status(400).json({ error: 'Не указан driver_telegram_id' });
     }
 
     await setUserBlockedByTelegramId(driver_telegram_id, !!block);
@@ -1364,16 +5110,357 @@ app.post('/api/admin/block-driver', async (req, res) => {
   }
 });
 
+// Споры по отметкам "не приехал"
+app.get('/api/admin/no-show-disputes', requireAdmin, async (req, res) => {
+  try {
+    const status = ['open', 'upheld', 'reversed', 'all'].includes(req.query.status)
+      ? req.query.status
+      : 'open';
+
+    const disputes = await getNoShowDisputes(status);
+    return res.json({ disputes });
+  } catch (err) {
+    console.error('Ошибка /api/admin/no-show-disputes:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Решение по спору: { decision: 'uphold' | 'reverse', comment }
+app.post('/api/admin/no-show-disputes/:id/resolve', requireAdmin, async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+
+    const dispute = await resolveNoShowDispute({
+      disputeId: Number(req.params.id),
+      decision,
+      comment,
+    });
+    notifyNoShowDisputeResolved(dispute);
+
+    return res.json({ dispute });
+  } catch (err) {
+    const known = noShowErrorText(err);
+    if (known) {
+      return res.status(400).json({ error: known });
+    }
+    console.error('Ошибка /api/admin/no-show-disputes/:id/resolve:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Недоставленные уведомления (ошибки и заблокировавшие бота пользователи)
+app.get('/api/admin/notifications/failed', requireAdmin, async (req, res) => {
+  try {
+    const notifications = await getFailedNotifications();
+    return res.json({ notifications });
+  } catch (err) {
+    console.error('Ошибка /api/admin/notifications/failed:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Повторить отправку недоставленного уведомления
+app.post('/api/admin/notifications/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const requeued = await requeueNotification(Number(req.params.id));
+    if (!requeued) {
+      return res.status(400).json({ error: 'Уведомление не найдено или уже в очереди' });
+    }
+
+    runScheduledJob(notificationsJob);
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Ошибка /api/admin/notifications/:id/retry:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Чаты для автопостинга новых поездок
+app.get('/api/admin/autopost-channels', requireAdmin, async (req, res) => {
+  try {
+    const channels = await getAutopostChannels();
+    return res.json({ channels });
+  } catch (err) {
+    console.error('Ошибка /api/admin/autopost-channels (GET):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Новый чат: { chat_id, from_city, to_city }. Сразу проверяем, что бот видит чат
+app.post('/api/admin/autopost-channels', requireAdmin, async (req, res) => {
+  try {
+    const { chat_id, from_city, to_city } = req.body;
+
+    let chat;
+    try {
+      chat = await bot.telegram.getChat(String(chat_id || '').trim());
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Бот не видит этот чат: добавьте его в группу или администратором канала',
+      });
+    }
+
+    const channel = await createAutopostChannel({
+      chatId: chat && chat.id ? chat.id : chat_id,
+      title: chat && (chat.title || chat.username),
+      fromCity: from_city,
+      toCity: to_city,
+    });
+    return res.json({ channel });
+  } catch (err) {
+    if (err.code === 'BAD_CHANNEL') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Ошибка /api/admin/autopost-channels (POST):', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// Снова публиковать в чат, отключённый после 403: сначала проверяем, что бот его видит
+app.post('/api/admin/autopost-channels/:id/enable', requireAdmin, async (req, res) => {
+  try {
+    const channel = (await getAutopostChannels()).find((c) => c.id === Number(req.params.id));
+    if (!channel) {
+      return res.status(404).json({ error: 'Чат для автопостинга не найден' });
+    }
+
+    try {
+      await bot.telegram.getChat(channel.chat_id);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Бот по-прежнему не видит этот чат: добавьте его в группу или администратором канала',
+      });
+    }
+
+    const updated = await enableAutopostChannel(channel.id);
+    return res.json({ channel: updated });
+  } catch (err) {
+    if (err.code === 'CHANNEL_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error('Ошибка /api/admin/autopost-channels/:id/enable:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+app.post('/api/admin/autopost-channels/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await deleteAutopostChannel(req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    if (err.code === 'CHANNEL_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error('Ошибка /api/admin/autopost-channels/:id/delete:', err);
+    return res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+  }
+});
+
+// ---------------- ПЛАНИРОВЩИК ----------------
+
+// Простой планировщик внутри процесса: каждая задача запускается по таймеру,
+// два запуска одной задачи не пересекаются. Задача возвращает число обработанных
+// записей — если оно больше нуля, пишем его в лог.
+const scheduledJobs = [];
+
+function scheduleJob(name, intervalMs, fn) {
+  const job = { name, intervalMs, fn, running: false, timer: null };
+  scheduledJobs.push(job);
+  return job;
+}
+
+async function runScheduledJob(job) {
+  if (job.running) return;
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const processed = await job.fn();
+    if (processed) {
+      console.log(
+        `[планировщик] ${job.name}: обработано ${processed} (${Date.now() - startedAt} мс)`
+      );
+    }
+  } catch (err) {
+    console.error(`[планировщик] ${job.name}: ошибка`, err);
+  } finally {
+    job.running = false;
+  }
+}
+
+function startScheduler() {
+  scheduledJobs.forEach((job) => {
+    console.log(`[планировщик] ${job.name}: каждые ${Math.round(job.intervalMs / 1000)} с`);
+    runScheduledJob(job);
+    job.timer = setInterval(() => runScheduledJob(job), job.intervalMs);
+  });
+}
+
+function stopScheduler() {
+  scheduledJobs.forEach((job) => clearInterval(job.timer));
+}
+
+// ---------------- ФОНОВЫЕ ЗАДАЧИ ----------------
+
+// Заявки, на которые водитель не ответил вовремя: освобождаем места и сообщаем обоим
+async function runPendingBookingsExpiry() {
+  const expired = await expirePendingBookings();
+
+  for (const b of expired) {
+    const route = `${b.from_city} → ${b.to_city}`;
+
+    queueMessage(
+      b.passenger_telegram_id,
+      'Заявка на бронь в "попутчики" истекла:\n\n' +
+        `Маршрут: ${route}\n` +
+        `Выезд: ${b.departure_time}\n\n` +
+        'Водитель не ответил вовремя, места освобождены. Попробуйте выбрать другую поездку.'
+    ).catch((err) => console.error('Ошибка уведомления пассажира об истёкшей заявке:', err));
+
+    queueMessage(
+      b.driver_telegram_id,
+      `Заявка на ${b.seats_booked} мест по поездке ${route} (${b.departure_time}) истекла без ответа. ` +
+        'Места вернулись в свободные.'
+    ).catch((err) => console.error('Ошибка уведомления водителя об истёкшей заявке:', err));
+  }
+
+  new Set(expired.map((b) => b.trip_id)).forEach((tripId) => offerFreedSeats(tripId));
+
+  return expired.length;
+}
+
+// Предложения из листа ожидания без ответа: места переходят следующему в очереди
+async function runWaitlistOffersExpiry() {
+  const expired = await expireWaitlistOffers();
+
+  for (const b of expired) {
+    queueMessage(
+      b.passenger_telegram_id,
+      'Предложение места в "попутчики" истекло:\n\n' +
+        `Маршрут: ${b.from_city} → ${b.to_city}\n` +
+        `Выезд: ${b.departure_time}\n\n` +
+        'Вы не ответили вовремя, места переданы следующему в листе ожидания.'
+    ).catch((err) => console.error('Ошибка уведомления об истёкшем предложении:', err));
+  }
+
+  for (const tripId of new Set(expired.map((b) => b.trip_id))) {
+    await offerFreedSeats(tripId);
+  }
+
+  return expired.length;
+}
+
+// Регулярные поездки: досоздаём поездки на окно вперёд
+async function runSeriesGeneration() {
+  const created = await generateSeriesTrips();
+  await onTripsPublished(created);
+  return created.length;
+}
+
+// Планы пассажиров, время которых прошло, а водитель так и не нашёлся.
+// Статус меняется условным UPDATE, поэтому при повторном запуске
+// уведомление не уйдёт второй раз.
+async function runPassengerPlansExpiry() {
+  const plans = await dbAll(
+    `
+      SELECT p.*, u.telegram_id AS passenger_telegram_id
+      FROM passenger_plans p
+      JOIN users u ON u.id = p.passenger_id
+      WHERE p.status = 'active'
+        AND datetime(p.desired_time) <= datetime('now','localtime')
+    `
+  );
+
+  let expiredCount = 0;
+  for (const plan of plans) {
+    const upd = await dbRun(
+      `UPDATE passenger_plans SET status = 'expired' WHERE id = ? AND status = 'active'`,
+      [plan.id]
+    );
+    if (!upd.changes) continue;
+    expiredCount += 1;
+
+    queueMessage(
+      plan.passenger_telegram_id,
+      'Ваш запрос на поездку в "попутчики" истёк:\n\n' +
+        `Маршрут: ${plan.from_city} → ${plan.to_city}\n` +
+        `Желаемое время: ${plan.desired_time}\n\n` +
+        'К сожалению, водитель не нашёлся. Можно создать новый запрос или поискать поездки в мини-приложении.'
+    ).catch((err) => console.error('Ошибка уведомления пассажира об истёкшем плане:', err));
+  }
+
+  return expiredCount;
+}
+
+// Напоминания о выезде: вечером накануне и незадолго до поездки
+async function runDepartureReminders() {
+  const due = await getTripsDueForReminder();
+
+  let sent = 0;
+  for (const trip of due) {
+    sent += await sendTripReminders(trip);
+  }
+  return sent;
+}
+
+// Просим оценить поездку. markReviewPrompted срабатывает один раз на бронь,
+// поэтому повторный запуск не пришлёт просьбу второй раз.
+async function runReviewPrompts() {
+  const due = await getBookingsDueForReviewPrompt();
+
+  let sent = 0;
+  for (const b of due) {
+    if (!(await markReviewPrompted(b.id))) continue;
+    sendReviewPrompts(b);
+    sent += 1;
+  }
+
+  return sent;
+}
+
+// Поездки, которые уже состоялись, переводим в completed
+async function runTripsCompletion() {
+  const completed = await completeDepartedTrips();
+  return completed.length;
+}
+
+const notificationsJob = scheduleJob('рассылка уведомлений', 10 * 1000, deliverPendingNotifications);
+scheduleJob('очистка доставленных уведомлений', 24 * 60 * 60 * 1000, () => purgeSentNotifications(30));
+scheduleJob('истёкшие заявки на бронь', 60 * 1000, runPendingBookingsExpiry);
+scheduleJob('истёкшие предложения из листа ожидания', 60 * 1000, runWaitlistOffersExpiry);
+scheduleJob('поездки по расписаниям', 60 * 60 * 1000, runSeriesGeneration);
+scheduleJob('истёкшие планы пассажиров', 5 * 60 * 1000, runPassengerPlansExpiry);
+scheduleJob('завершение поездок', 5 * 60 * 1000, runTripsCompletion);
+scheduleJob('напоминания о поездках', 5 * 60 * 1000, runDepartureReminders);
+scheduleJob('просьбы оценить поездку', 10 * 60 * 1000, runReviewPrompts);
+scheduleJob('закрытие переписок', 30 * 60 * 1000, closeExpiredChatThreads);
+scheduleJob('обновление автопостов', 60 * 1000, () => syncTripAutoposts());
+scheduleJob('сверка леджера комиссии', 10 * 60 * 1000, () => syncDriverLedger());
+scheduleJob('удаление старых чеков', 24 * 60 * 60 * 1000, purgeOldReceipts);
+
 // ---------------- ЗАПУСК ----------------
 
 bot.launch().then(() => {
   console.log('Бот запущен');
 });
 
+// Меню команд в клиентах Telegram (для тех, у кого не открывается мини-приложение)
+bot.telegram
+  .setMyCommands(BOT_COMMANDS)
+  .catch((err) => console.error('Ошибка установки списка команд бота:', err));
+
 app.listen(PORT, () => {
   console.log(`HTTP-сервер запущен на порту ${PORT}`);
 });
 
+startScheduler();
+
 // Для корректной остановки бота
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+process.once('SIGINT', () => {
+  stopScheduler();
+  bot.stop('SIGINT');
+});
+process.once('SIGTERM', () => {
+  stopScheduler();
+  bot.stop('SIGTERM');
+});
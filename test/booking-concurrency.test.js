@@ -0,0 +1,176 @@
+// Параллельные брони на одну поездку: мест не продаётся больше, чем есть
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poputchiki-booking-'));
+process.env.SQLITE_PATH = path.join(tmpDir, 'test.sqlite');
+
+const {
+  db,
+  upsertUserFromTelegram,
+  createTrip,
+  createBooking,
+} = require('../db');
+
+const PASSENGERS = 30;
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Схема создаётся в db.serialize при подключении — ждём, пока она выполнится
+function schemaReady() {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.get('SELECT 1', (err) => (err ? reject(err) : resolve()));
+    });
+  });
+}
+
+let driver;
+const passengers = [];
+
+test.before(async () => {
+  await schemaReady();
+  driver = await upsertUserFromTelegram({ id: 1000, first_name: 'Водитель' });
+  for (let i = 1; i <= PASSENGERS; i += 1) {
+    passengers.push(await upsertUserFromTelegram({ id: 2000 + i, first_name: `Пассажир ${i}` }));
+  }
+});
+
+test.after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Все брони разом, результат — выполненные и отклонённые
+async function bookAll(tripId, segments) {
+  const results = await Promise.allSettled(
+    segments.map((segment, i) =>
+      createBooking({
+        tripId,
+        passengerTelegramId: passengers[i].telegram_id,
+        seatsBooked: 1,
+        fromStopIndex: segment.from,
+        toStopIndex: segment.to,
+      })
+    )
+  );
+
+  const fulfilled = results.filter((r) => r.status === 'fulfilled').map((r) => r.value);
+  const rejected = results.filter((r) => r.status === 'rejected').map((r) => r.reason);
+  return { fulfilled, rejected };
+}
+
+function assertAllNotEnoughSeats(rejected) {
+  rejected.forEach((err) => assert.equal(err.code, 'NOT_ENOUGH_SEATS', err.message));
+}
+
+test('обычная поездка: 30 параллельных броней на 3 места', async () => {
+  const trip = await createTrip({
+    driverId: driver.id,
+    fromCity: 'Москва',
+    toCity: 'Тверь',
+    departureTime: '2099-06-01T08:00',
+    seatsTotal: 3,
+    pricePerSeat: 500,
+  });
+
+  const segments = Array.from({ length: PASSENGERS }, () => ({}));
+  const { fulfilled, rejected } = await bookAll(trip.id, segments);
+
+  assert.equal(fulfilled.length, 3);
+  assert.equal(rejected.length, PASSENGERS - 3);
+  assertAllNotEnoughSeats(rejected);
+
+  const [row] = await dbAll(
+    `
+      SELECT
+        t.seats_available,
+        (SELECT COALESCE(SUM(seats_booked), 0) FROM bookings WHERE trip_id = t.id) AS seats_booked
+      FROM trips t
+      WHERE t.id = ?
+    `,
+    [trip.id]
+  );
+  assert.equal(row.seats_available, 0);
+  assert.equal(row.seats_booked, 3);
+});
+
+test('поездка с остановкой: места делятся по отрезкам и не продаются сверх мест', async () => {
+  // Москва → Тверь → Санкт-Петербург, 2 места
+  const trip = await createTrip({
+    driverId: driver.id,
+    fromCity: 'Москва',
+    toCity: 'Санкт-Петербург',
+    departureTime: '2099-06-02T08:00',
+    seatsTotal: 2,
+    pricePerSeat: 1500,
+    stops: [{ city: 'Тверь', departure_time: '2099-06-02T10:30', price_from_start: 500 }],
+  });
+
+  // Параллельно: первый отрезок, второй отрезок и весь маршрут вперемешку
+  const segments = Array.from({ length: PASSENGERS }, (_, i) => {
+    if (i % 3 === 0) return { from: 0, to: 1 };
+    if (i % 3 === 1) return { from: 1, to: 2 };
+    return { from: 0, to: 2 };
+  });
+  const { fulfilled, rejected } = await bookAll(trip.id, segments);
+
+  assertAllNotEnoughSeats(rejected);
+  assert.ok(fulfilled.length >= 2 && fulfilled.length <= 4, `броней: ${fulfilled.length}`);
+
+  // Загрузка каждого отрезка — не больше мест в машине
+  const bookings = await dbAll(
+    `SELECT from_stop_index, to_stop_index, seats_booked FROM bookings WHERE trip_id = ?`,
+    [trip.id]
+  );
+  assert.equal(bookings.length, fulfilled.length);
+  const loads = [0, 1].map((leg) =>
+    bookings
+      .filter((b) => b.from_stop_index <= leg && b.to_stop_index > leg)
+      .reduce((sum, b) => sum + b.seats_booked, 0)
+  );
+  loads.forEach((load, leg) => assert.ok(load <= 2, `отрезок ${leg}: занято ${load} из 2`));
+
+  const [fresh] = await dbAll(`SELECT seats_available FROM trips WHERE id = ?`, [trip.id]);
+  assert.equal(fresh.seats_available, 2 - Math.max(...loads));
+});
+
+test('поездка с остановкой: непересекающиеся отрезки продают одно место дважды', async () => {
+  const trip = await createTrip({
+    driverId: driver.id,
+    fromCity: 'Казань',
+    toCity: 'Уфа',
+    departureTime: '2099-06-03T08:00',
+    seatsTotal: 1,
+    pricePerSeat: 1200,
+    stops: [{ city: 'Набережные Челны', departure_time: '2099-06-03T11:00', price_from_start: 600 }],
+  });
+
+  const segments = Array.from({ length: PASSENGERS }, (_, i) =>
+    i % 2 === 0 ? { from: 0, to: 1 } : { from: 1, to: 2 }
+  );
+  const { fulfilled, rejected } = await bookAll(trip.id, segments);
+
+  assert.equal(fulfilled.length, 2);
+  assertAllNotEnoughSeats(rejected);
+  const legs = fulfilled.map((r) => r.booking.from_stop_index).sort();
+  assert.deepEqual(legs, [0, 1]);
+
+  await assert.rejects(
+    createBooking({
+      tripId: trip.id,
+      passengerTelegramId: passengers[0].telegram_id,
+      seatsBooked: 1,
+      fromStopIndex: 0,
+      toStopIndex: 2,
+    }),
+    { code: 'NOT_ENOUGH_SEATS' }
+  );
+});
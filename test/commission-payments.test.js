@@ -0,0 +1,179 @@
+// Оплата комиссии через Telegram Payments против заглушки Bot API:
+// счёт, pre_checkout_query, successful_payment и снятие запрета на поездки
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startTelegramStub } = require('./support/telegram-stub');
+const { startApp } = require('./support/app');
+
+const ADMIN = { id: 900, first_name: 'Админ' };
+const DRIVER = { id: 901, first_name: 'Водитель' };
+const PASSENGER = { id: 902, first_name: 'Пассажир' };
+
+let stub;
+let app;
+
+test.before(async () => {
+  stub = await startTelegramStub();
+  app = await startApp({
+    apiRoot: stub.apiRoot,
+    env: {
+      ADMIN_TELEGRAM_ID: String(ADMIN.id),
+      PAYMENT_PROVIDER_TOKEN: 'provider-test-token',
+      PAYMENT_CURRENCY: 'RUB',
+      APP_FEE_PERCENT: '0.10',
+    },
+  });
+  // бот начал забирать апдейты
+  await stub.waitForCall('getUpdates', { timeoutMs: 10000 });
+});
+
+test.after(async () => {
+  if (app) app.stop();
+  if (stub) await stub.close();
+});
+
+function newTrip(user, departureTime) {
+  return app.request(user, 'POST', '/api/trips', {
+    from_city: 'Казань',
+    to_city: 'Самара',
+    departure_time: departureTime,
+    seats_total: 3,
+    price_per_seat: 1000,
+  });
+}
+
+// pre_checkout_query от пользователя; возвращает ответ бота answerPreCheckoutQuery
+async function preCheckout(from, payload, totalAmount) {
+  const mark = stub.calls.length;
+  const queryId = `q${mark}`;
+  stub.pushUpdate({
+    pre_checkout_query: {
+      id: queryId,
+      from: { ...from, is_bot: false },
+      currency: 'RUB',
+      total_amount: totalAmount,
+      invoice_payload: payload,
+    },
+  });
+  const call = await stub.waitForCall('answerPreCheckoutQuery', {
+    from: mark,
+    match: (p) => p.pre_checkout_query_id === queryId,
+  });
+  return call.payload;
+}
+
+// Сообщение successful_payment в личном чате водителя; возвращает ответ бота
+async function successfulPayment(payload, totalAmount, chargeId) {
+  const mark = stub.calls.length;
+  stub.pushUpdate({
+    message: {
+      message_id: mark + 1,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: DRIVER.id, type: 'private', first_name: DRIVER.first_name },
+      from: { ...DRIVER, is_bot: false },
+      successful_payment: {
+        currency: 'RUB',
+        total_amount: totalAmount,
+        invoice_payload: payload,
+        telegram_payment_charge_id: chargeId,
+        provider_payment_charge_id: `provider-${chargeId}`,
+      },
+    },
+  });
+  const call = await stub.waitForCall('sendMessage', {
+    from: mark,
+    match: (p) => String(p.chat_id) === String(DRIVER.id) && /Оплата/.test(p.text),
+  });
+  return call.payload;
+}
+
+async function driverBalance() {
+  const res = await app.request(DRIVER, 'GET', '/api/driver/daily-stats');
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+test('долг по комиссии оплачивается счётом в Telegram', async (t) => {
+  for (const user of [ADMIN, DRIVER, PASSENGER]) {
+    const res = await app.request(user, 'POST', '/api/init-user');
+    assert.equal(res.status, 200);
+  }
+
+  const settings = await app.request(ADMIN, 'POST', '/api/admin/settings', {
+    monetization_enabled: true,
+    payment_details: '',
+    debt_limit: 0,
+  });
+  assert.equal(settings.status, 200);
+
+  // Водитель без долга публикует поездку, пассажир бронирует место → долг 10% от 1000 ₽
+  const trip = await newTrip(DRIVER, '2099-07-01T09:00');
+  assert.equal(trip.status, 200, JSON.stringify(trip.body));
+  const booking = await app.request(PASSENGER, 'POST', '/api/bookings', {
+    trip_id: trip.body.trip.id,
+    seats: 1,
+  });
+  assert.equal(booking.status, 200, JSON.stringify(booking.body));
+
+  assert.equal((await driverBalance()).balance, 100);
+  const blocked = await newTrip(DRIVER, '2099-07-02T09:00');
+  assert.equal(blocked.status, 403);
+
+  // Счёт на весь долг
+  const mark = stub.calls.length;
+  const invoiceRes = await app.request(DRIVER, 'POST', '/api/driver/payment-invoice');
+  assert.equal(invoiceRes.status, 200, JSON.stringify(invoiceRes.body));
+  const invoice = (await stub.waitForCall('sendInvoice', { from: mark })).payload;
+  assert.equal(String(invoice.chat_id), String(DRIVER.id));
+  assert.equal(invoice.provider_token, 'provider-test-token');
+  assert.equal(invoice.prices[0].amount, 10000);
+  const amount = invoice.prices[0].amount;
+
+  await t.test('сумма платежа не совпадает со счётом', async () => {
+    const answer = await preCheckout(DRIVER, invoice.payload, amount - 1);
+    assert.equal(answer.ok, false);
+    assert.match(answer.error_message, /Сумма счёта не совпадает/);
+  });
+
+  await t.test('счёт другого водителя', async () => {
+    const answer = await preCheckout(PASSENGER, invoice.payload, amount);
+    assert.equal(answer.ok, false);
+    assert.match(answer.error_message, /другому водителю/);
+  });
+
+  await t.test('неизвестный payload', async () => {
+    const answer = await preCheckout(DRIVER, 'fee:oops', amount);
+    assert.equal(answer.ok, false);
+    assert.match(answer.error_message, /Неизвестный счёт/);
+  });
+
+  await t.test('сумма больше текущего долга', async () => {
+    const bigger = invoice.payload.replace(/:\d+$/, `:${amount * 5}`);
+    const answer = await preCheckout(DRIVER, bigger, amount * 5);
+    assert.equal(answer.ok, false);
+    assert.match(answer.error_message, /уже оплачена или уменьшилась/);
+  });
+
+  await t.test('верный счёт проходит проверку и оплата снимает запрет', async () => {
+    const answer = await preCheckout(DRIVER, invoice.payload, amount);
+    assert.equal(answer.ok, true);
+
+    const replyMsg = await successfulPayment(invoice.payload, amount, 'charge-1');
+    assert.match(replyMsg.text, /Оплата 100 ₽ получена/);
+    assert.match(replyMsg.text, /Долга по комиссии нет/);
+
+    assert.equal((await driverBalance()).balance, 0);
+    const allowed = await newTrip(DRIVER, '2099-07-03T09:00');
+    assert.equal(allowed.status, 200, JSON.stringify(allowed.body));
+  });
+
+  await t.test('повторный telegram_payment_charge_id не засчитывается дважды', async () => {
+    await successfulPayment(invoice.payload, amount, 'charge-1');
+
+    const stats = await driverBalance();
+    assert.equal(stats.balance, 0);
+    const credits = stats.ledger.filter((row) => row.kind === 'credit');
+    assert.equal(credits.length, 1);
+  });
+});
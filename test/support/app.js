@@ -0,0 +1,106 @@
+// Запуск index.js отдельным процессом с временной БД и запросы к API с подписанным initData
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const BOT_TOKEN = '123456:test-token';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// initData так, как его подписывает Telegram для мини-приложения
+function signInitData(user) {
+  const params = new URLSearchParams();
+  params.set('user', JSON.stringify(user));
+  params.set('auth_date', String(Math.floor(Date.now() / 1000)));
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('\n');
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+  params.set('hash', crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex'));
+
+  return params.toString();
+}
+
+async function startApp({ apiRoot, env = {} }) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poputchiki-app-'));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'index.js')], {
+    cwd: tmpDir,
+    env: {
+      ...process.env,
+      BOT_TOKEN,
+      TELEGRAM_API_ROOT: apiRoot,
+      PORT: String(port),
+      SQLITE_PATH: path.join(tmpDir, 'test.sqlite'),
+      UPLOADS_PATH: path.join(tmpDir, 'uploads'),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+
+  async function request(user, method, url, body) {
+    const res = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Telegram-Init-Data': signInitData(user),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Ждём, пока HTTP-сервер начнёт отвечать
+  const started = Date.now();
+  for (;;) {
+    if (child.exitCode !== null) {
+      throw new Error(`index.js завершился при запуске:\n${output}`);
+    }
+    try {
+      await fetch(`${baseUrl}/api/trips`);
+      break;
+    } catch (e) {
+      if (Date.now() - started > 10000) {
+        child.kill('SIGKILL');
+        throw new Error(`index.js не запустился:\n${output}`);
+      }
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+
+  return {
+    request,
+    output: () => output,
+    stop() {
+      // SIGTERM останавливает только бота — HTTP-сервер и БД держат процесс
+      child.kill('SIGKILL');
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,99 @@
+// Заглушка Bot API для тестов: запоминает вызовы методов и отдаёт боту
+// подложенные апдейты через getUpdates. Бот подключается к ней через TELEGRAM_API_ROOT.
+const http = require('http');
+
+const BOT_INFO = { id: 1, is_bot: true, first_name: 'Попутчики', username: 'poputchiki_test_bot' };
+
+function startTelegramStub() {
+  const calls = [];
+  const updates = [];
+  let pendingPoll = null;
+  let nextUpdateId = 1;
+  let nextMessageId = 1000;
+
+  function reply(res, result) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, result }));
+  }
+
+  function flushPoll() {
+    if (!pendingPoll) return;
+    const { res, timer } = pendingPoll;
+    pendingPoll = null;
+    clearTimeout(timer);
+    reply(res, updates.splice(0));
+  }
+
+  function handle(method, payload, res) {
+    calls.push({ method, payload });
+
+    if (method === 'getMe') return reply(res, BOT_INFO);
+    if (method === 'getUpdates') {
+      if (updates.length) return reply(res, updates.splice(0));
+      // короткий long polling, чтобы бот быстро забирал новые апдейты
+      flushPoll();
+      pendingPoll = { res, timer: setTimeout(flushPoll, 200) };
+      return undefined;
+    }
+    if (/^(send|edit)/.test(method)) {
+      return reply(res, {
+        message_id: nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: { id: Number(payload.chat_id) || 0, type: 'private' },
+        text: payload.text,
+      });
+    }
+    return reply(res, true);
+  }
+
+  const server = http.createServer((req, res) => {
+    const method = req.url.split('/').pop();
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let payload = {};
+      try {
+        payload = body ? JSON.parse(body) : {};
+      } catch (e) {
+        payload = {};
+      }
+      handle(method, payload, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        apiRoot: `http://127.0.0.1:${server.address().port}`,
+        calls,
+
+        // Положить апдейт в очередь getUpdates
+        pushUpdate(update) {
+          updates.push({ update_id: nextUpdateId++, ...update });
+          flushPoll();
+        },
+
+        // Дождаться вызова метода после позиции from (по умолчанию — любого)
+        async waitForCall(method, { from = 0, match = () => true, timeoutMs = 5000 } = {}) {
+          const started = Date.now();
+          while (Date.now() - started < timeoutMs) {
+            const call = calls.slice(from).find((c) => c.method === method && match(c.payload));
+            if (call) return call;
+            await new Promise((r) => setTimeout(r, 25));
+          }
+          throw new Error(`Bot API: не дождались вызова ${method}`);
+        },
+
+        close() {
+          flushPoll();
+          server.closeAllConnections();
+          return new Promise((r) => server.close(r));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startTelegramStub };